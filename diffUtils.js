@@ -0,0 +1,298 @@
+// diffUtils.js
+// Line/token diff utilities for the Git features (history, gutter markers, blame, etc.)
+// Implements Myers' O(ND) difference algorithm
+
+/**
+ * Compute the shortest edit script between two arrays
+ * @param {Array} a - old sequence
+ * @param {Array} b - new sequence
+ * @returns {{type: 'equal'|'delete'|'insert', items: Array}[]} consecutive chunks in order
+ */
+function diffArrays(a, b) {
+    // 共通の先頭・末尾を除外して計算量を減らす
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+        a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const midA = a.slice(prefix, a.length - suffix);
+    const midB = b.slice(prefix, b.length - suffix);
+
+    const chunks = [];
+    const push = (type, item) => {
+        const last = chunks[chunks.length - 1];
+        if (last && last.type === type) {
+            last.items.push(item);
+        } else {
+            chunks.push({ type, items: [item] });
+        }
+    };
+
+    a.slice(0, prefix).forEach(item => push('equal', item));
+    myers(midA, midB).forEach(([type, item]) => push(type, item));
+    a.slice(a.length - suffix).forEach(item => push('equal', item));
+
+    return chunks;
+}
+
+/**
+ * Myers' algorithm in linear space: find the middle snake of the edit graph,
+ * then solve the parts before and after it recursively
+ * (keeping the V array of every step would take O(D·(N+M)) memory)
+ * @returns {Array<[string, any]>} edit operations
+ */
+function myers(a, b) {
+    const ops = [];
+    diffRange(a, 0, a.length, b, 0, b.length, ops);
+    return ops;
+}
+
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, ops) {
+    // 共通の先頭・末尾
+    while (aStart < aEnd && bStart < bEnd && a[aStart] === b[bStart]) {
+        ops.push(['equal', a[aStart]]);
+        aStart++;
+        bStart++;
+    }
+    let suffix = 0;
+    while (aStart < aEnd - suffix && bStart < bEnd - suffix && a[aEnd - 1 - suffix] === b[bEnd - 1 - suffix]) suffix++;
+    aEnd -= suffix;
+    bEnd -= suffix;
+
+    if (aStart === aEnd) {
+        for (let y = bStart; y < bEnd; y++) ops.push(['insert', b[y]]);
+    } else if (bStart === bEnd) {
+        for (let x = aStart; x < aEnd; x++) ops.push(['delete', a[x]]);
+    } else {
+        const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+        diffRange(a, aStart, aStart + snake.x, b, bStart, bStart + snake.y, ops);
+        for (let x = snake.x; x < snake.u; x++) ops.push(['equal', a[aStart + x]]);
+        diffRange(a, aStart + snake.u, aEnd, b, bStart + snake.v, bEnd, ops);
+    }
+
+    for (let i = aEnd; i < aEnd + suffix; i++) ops.push(['equal', a[i]]);
+}
+
+/**
+ * Search forward from the start and backward from the end at the same time until the paths meet
+ * @returns {{x: number, y: number, u: number, v: number}} the snake from (x, y) to (u, v),
+ *   relative to aStart / bStart, on a shortest edit path
+ */
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = (delta & 1) !== 0;
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+    // 対角線 k ごとの到達位置 x（後ろからの探索は末尾からの距離）
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+            while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+            // 後ろからの探索の対角線 delta - k と重なったか
+            const c = delta - k;
+            if (odd && c >= -(d - 1) && c <= d - 1 && x + backward[offset + c] >= n) {
+                return { x: startX, y: startY, u: x, v: y };
+            }
+        }
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+                ? backward[offset + k + 1]
+                : backward[offset + k - 1] + 1;
+            let y = x - k;
+            const startX = x;
+            const startY = y;
+            while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            backward[offset + k] = x;
+            const c = delta - k;
+            if (!odd && c >= -d && c <= d && x + forward[offset + c] >= n) {
+                return { x: n - x, y: m - y, u: n - startX, v: m - startY };
+            }
+        }
+    }
+    throw new Error('middleSnake: no path found');
+}
+
+/**
+ * Split text into lines (the inverse of lines.join('\n'))
+ */
+function splitLines(text) {
+    return (text || '').split('\n');
+}
+
+/**
+ * Diff two texts line by line
+ */
+function diffLines(oldText, newText) {
+    return diffArrays(splitLines(oldText), splitLines(newText));
+}
+
+/**
+ * Group a line diff into hunks of consecutive changes
+ * Line indices are 0-based; oldStart/newStart point at the first line of the hunk
+ * (for a pure deletion, newStart is the line the removed lines used to precede)
+ * @returns {{type: 'added'|'modified'|'deleted', oldStart: number, oldLines: string[], newStart: number, newLines: string[]}[]}
+ */
+function computeHunks(oldText, newText) {
+    const chunks = diffLines(oldText, newText);
+    const hunks = [];
+    let oldLine = 0;
+    let newLine = 0;
+    let current = null;
+
+    chunks.forEach(chunk => {
+        if (chunk.type === 'equal') {
+            current = null;
+            oldLine += chunk.items.length;
+            newLine += chunk.items.length;
+            return;
+        }
+
+        if (!current) {
+            current = { type: null, oldStart: oldLine, oldLines: [], newStart: newLine, newLines: [] };
+            hunks.push(current);
+        }
+
+        if (chunk.type === 'delete') {
+            current.oldLines.push(...chunk.items);
+            oldLine += chunk.items.length;
+        } else {
+            current.newLines.push(...chunk.items);
+            newLine += chunk.items.length;
+        }
+    });
+
+    hunks.forEach(hunk => {
+        if (hunk.oldLines.length === 0) {
+            hunk.type = 'added';
+        } else if (hunk.newLines.length === 0) {
+            hunk.type = 'deleted';
+        } else {
+            hunk.type = 'modified';
+        }
+    });
+
+    return hunks;
+}
+
+/**
+ * Apply hunks (computed by computeHunks against oldText) to oldText
+ * Hunks that are not passed in are left as in oldText, which allows partial application
+ * @returns {string}
+ */
+function applyHunks(oldText, hunks) {
+    const oldLines = splitLines(oldText);
+    const result = [];
+    let index = 0;
+
+    hunks.slice().sort((a, b) => a.oldStart - b.oldStart).forEach(hunk => {
+        result.push(...oldLines.slice(index, hunk.oldStart));
+        result.push(...hunk.newLines);
+        index = hunk.oldStart + hunk.oldLines.length;
+    });
+    result.push(...oldLines.slice(index));
+
+    return result.join('\n');
+}
+
+/**
+ * Check whether two hunks describe the same change
+ */
+function isSameHunk(a, b) {
+    return a.oldStart === b.oldStart && a.newStart === b.newStart &&
+        a.oldLines.length === b.oldLines.length && a.newLines.length === b.newLines.length &&
+        a.oldLines.every((line, i) => line === b.oldLines[i]) &&
+        a.newLines.every((line, i) => line === b.newLines[i]);
+}
+
+/**
+ * Three-way merge of two texts derived from the same base (line based)
+ * Changes that touch different lines are combined; changes to the same or adjacent lines
+ * become conflicts marked with <<<<<<< / ======= / >>>>>>> unless both sides are identical
+ * @param {{ours?: string, theirs?: string}} labels - names written after the conflict markers
+ * @returns {{text: string, conflicts: number}}
+ */
+function mergeTexts(baseText, oursText, theirsText, labels = {}) {
+    const baseLines = splitLines(baseText);
+    const hunks = [
+        ...computeHunks(baseText, oursText).map(hunk => ({ ...hunk, side: 'ours' })),
+        ...computeHunks(baseText, theirsText).map(hunk => ({ ...hunk, side: 'theirs' }))
+    ].sort((a, b) => a.oldStart - b.oldStart);
+
+    // 重なる・隣接するハンクをまとめる
+    const groups = [];
+    hunks.forEach(hunk => {
+        const end = hunk.oldStart + hunk.oldLines.length;
+        const last = groups[groups.length - 1];
+        if (last && hunk.oldStart <= last.end) {
+            last.hunks.push(hunk);
+            last.end = Math.max(last.end, end);
+        } else {
+            groups.push({ start: hunk.oldStart, end, hunks: [hunk] });
+        }
+    });
+
+    // まとめた範囲に片方の変更だけを適用した行
+    const sideLines = (group, side) => {
+        const lines = [];
+        let index = group.start;
+        group.hunks.filter(hunk => hunk.side === side).forEach(hunk => {
+            lines.push(...baseLines.slice(index, hunk.oldStart), ...hunk.newLines);
+            index = hunk.oldStart + hunk.oldLines.length;
+        });
+        lines.push(...baseLines.slice(index, group.end));
+        return lines;
+    };
+
+    const result = [];
+    let index = 0;
+    let conflicts = 0;
+    groups.forEach(group => {
+        result.push(...baseLines.slice(index, group.start));
+        index = group.end;
+
+        const sides = new Set(group.hunks.map(hunk => hunk.side));
+        const ours = sideLines(group, 'ours');
+        const theirs = sideLines(group, 'theirs');
+        if (sides.size === 1) {
+            result.push(...(sides.has('ours') ? ours : theirs));
+        } else if (ours.join('\n') === theirs.join('\n')) {
+            result.push(...ours);
+        } else {
+            conflicts++;
+            result.push(`<<<<<<< ${labels.ours || 'ours'}`, ...ours, '=======', ...theirs, `>>>>>>> ${labels.theirs || 'theirs'}`);
+        }
+    });
+    result.push(...baseLines.slice(index));
+
+    return { text: result.join('\n'), conflicts };
+}
+
+module.exports = {
+    diffArrays,
+    diffLines,
+    splitLines,
+    computeHunks,
+    applyHunks,
+    isSameHunk,
+    mergeTexts
+};
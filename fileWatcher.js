@@ -0,0 +1,160 @@
+// fileWatcher.js
+// Watches the files open in the editor for changes made by other programs
+// (git pull in the terminal, another editor, etc.)
+// The parent directory of each file is watched rather than the file itself, because editors
+// and git often replace a file by renaming, which ends a watch on the old file. Events are
+// debounced per file and compared by content hash with the last version known to the editor,
+// so saves made by the editor itself are not reported.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Version of a file on disk (modification time and content hash)
+ * @param {Buffer} [data] - the file content if it has just been read or written
+ * @returns {{mtimeMs: number, hash: string}|null} null if the file does not exist
+ */
+function readFileVersion(fullPath, data) {
+    if (!fs.existsSync(fullPath)) return null;
+    const { mtimeMs } = fs.statSync(fullPath);
+    const hash = crypto.createHash('sha1').update(data || fs.readFileSync(fullPath)).digest('hex');
+    return { mtimeMs, hash };
+}
+
+class OpenFileWatcher {
+    /**
+     * @param {(change: {type: 'changed'|'deleted', path: string, content?: string, version?: object}) => void} onChange
+     *   called when a watched file is changed (with its new content) or deleted by another program
+     * @param {{delay?: number}} options - debounce delay in milliseconds
+     */
+    constructor(onChange, { delay = 150 } = {}) {
+        this.onChange = onChange;
+        this.delay = delay;
+        // ファイル → { version, deleted, timer }
+        this.files = new Map();
+        // ディレクトリ → fs.FSWatcher
+        this.directories = new Map();
+    }
+
+    /**
+     * Start watching a file, or update the version the editor has loaded
+     */
+    watch(filePath, version) {
+        const fullPath = path.resolve(filePath);
+        const entry = this.files.get(fullPath);
+        if (entry) {
+            entry.version = version;
+            entry.deleted = false;
+            return;
+        }
+        this.files.set(fullPath, { version, deleted: false, timer: null });
+        this.watchDirectory(path.dirname(fullPath));
+    }
+
+    unwatch(filePath) {
+        const fullPath = path.resolve(filePath);
+        const entry = this.files.get(fullPath);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        this.files.delete(fullPath);
+
+        // 同じディレクトリに監視中のファイルがなくなれば監視をやめる
+        const dir = path.dirname(fullPath);
+        if (![...this.files.keys()].some(other => path.dirname(other) === dir)) {
+            this.unwatchDirectory(dir);
+        }
+    }
+
+    /**
+     * Record a version written by the editor itself (not reported as a change)
+     */
+    setVersion(filePath, version) {
+        const entry = this.files.get(path.resolve(filePath));
+        if (entry) {
+            entry.version = version;
+            entry.deleted = false;
+        }
+    }
+
+    close() {
+        this.files.forEach(entry => clearTimeout(entry.timer));
+        this.files.clear();
+        [...this.directories.keys()].forEach(dir => this.unwatchDirectory(dir));
+    }
+
+    watchDirectory(dir) {
+        if (this.directories.has(dir)) return;
+        try {
+            const watcher = fs.watch(dir, (eventType, filename) => this.handleEvent(dir, filename));
+            // ディレクトリごと削除された場合など
+            watcher.on('error', () => {
+                this.unwatchDirectory(dir);
+                this.filesIn(dir).forEach(fullPath => this.schedule(fullPath));
+            });
+            this.directories.set(dir, watcher);
+        } catch (error) {
+            console.error('Failed to watch directory:', dir, error);
+        }
+    }
+
+    unwatchDirectory(dir) {
+        const watcher = this.directories.get(dir);
+        if (watcher) {
+            watcher.close();
+            this.directories.delete(dir);
+        }
+    }
+
+    filesIn(dir) {
+        return [...this.files.keys()].filter(fullPath => path.dirname(fullPath) === dir);
+    }
+
+    handleEvent(dir, filename) {
+        // ファイル名が取れない環境ではディレクトリ内のすべてを確認する
+        const targets = filename ? [path.join(dir, filename.toString())] : this.filesIn(dir);
+        targets.filter(fullPath => this.files.has(fullPath)).forEach(fullPath => this.schedule(fullPath));
+    }
+
+    schedule(fullPath) {
+        const entry = this.files.get(fullPath);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            this.check(fullPath);
+        }, this.delay);
+    }
+
+    check(fullPath) {
+        const entry = this.files.get(fullPath);
+        if (!entry) return;
+
+        let data;
+        try {
+            data = fs.readFileSync(fullPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') return;
+            if (!entry.deleted) {
+                entry.deleted = true;
+                this.onChange({ type: 'deleted', path: fullPath });
+            }
+            return;
+        }
+
+        const version = readFileVersion(fullPath, data);
+        // 削除された後に作り直された場合は内容が同じでも知らせる
+        const recreated = entry.deleted;
+        const changed = !entry.version || entry.version.hash !== version.hash;
+        entry.version = version;
+        entry.deleted = false;
+        if (changed || recreated) {
+            this.onChange({ type: 'changed', path: fullPath, content: data.toString('utf8'), version });
+        }
+    }
+}
+
+module.exports = {
+    OpenFileWatcher,
+    readFileVersion
+};
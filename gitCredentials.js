@@ -0,0 +1,171 @@
+// gitCredentials.js
+// Credential store for Git remotes and isomorphic-git auth callbacks
+// Credentials are kept per host and encrypted with Electron's safeStorage when available
+
+const fs = require('fs');
+
+// 認証失敗時に再入力を求める最大回数
+const MAX_AUTH_ATTEMPTS = 3;
+
+/**
+ * Credential Store class
+ * Persists { username, password } per remote host in a JSON file.
+ * The encryption object must provide the Electron safeStorage interface
+ * (isEncryptionAvailable / encryptString / decryptString).
+ * If encryption is not available, credentials are kept in memory only.
+ */
+class CredentialStore {
+    constructor(filePath, encryption) {
+        this._filePath = filePath;
+        this._encryption = encryption;
+        this._memory = new Map();
+    }
+
+    /**
+     * Normalize a remote URL to the key used for storage (protocol + host)
+     */
+    static keyFor(url) {
+        try {
+            const parsed = new URL(url);
+            return `${parsed.protocol}//${parsed.host}`;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    get canPersist() {
+        try {
+            return !!this._encryption && this._encryption.isEncryptionAvailable();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    _readFile() {
+        try {
+            if (fs.existsSync(this._filePath)) {
+                return JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+            }
+        } catch (error) {
+            console.error('Failed to read git credentials:', error);
+        }
+        return {};
+    }
+
+    _writeFile(data) {
+        try {
+            fs.writeFileSync(this._filePath, JSON.stringify(data, null, 2), 'utf8');
+        } catch (error) {
+            console.error('Failed to write git credentials:', error);
+        }
+    }
+
+    /**
+     * Get stored credentials for a URL
+     * @returns {{username: string, password: string}|null}
+     */
+    get(url) {
+        const key = CredentialStore.keyFor(url);
+        if (this._memory.has(key)) {
+            return this._memory.get(key);
+        }
+
+        if (!this.canPersist) return null;
+
+        const entry = this._readFile()[key];
+        if (!entry) return null;
+
+        try {
+            const decrypted = this._encryption.decryptString(Buffer.from(entry, 'base64'));
+            const credentials = JSON.parse(decrypted);
+            this._memory.set(key, credentials);
+            return credentials;
+        } catch (error) {
+            console.error('Failed to decrypt git credentials:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store credentials for a URL
+     */
+    set(url, credentials) {
+        const key = CredentialStore.keyFor(url);
+        const value = { username: credentials.username, password: credentials.password };
+        this._memory.set(key, value);
+
+        if (!this.canPersist) return;
+
+        const data = this._readFile();
+        data[key] = this._encryption.encryptString(JSON.stringify(value)).toString('base64');
+        this._writeFile(data);
+    }
+
+    /**
+     * Remove stored credentials for a URL
+     */
+    delete(url) {
+        const key = CredentialStore.keyFor(url);
+        this._memory.delete(key);
+
+        const data = this._readFile();
+        if (key in data) {
+            delete data[key];
+            this._writeFile(data);
+        }
+    }
+}
+
+/**
+ * Create onAuth / onAuthFailure / onAuthSuccess callbacks for isomorphic-git
+ * @param {CredentialStore} store - credential store
+ * @param {Function} prompt - async ({ url, failed }) => { username, password, remember } | null
+ * @returns {{onAuth: Function, onAuthFailure: Function, onAuthSuccess: Function}}
+ */
+function createAuthCallbacks(store, prompt) {
+    let attempts = 0;
+    let remember = true;
+
+    const ask = async (url, failed) => {
+        attempts++;
+        if (attempts > MAX_AUTH_ATTEMPTS) {
+            return { cancel: true };
+        }
+
+        const answer = await prompt({ url, failed });
+        if (!answer) {
+            return { cancel: true };
+        }
+
+        remember = answer.remember !== false;
+        return { username: answer.username, password: answer.password };
+    };
+
+    return {
+        onAuth: async (url) => {
+            const stored = store.get(url);
+            if (stored) {
+                return stored;
+            }
+            return ask(url, false);
+        },
+
+        onAuthFailure: async (url) => {
+            // 保存済みの認証情報が誤っている可能性があるので破棄してから再入力
+            store.delete(url);
+            return ask(url, true);
+        },
+
+        onAuthSuccess: (url, auth) => {
+            if (remember && auth && auth.username !== undefined) {
+                store.set(url, auth);
+            }
+        }
+    };
+}
+
+module.exports = {
+    CredentialStore,
+    createAuthCallbacks,
+    MAX_AUTH_ATTEMPTS
+};
@@ -0,0 +1,240 @@
+// gitGraph.js
+// Commit graph across all local / remote-tracking branches for the graph view
+// Commits are walked newest first (committer date order) from every ref tip and laid out
+// into lanes one row at a time, so pages can be produced lazily: the walk state of the
+// last repository is kept and continued while its refs stay the same
+
+const fs = require('fs');
+const git = require('isomorphic-git');
+
+// 最後に読み込んだリポジトリの走査状態
+let cachedWalk = null;
+
+/**
+ * Peel a ref target (annotated tags) down to a commit oid
+ * @returns {Promise<string|null>} null if it does not point to a commit
+ */
+async function peelToCommit(dir, oid) {
+    for (let depth = 0; depth < 10; depth++) {
+        const { type, object } = await git.readObject({ fs, dir, oid, format: 'parsed' });
+        if (type === 'commit') return oid;
+        if (type !== 'tag') return null;
+        oid = object.object;
+    }
+    return null;
+}
+
+/**
+ * Collect the ref labels of the repository
+ * @returns {Promise<{head: string|null, branch: string|null, labels: Map<string, {name: string, type: string}[]>, tips: string[]}>}
+ */
+async function readRefs(dir) {
+    const labels = new Map();
+    const tips = [];
+    const addLabel = (oid, label, isTip) => {
+        if (!labels.has(oid)) labels.set(oid, []);
+        labels.get(oid).push(label);
+        if (isTip && !tips.includes(oid)) tips.push(oid);
+    };
+
+    let head = null;
+    try {
+        head = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+    } catch (e) {
+        // コミットがまだない
+    }
+    const branch = await git.currentBranch({ fs, dir });
+    if (head) tips.push(head);
+
+    for (const name of await git.listBranches({ fs, dir })) {
+        addLabel(await git.resolveRef({ fs, dir, ref: `refs/heads/${name}` }), { name, type: name === branch ? 'current' : 'branch' }, true);
+    }
+    for (const { remote } of await git.listRemotes({ fs, dir })) {
+        for (const name of await git.listBranches({ fs, dir, remote })) {
+            if (name === 'HEAD') continue;
+            addLabel(await git.resolveRef({ fs, dir, ref: `refs/remotes/${remote}/${name}` }), { name: `${remote}/${name}`, type: 'remote' }, true);
+        }
+    }
+    // タグは表示のみ（走査の起点にはしない）
+    for (const name of await git.listTags({ fs, dir })) {
+        const oid = await peelToCommit(dir, await git.resolveRef({ fs, dir, ref: `refs/tags/${name}` }));
+        if (oid) addLabel(oid, { name, type: 'tag' }, false);
+    }
+
+    return { head, branch, labels, tips };
+}
+
+function firstFreeLane(lanes) {
+    const index = lanes.indexOf(null);
+    return index === -1 ? lanes.length : index;
+}
+
+/**
+ * Place a commit into the lanes and return the line segments of its row
+ * Each lane holds the oid of the commit it is waiting for (null = free).
+ * Segments are {from, to, part}: 'top' joins an incoming lane to the commit,
+ * 'bottom' leaves the commit towards a parent lane, 'full' passes straight through.
+ */
+function layoutRow(lanes, oid, parents) {
+    const incoming = [];
+    lanes.forEach((waiting, index) => {
+        if (waiting === oid) incoming.push(index);
+    });
+    const column = incoming.length > 0 ? incoming[0] : firstFreeLane(lanes);
+
+    const lines = [];
+    lanes.forEach((waiting, index) => {
+        if (waiting === null) return;
+        lines.push(waiting === oid
+            ? { from: index, to: column, part: 'top' }
+            : { from: index, to: index, part: 'full' });
+    });
+    incoming.forEach(index => { lanes[index] = null; });
+
+    parents.forEach((parent, index) => {
+        let lane = lanes.indexOf(parent);
+        if (lane === -1) {
+            lane = index === 0 && !lanes[column] ? column : firstFreeLane(lanes);
+            lanes[lane] = parent;
+        }
+        lines.push({ from: column, to: lane, part: 'bottom' });
+    });
+
+    const width = Math.max(lanes.length, column + 1);
+    while (lanes.length > 0 && lanes[lanes.length - 1] === null) lanes.pop();
+    return { column, lines, width };
+}
+
+function startWalk(dir, refs, key) {
+    return {
+        dir,
+        key,
+        refs,
+        // 未処理のコミット（コミット日時の新しい順）
+        queue: [],
+        queued: new Set(),
+        // 読み込めなかったコミット（shallow clone の境界の親など）
+        missing: new Set(),
+        lanes: [],
+        rows: [],
+        pending: refs.tips.slice()
+    };
+}
+
+// 読み込んだコミットを日時順に待ち行列へ入れる
+function enqueue(walk, entry) {
+    let index = walk.queue.length;
+    while (index > 0 && walk.queue[index - 1].commit.committer.timestamp < entry.commit.committer.timestamp) index--;
+    walk.queue.splice(index, 0, entry);
+}
+
+async function queueCommits(walk, oids) {
+    for (const oid of oids) {
+        if (walk.queued.has(oid) || walk.missing.has(oid)) continue;
+        try {
+            const entry = await git.readCommit({ fs, dir: walk.dir, oid });
+            if (walk.queued.has(oid)) continue;
+            walk.queued.add(oid);
+            enqueue(walk, entry);
+        } catch (e) {
+            // shallow clone などで親が存在しない（線は描かない）
+            if (e.code !== 'NotFoundError') throw e;
+            walk.missing.add(oid);
+        }
+    }
+}
+
+// 行を count 件まで作る
+async function extendWalk(walk, count) {
+    await queueCommits(walk, walk.pending.splice(0));
+
+    while (walk.rows.length < count && walk.queue.length > 0) {
+        const { oid, commit } = walk.queue.shift();
+        await queueCommits(walk, commit.parent);
+        const parents = commit.parent.filter(parent => walk.queued.has(parent));
+
+        walk.rows.push({
+            oid,
+            message: commit.message,
+            parents: commit.parent,
+            author: {
+                name: commit.author.name,
+                email: commit.author.email,
+                timestamp: commit.author.timestamp
+            },
+            labels: walk.refs.labels.get(oid) || [],
+            ...layoutRow(walk.lanes, oid, parents)
+        });
+    }
+}
+
+/**
+ * Read a page of the commit graph
+ * @param {string} dir - repository root
+ * @param {{skip?: number, limit?: number}} options
+ * @returns {Promise<{rows: object[], hasMore: boolean, head: string|null, branch: string|null}>}
+ */
+async function readGraphPage(dir, { skip = 0, limit = 100 } = {}) {
+    const refs = await readRefs(dir);
+    const key = JSON.stringify([refs.head, refs.branch, ...refs.labels]);
+
+    // 最初のページ、または参照が動いた場合は最初から走査し直す
+    if (skip === 0 || !cachedWalk || cachedWalk.dir !== dir || cachedWalk.key !== key) {
+        cachedWalk = startWalk(dir, refs, key);
+    }
+    const walk = cachedWalk;
+    await extendWalk(walk, skip + limit + 1);
+
+    return {
+        rows: walk.rows.slice(skip, skip + limit),
+        hasMore: walk.rows.length > skip + limit,
+        head: refs.head,
+        branch: refs.branch
+    };
+}
+
+/**
+ * Find the merge base of HEAD and another ref
+ * When ref is omitted, the upstream (remote-tracking) branch is used, or main/master
+ * when HEAD is on another branch
+ * @returns {Promise<{ref: string, oid: string}|null>}
+ */
+async function findHeadMergeBase(dir, ref) {
+    let head;
+    try {
+        head = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+    } catch (e) {
+        return null;
+    }
+
+    const candidates = [];
+    if (ref) {
+        candidates.push(ref);
+    } else {
+        const branch = await git.currentBranch({ fs, dir });
+        if (branch) {
+            const remote = await git.getConfig({ fs, dir, path: `branch.${branch}.remote` });
+            const merge = await git.getConfig({ fs, dir, path: `branch.${branch}.merge` });
+            candidates.push(`${remote || 'origin'}/${merge ? merge.replace(/^refs\/heads\//, '') : branch}`);
+        }
+        candidates.push(...['main', 'master'].filter(name => name !== branch));
+    }
+
+    for (const candidate of candidates) {
+        let oid;
+        try {
+            oid = await git.resolveRef({ fs, dir, ref: candidate });
+        } catch (e) {
+            continue;
+        }
+        if (oid === head) continue;
+        const [base] = await git.findMergeBase({ fs, dir, oids: [head, oid] });
+        if (base) return { ref: candidate, oid: base };
+    }
+    return null;
+}
+
+module.exports = {
+    readGraphPage,
+    findHeadMergeBase
+};
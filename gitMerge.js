@@ -0,0 +1,273 @@
+// gitMerge.js
+// Merge conflict handling on top of isomorphic-git
+// isomorphic-git does not record an in-progress merge, so MERGE_HEAD / MERGE_MSG are
+// written here in the same format as Git (the command line sees the same merge state)
+
+const fs = require('fs');
+const path = require('path');
+const git = require('isomorphic-git');
+
+const STAGE_NAMES = [null, 'base', 'ours', 'theirs'];
+
+function gitdirOf(dir) {
+    return path.join(dir, '.git');
+}
+
+/**
+ * Read unmerged (conflicted) entries from the index
+ * isomorphic-git does not expose index stages, so the index file (version 2/3) is parsed here
+ * @returns {Map<string, {base: string|null, ours: string|null, theirs: string|null}>} blob oids per stage
+ */
+function readUnmergedEntries(dir) {
+    const entries = new Map();
+    const indexPath = path.join(gitdirOf(dir), 'index');
+    if (!fs.existsSync(indexPath)) return entries;
+
+    const buffer = fs.readFileSync(indexPath);
+    if (buffer.length < 12 || buffer.toString('utf8', 0, 4) !== 'DIRC') return entries;
+
+    const version = buffer.readUInt32BE(4);
+    if (version !== 2 && version !== 3) {
+        throw new Error(`Unsupported index version: ${version}`);
+    }
+    const count = buffer.readUInt32BE(8);
+
+    let offset = 12;
+    for (let i = 0; i < count; i++) {
+        const entryStart = offset;
+        const oid = buffer.toString('hex', offset + 40, offset + 60);
+        const flags = buffer.readUInt16BE(offset + 60);
+        offset += 62;
+        // version 3 の拡張フラグ
+        if (version === 3 && (flags & 0x4000)) offset += 2;
+
+        const pathEnd = buffer.indexOf(0, offset);
+        const filepath = buffer.toString('utf8', offset, pathEnd);
+        // エントリは NUL を含めて8バイト境界に揃えられている
+        offset = entryStart + Math.ceil((pathEnd + 1 - entryStart) / 8) * 8;
+
+        const stage = (flags >> 12) & 0x3;
+        if (stage === 0) continue;
+
+        if (!entries.has(filepath)) {
+            entries.set(filepath, { base: null, ours: null, theirs: null });
+        }
+        entries.get(filepath)[STAGE_NAMES[stage]] = oid;
+    }
+
+    return entries;
+}
+
+/**
+ * Get the in-progress merge, if any
+ * @returns {{theirOid: string, message: string}|null}
+ */
+function readMergeState(dir) {
+    const headPath = path.join(gitdirOf(dir), 'MERGE_HEAD');
+    if (!fs.existsSync(headPath)) return null;
+
+    const theirOid = fs.readFileSync(headPath, 'utf8').trim().split('\n')[0];
+    const msgPath = path.join(gitdirOf(dir), 'MERGE_MSG');
+    const message = fs.existsSync(msgPath) ? fs.readFileSync(msgPath, 'utf8').trim() : '';
+    return { theirOid, message };
+}
+
+function writeMergeState(dir, theirOid, message) {
+    fs.writeFileSync(path.join(gitdirOf(dir), 'MERGE_HEAD'), `${theirOid}\n`, 'utf8');
+    fs.writeFileSync(path.join(gitdirOf(dir), 'MERGE_MSG'), `${message}\n`, 'utf8');
+    fs.writeFileSync(path.join(gitdirOf(dir), 'MERGE_MODE'), 'no-ff', 'utf8');
+}
+
+function clearMergeState(dir) {
+    ['MERGE_HEAD', 'MERGE_MSG', 'MERGE_MODE'].forEach(name => {
+        const filePath = path.join(gitdirOf(dir), name);
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+}
+
+/**
+ * List blob paths that differ between two commits
+ * @returns {Promise<{filepath: string, a: string|null, b: string|null}[]>}
+ */
+async function listChangedBlobs(dir, oidA, oidB) {
+    const changes = await git.walk({
+        fs,
+        dir,
+        trees: [git.TREE({ ref: oidA }), git.TREE({ ref: oidB })],
+        map: async (filepath, [a, b]) => {
+            if (filepath === '.') return undefined;
+            const [typeA, typeB] = await Promise.all([a ? a.type() : null, b ? b.type() : null]);
+            if (typeA === 'tree' || typeB === 'tree') return undefined;
+
+            const [blobA, blobB] = await Promise.all([a ? a.oid() : null, b ? b.oid() : null]);
+            return blobA === blobB ? undefined : { filepath, a: blobA, b: blobB };
+        }
+    });
+    return changes || [];
+}
+
+// 作業ツリーとインデックスのファイルを指定の blob（null なら削除）に揃える
+async function writeWorkingFile(dir, filepath, oid) {
+    const fullPath = path.join(dir, filepath);
+    if (oid) {
+        const { blob } = await git.readBlob({ fs, dir, oid });
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, Buffer.from(blob));
+        await git.add({ fs, dir, filepath });
+    } else {
+        if (fs.existsSync(fullPath)) fs.unlinkSync(fullPath);
+        await git.remove({ fs, dir, filepath });
+    }
+}
+
+/**
+ * Merge `theirs` into `branch`, leaving conflicts in the working tree
+ * Conflicted files get conflict markers and unmerged index entries;
+ * everything that merged cleanly is written and staged.
+ * Extra options are passed to git.merge (e.g. noUpdateBranch).
+ * @returns {Promise<{result: Object|null, conflict: Object|null}>} the git.merge result, or the
+ *          MergeConflictError data ({filepaths, bothModified, deleteByUs, deleteByTheirs})
+ */
+async function mergeWithConflicts({ dir, branch, theirs, author, message, ...options }) {
+    const ourOid = await git.resolveRef({ fs, dir, ref: branch });
+    const theirOid = await git.resolveRef({ fs, dir, ref: theirs });
+    const [baseOid] = await git.findMergeBase({ fs, dir, oids: [ourOid, theirOid] });
+
+    let conflict;
+    try {
+        const result = await git.merge({ fs, dir, ours: branch, theirs, abortOnConflict: false, author, message, ...options });
+        return { result, conflict: null };
+    } catch (error) {
+        if (error.code !== 'MergeConflictError') throw error;
+        conflict = error.data;
+    }
+
+    // isomorphic-git は相手側だけが変更したファイルをインデックスに反映せず、
+    // 相手側で削除されたファイルも作業ツリーに残すため、ここで揃える
+    const ourChanges = new Set((await listChangedBlobs(dir, baseOid, ourOid)).map(c => c.filepath));
+    const theirChanges = await listChangedBlobs(dir, baseOid, theirOid);
+    for (const change of theirChanges) {
+        if (ourChanges.has(change.filepath) || conflict.filepaths.includes(change.filepath)) continue;
+        await writeWorkingFile(dir, change.filepath, change.b);
+    }
+
+    return { result: null, conflict };
+}
+
+/**
+ * Merge `theirs` into the checked-out branch, recording the merge state when it conflicts
+ * @returns {Promise<{filepaths: string[], bothModified: string[], deleteByUs: string[], deleteByTheirs: string[]}|null>}
+ *          the conflicts, or null if the merge completed without conflicts
+ */
+async function startConflictedMerge({ dir, branch, theirs, author, message }) {
+    const { conflict } = await mergeWithConflicts({ dir, branch, theirs, author, message });
+    if (!conflict) return null;
+
+    const theirOid = await git.resolveRef({ fs, dir, ref: theirs });
+    writeMergeState(dir, theirOid, message);
+    return conflict;
+}
+
+/**
+ * Read the versions of a conflicted file
+ * @returns {Promise<{base: string|null, ours: string|null, theirs: string|null, result: string|null}>}
+ */
+async function readConflictVersions(dir, filepath) {
+    const entry = readUnmergedEntries(dir).get(filepath);
+    if (!entry) {
+        throw new Error(`競合していないファイルです: ${filepath}`);
+    }
+
+    const readText = async (oid) => {
+        if (!oid) return null;
+        const { blob } = await git.readBlob({ fs, dir, oid });
+        return Buffer.from(blob).toString('utf8');
+    };
+
+    const fullPath = path.join(dir, filepath);
+    return {
+        base: await readText(entry.base),
+        ours: await readText(entry.ours),
+        theirs: await readText(entry.theirs),
+        result: fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null
+    };
+}
+
+/**
+ * Write the resolved content and mark the file as resolved (content null deletes the file)
+ */
+async function resolveConflictFile(dir, filepath, content) {
+    const fullPath = path.join(dir, filepath);
+    if (content === null) {
+        if (fs.existsSync(fullPath)) fs.unlinkSync(fullPath);
+        await git.remove({ fs, dir, filepath });
+    } else {
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, content, 'utf8');
+        await git.add({ fs, dir, filepath });
+    }
+}
+
+/**
+ * Create the merge commit once every conflict is resolved
+ * @returns {Promise<string>} the merge commit oid
+ */
+async function commitMerge(dir, { message, author }) {
+    const state = readMergeState(dir);
+    if (!state) {
+        throw new Error('進行中のマージはありません');
+    }
+
+    const unmerged = [...readUnmergedEntries(dir).keys()];
+    if (unmerged.length > 0) {
+        throw new Error(`未解決の競合があります: ${unmerged.join(', ')}`);
+    }
+
+    const headOid = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+    const sha = await git.commit({
+        fs,
+        dir,
+        message: message || state.message,
+        author,
+        parent: [headOid, state.theirOid]
+    });
+    clearMergeState(dir);
+    return sha;
+}
+
+/**
+ * Abort the in-progress merge, restoring HEAD for every file the merge touched
+ */
+async function abortConflictedMerge(dir) {
+    const state = readMergeState(dir);
+    if (!state) {
+        throw new Error('進行中のマージはありません');
+    }
+
+    const headOid = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+    const touched = new Map((await listChangedBlobs(dir, headOid, state.theirOid)).map(c => [c.filepath, c.a]));
+
+    // 競合しているファイルは HEAD の版を ours ステージから取得する
+    readUnmergedEntries(dir).forEach((entry, filepath) => {
+        if (!touched.has(filepath)) touched.set(filepath, entry.ours);
+    });
+
+    for (const [filepath, headBlob] of touched) {
+        await writeWorkingFile(dir, filepath, headBlob);
+    }
+
+    clearMergeState(dir);
+}
+
+module.exports = {
+    readUnmergedEntries,
+    readMergeState,
+    listChangedBlobs,
+    writeWorkingFile,
+    mergeWithConflicts,
+    startConflictedMerge,
+    readConflictVersions,
+    resolveConflictFile,
+    commitMerge,
+    abortConflictedMerge
+};
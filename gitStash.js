@@ -0,0 +1,152 @@
+// gitStash.js
+// Stash operations on top of isomorphic-git's git.stash
+// Applying is done as a 3-way merge (base: the commit the stash was made on) so that
+// conflicts end up in the working tree and index like any other merge conflict
+
+const fs = require('fs');
+const path = require('path');
+const git = require('isomorphic-git');
+const gitMerge = require('./gitMerge');
+
+// reflog の1行: "<old> <new> <名前> <メール> <時刻> <タイムゾーン>\t<メッセージ>"
+const REFLOG_PATTERN = /^([0-9a-f]{40}) ([0-9a-f]{40}) .* (\d+) ([+-]\d{4})\t(.*)$/;
+
+/**
+ * List stash entries, newest first (index 0 is stash@{0})
+ * @returns {{index: number, oid: string, message: string, timestamp: number}[]}
+ */
+function listStashes(dir) {
+    const logPath = path.join(dir, '.git', 'logs', 'refs', 'stash');
+    if (!fs.existsSync(logPath)) return [];
+
+    return fs.readFileSync(logPath, 'utf8')
+        .split('\n')
+        .filter(line => line)
+        .reverse()
+        .map((line, index) => {
+            const match = line.match(REFLOG_PATTERN);
+            if (!match) return { index, oid: line.split(' ')[1], message: '', timestamp: 0 };
+            return { index, oid: match[2], message: match[5], timestamp: Number(match[3]) };
+        });
+}
+
+function getStash(dir, index) {
+    const entry = listStashes(dir)[index];
+    if (!entry) {
+        throw new Error(`スタッシュが見つかりません: stash@{${index}}`);
+    }
+    return entry;
+}
+
+/**
+ * File system for git.stash, which reads the author only from the repository's own config:
+ * the given author (which may come from the global config) is appended to that config when it is read
+ */
+function fsWithAuthor(dir, author) {
+    const configPath = path.resolve(dir, '.git', 'config');
+    // isomorphic-git の設定の読み込みは \" だけを戻す（\\ はそのまま）
+    const quote = value => `"${String(value).replace(/"/g, '\\"')}"`;
+    const section = `\n[user]\n\tname = ${quote(author.name)}\n\temail = ${quote(author.email)}\n`;
+    return {
+        promises: {
+            ...fs.promises,
+            readFile: async (filepath, options) => {
+                const data = await fs.promises.readFile(filepath, options);
+                if (path.resolve(filepath) !== configPath) return data;
+                return typeof data === 'string' ? data + section : Buffer.concat([data, Buffer.from(section)]);
+            }
+        }
+    };
+}
+
+/**
+ * Stash the tracked changes (staged and unstaged) and reset the working tree to HEAD
+ * @param {{name: string, email: string}} author - the author of the stash commits
+ * @returns {Promise<string>} the stash commit oid
+ */
+async function pushStash(dir, message, author) {
+    try {
+        return await git.stash({ fs: fsWithAuthor(dir, author), dir, op: 'push', message: message || '' });
+    } catch (error) {
+        if (error.code === 'NotFoundError') throw new Error('スタッシュする変更がありません');
+        if (error.code === 'MissingNameError') throw new Error('スタッシュするには user.name と user.email の設定が必要です');
+        throw error;
+    }
+}
+
+/**
+ * Apply a stash on top of the current HEAD
+ * Local changes to the files the stash touches would be overwritten, so they are refused.
+ * Without conflicts the changes are left unstaged (new files are staged, as Git does);
+ * with conflicts, conflict markers and unmerged index entries are written.
+ * @returns {Promise<{filepaths: string[]}|null>} the conflicts, or null if it applied cleanly
+ */
+async function applyStash(dir, index) {
+    const entry = getStash(dir, index);
+    const branch = await git.currentBranch({ fs, dir });
+    if (!branch) {
+        throw new Error('ブランチをチェックアウトしてから適用してください');
+    }
+    if (gitMerge.readMergeState(dir) || gitMerge.readUnmergedEntries(dir).size > 0) {
+        throw new Error('未解決の競合があるため適用できません');
+    }
+
+    const { commit } = await git.readCommit({ fs, dir, oid: entry.oid });
+    // マージ結果のコミットはどのブランチにも残らないので、作者はスタッシュのものを使う
+    const { name, email } = commit.author;
+    const touched = (await gitMerge.listChangedBlobs(dir, commit.parent[0], entry.oid)).map(c => c.filepath);
+    const matrix = await git.statusMatrix({ fs, dir, filepaths: touched });
+    const dirty = matrix
+        .filter(([, head, workdir, stage]) => !(head === 1 && workdir === 1 && stage === 1) && !(head === 0 && workdir === 0))
+        .map(([filepath]) => filepath);
+    if (dirty.length > 0) {
+        throw new Error(`ローカルの変更が上書きされるため適用できません: ${dirty.join(', ')}`);
+    }
+
+    // ブランチは動かさずにマージ結果のツリーだけを作る
+    const { result, conflict } = await gitMerge.mergeWithConflicts({
+        dir,
+        branch,
+        theirs: entry.oid,
+        author: { name, email },
+        message: `Apply stash@{${index}}`,
+        fastForward: false,
+        noUpdateBranch: true
+    });
+    if (conflict) return conflict;
+
+    const headOid = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+    const { commit: merged } = await git.readCommit({ fs, dir, oid: result.oid });
+    for (const change of await gitMerge.listChangedBlobs(dir, headOid, merged.tree)) {
+        const fullPath = path.join(dir, change.filepath);
+        if (change.b) {
+            const { blob } = await git.readBlob({ fs, dir, oid: change.b });
+            fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+            fs.writeFileSync(fullPath, Buffer.from(blob));
+        } else if (fs.existsSync(fullPath)) {
+            fs.unlinkSync(fullPath);
+        }
+        // マージで更新されたインデックスを戻し、新規ファイルだけをステージする
+        if (change.a) {
+            await git.resetIndex({ fs, dir, filepath: change.filepath });
+        } else {
+            await git.add({ fs, dir, filepath: change.filepath });
+        }
+    }
+    return null;
+}
+
+/**
+ * Remove a stash entry
+ */
+async function dropStash(dir, index) {
+    getStash(dir, index);
+    await git.stash({ fs, dir, op: 'drop', refIdx: index });
+}
+
+module.exports = {
+    listStashes,
+    pushStash,
+    applyStash,
+    dropStash
+};
@@ -0,0 +1,136 @@
+// gitWatcher.js
+// Background watcher that keeps the Git status of a repository up to date
+// The working tree is watched recursively; changed paths are collected for a short time and
+// only those paths are passed to statusMatrix. Changes to .git/index, .git/HEAD and the refs
+// affect every file, so they trigger a full statusMatrix instead
+
+const fs = require('fs');
+const git = require('isomorphic-git');
+
+// .git 内で状態に影響するファイル
+const INDEX_FILES = ['index', 'MERGE_HEAD'];
+const HEAD_FILES = ['HEAD', 'packed-refs'];
+
+function isUnmodified([, head, workdir, stage]) {
+    return head === 1 && workdir === 1 && stage === 1;
+}
+
+class RepositoryWatcher {
+    /**
+     * @param {string} dir - repository root
+     * @param {(update: {matrix: Array, headChanged: boolean, indexChanged: boolean}) => void} onChange
+     *   called with the statusMatrix rows of the modified files whenever the status changes
+     * @param {{delay?: number}} options - debounce delay in milliseconds
+     */
+    constructor(dir, onChange, { delay = 300 } = {}) {
+        this.dir = dir;
+        this.onChange = onChange;
+        this.delay = delay;
+        // filepath -> statusMatrix の行（未変更のファイルは持たない）
+        this.rows = new Map();
+        this.watcher = null;
+        this.timer = null;
+        this.running = null;
+        this.pending = { paths: new Set(), full: false, headChanged: false, indexChanged: false };
+        this.lastSignature = null;
+    }
+
+    async start() {
+        await this.recompute(null);
+        this.lastSignature = this.signature();
+
+        const listener = (eventType, filename) => this.handleEvent(filename);
+        try {
+            this.watcher = fs.watch(this.dir, { recursive: true }, listener);
+        } catch (error) {
+            // 再帰監視に対応していない環境では直下のみ監視する
+            this.watcher = fs.watch(this.dir, listener);
+        }
+        this.watcher.on('error', () => this.close());
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    handleEvent(filename) {
+        if (!this.watcher) return;
+        const pending = this.pending;
+        const filepath = filename ? filename.toString().split('\\').join('/') : null;
+
+        if (!filepath) {
+            pending.full = true;
+        } else if (filepath === '.git' || filepath.startsWith('.git/')) {
+            const name = filepath.substring('.git/'.length);
+            if (INDEX_FILES.includes(name)) {
+                pending.indexChanged = true;
+            } else if (HEAD_FILES.includes(name) || name.startsWith('refs/heads/')) {
+                pending.headChanged = true;
+            } else {
+                // オブジェクトやロックファイルの書き込みは無視する
+                return;
+            }
+            pending.full = true;
+        } else {
+            pending.paths.add(filepath);
+        }
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.delay);
+    }
+
+    async flush() {
+        // 前回の再計算が終わってから次を行う
+        while (this.running) {
+            await this.running;
+        }
+        if (!this.watcher) return;
+        const { paths, full, headChanged, indexChanged } = this.pending;
+        if (!full && paths.size === 0) return;
+        this.pending = { paths: new Set(), full: false, headChanged: false, indexChanged: false };
+
+        this.running = this.recompute(full ? null : [...paths])
+            .catch(error => console.error('Failed to update Git status:', error))
+            .finally(() => { this.running = null; });
+        await this.running;
+        if (!this.watcher) return;
+
+        const signature = this.signature();
+        if (signature === this.lastSignature && !headChanged && !indexChanged) return;
+        this.lastSignature = signature;
+        this.onChange({ matrix: [...this.rows.values()], headChanged, indexChanged });
+    }
+
+    /**
+     * Update the cached rows for the given paths (null = the whole repository)
+     */
+    async recompute(filepaths) {
+        if (!filepaths) {
+            const matrix = await git.statusMatrix({ fs, dir: this.dir });
+            this.rows = new Map(matrix.filter(row => !isUnmodified(row)).map(row => [row[0], row]));
+            return;
+        }
+
+        // ディレクトリの変更はその配下をまとめて読み直す
+        const matrix = await git.statusMatrix({ fs, dir: this.dir, filepaths });
+        for (const filepath of [...this.rows.keys()]) {
+            if (filepaths.some(changed => filepath === changed || filepath.startsWith(`${changed}/`))) {
+                this.rows.delete(filepath);
+            }
+        }
+        matrix.filter(row => !isUnmodified(row)).forEach(row => this.rows.set(row[0], row));
+    }
+
+    signature() {
+        return [...this.rows.values()].map(row => row.join(':')).sort().join('\n');
+    }
+}
+
+module.exports = {
+    RepositoryWatcher
+};
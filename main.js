@@ -1,5 +1,5 @@
 // Modules to control application life and create native browser window
-const { app, BrowserWindow, ipcMain, dialog, session } = require('electron')
+const { app, BrowserWindow, ipcMain, dialog, session, safeStorage } = require('electron')
 const path = require('node:path')
 const fs = require('fs')
 const { exec } = require('child_process')
@@ -8,6 +8,14 @@ const os = require('os')
 const git = require('isomorphic-git')
 const http = require('isomorphic-git/http/node')
 const { terminalService } = require('./terminalService');
+const { CredentialStore, createAuthCallbacks } = require('./gitCredentials');
+const { diffLines, computeHunks, applyHunks, isSameHunk, mergeTexts } = require('./diffUtils');
+const gitMerge = require('./gitMerge');
+const gitStash = require('./gitStash');
+const proseDiff = require('./proseDiff');
+const gitGraph = require('./gitGraph');
+const { RepositoryWatcher } = require('./gitWatcher');
+const { OpenFileWatcher, readFileVersion } = require('./fileWatcher');
 
 // 各ウィンドウごとのカレントディレクトリを保持
 const workingDirectories = new Map();
@@ -42,6 +50,62 @@ function saveTerminalState() {
   }
 }
 
+/**
+ * Load per-workspace settings from disk
+ * @returns {Object} settings keyed by workspace folder path
+ */
+function loadWorkspaceSettings() {
+  const settingsPath = path.join(app.getPath('userData'), 'workspace-settings.json');
+  try {
+    if (fs.existsSync(settingsPath)) {
+      return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Failed to load workspace settings:', error);
+  }
+  return {};
+}
+
+/**
+ * Save per-workspace settings to disk
+ */
+function saveWorkspaceSettings(allSettings) {
+  const settingsPath = path.join(app.getPath('userData'), 'workspace-settings.json');
+  try {
+    fs.writeFileSync(settingsPath, JSON.stringify(allSettings, null, 2), 'utf8');
+  } catch (error) {
+    console.error('Failed to save workspace settings:', error);
+  }
+}
+
+/**
+ * Load the editor sessions (open tabs, cursor positions and unsaved buffers) from disk
+ * @returns {{lastFolder: string|null, sessions: Object}} sessions keyed by workspace folder path
+ */
+function loadEditorSessions() {
+  const sessionPath = path.join(app.getPath('userData'), 'editor-session.json');
+  try {
+    if (fs.existsSync(sessionPath)) {
+      const data = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+      if (data && data.sessions) return data;
+    }
+  } catch (error) {
+    console.error('Failed to load editor session:', error);
+  }
+  return { lastFolder: null, sessions: {} };
+}
+
+/**
+ * Save the editor sessions to disk
+ * Written to a temporary file and renamed, so a crash while writing keeps the previous sessions
+ */
+function saveEditorSessions(data) {
+  const sessionPath = path.join(app.getPath('userData'), 'editor-session.json');
+  const tempPath = `${sessionPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data), 'utf8');
+  fs.renameSync(tempPath, sessionPath);
+}
+
 /**
  * 全ての起動中ターミナルのカレントディレクトリを変更するヘルパー関数
  * @param {string} targetPath - 移動先のディレクトリパス
@@ -282,6 +346,12 @@ function createWindow() {
     workingDirectories.set(webContentsId, os.homedir());
   }
 
+  // 起動時の最初のウィンドウでは前回のフォルダを開く（タブは renderer が session:load で復元する）
+  const { lastFolder } = loadEditorSessions();
+  if (BrowserWindow.getAllWindows().length === 1 && lastFolder && fs.existsSync(lastFolder)) {
+    workingDirectories.set(webContentsId, lastFolder);
+  }
+
   // Save state periodically
   const saveInterval = setInterval(() => {
     try {
@@ -291,20 +361,121 @@ function createWindow() {
     }
   }, 30000); // Every 30 seconds
 
+  // 未保存のファイルがあれば renderer で確認してから閉じる（window-close-response で続行）
+  const window = mainWindow;
+  window.on('close', (event) => {
+    if (confirmedCloseWindows.has(window) || window.webContents.isCrashed()) return;
+    event.preventDefault();
+    requestWindowClose(window);
+  });
+
   // ウィンドウが閉じられたらマップから削除
   mainWindow.on('closed', () => {
     clearInterval(saveInterval);
     workingDirectories.delete(webContentsId);
+    sessionFolders.delete(webContentsId);
     mainWindow = null;
   });
 }
 
+// 未保存の確認が済み、閉じてよいウィンドウ
+const confirmedCloseWindows = new WeakSet();
+// 終了（Cmd+Q など）の途中でウィンドウを閉じようとしているか
+let quitRequested = false;
+
+app.on('before-quit', () => {
+  quitRequested = true;
+});
+
+// renderer が問い合わせを受け取るまでの待ち時間。受け取らなければ（読み込みに失敗したなど）そのまま閉じる
+const CLOSE_ACK_TIMEOUT = 5000;
+const closeAckTimers = new WeakMap();
+
+function requestWindowClose(window) {
+  clearTimeout(closeAckTimers.get(window));
+  closeAckTimers.set(window, setTimeout(() => {
+    console.error('Renderer did not answer the close request, closing the window');
+    confirmWindowClose(window);
+  }, CLOSE_ACK_TIMEOUT));
+  window.webContents.send('window:close-requested');
+}
+
+function confirmWindowClose(window) {
+  if (window.isDestroyed()) return;
+  confirmedCloseWindows.add(window);
+  if (quitRequested) {
+    app.quit();
+  } else {
+    window.close();
+  }
+}
+
+ipcMain.on('window-close-ack', (event) => {
+  const window = BrowserWindow.fromWebContents(event.sender);
+  if (window) clearTimeout(closeAckTimers.get(window));
+});
+
+ipcMain.handle('window-close-response', (event, confirmed) => {
+  const window = BrowserWindow.fromWebContents(event.sender);
+  if (!window) return;
+  clearTimeout(closeAckTimers.get(window));
+  if (!confirmed) {
+    quitRequested = false;
+    return;
+  }
+  confirmWindowClose(window);
+});
+
 // カレントディレクトリを取得
 ipcMain.handle('get-current-directory', async (event) => {
   const webContentsId = event.sender.id;
   return workingDirectories.get(webContentsId) || os.homedir();
 });
 
+// ワークスペース（開いているフォルダ）ごとの設定
+ipcMain.handle('workspace:get-settings', async (event, workspacePath) => {
+  return loadWorkspaceSettings()[workspacePath] || {};
+});
+
+ipcMain.handle('workspace:update-settings', async (event, workspacePath, updates) => {
+  const allSettings = loadWorkspaceSettings();
+  allSettings[workspacePath] = { ...(allSettings[workspacePath] || {}), ...updates };
+  saveWorkspaceSettings(allSettings);
+  return allSettings[workspacePath];
+});
+
+// エディタのセッション（開いているタブと未保存の内容）
+// セッションはフォルダごとに保存し、同じフォルダを開いている別のウィンドウとは共有しない
+// webContents ID → そのウィンドウがセッションを読み書きしているフォルダ
+const sessionFolders = new Map();
+
+function isSessionClaimedByOther(webContentsId, folder) {
+  return [...sessionFolders].some(([id, claimed]) => id !== webContentsId && claimed === folder);
+}
+
+ipcMain.handle('session:load', async (event, folder) => {
+  if (isSessionClaimedByOther(event.sender.id, folder)) return null;
+  sessionFolders.set(event.sender.id, folder);
+  return loadEditorSessions().sessions[folder] || null;
+});
+
+ipcMain.handle('session:save', async (event, session) => {
+  try {
+    if (isSessionClaimedByOther(event.sender.id, session.folder)) {
+      return { success: false, error: '同じフォルダを開いている別のウィンドウがあります' };
+    }
+    sessionFolders.set(event.sender.id, session.folder);
+    const data = loadEditorSessions();
+    data.sessions[session.folder] = session;
+    data.lastFolder = session.folder;
+    saveEditorSessions(data);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to save editor session:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // 自動補完候補を取得
 ipcMain.handle('get-completion-candidates', async (event, prefix, currentDir) => {
   return new Promise((resolve) => {
@@ -464,33 +635,244 @@ ipcMain.handle('execute-command', async (event, command, currentDir) => {
 });
 
 // Git operations
+
+/**
+ * 指定パスを含むリポジトリのルートディレクトリを返す
+ * ワークスペースがリポジトリのサブフォルダの場合も同じリポジトリを操作できるようにする
+ * @param {string} repoPath - ワークスペース（またはその配下）のパス
+ * @returns {Promise<string>} リポジトリのルートパス（見つからない場合は repoPath）
+ */
+async function resolveRepoDir(repoPath) {
+  const dir = repoPath || os.homedir();
+  try {
+    return await git.findRoot({ fs, filepath: dir });
+  } catch (e) {
+    return dir;
+  }
+}
+
+// フォルダがGitリポジトリ内にあるか
+async function isInsideRepository(repoPath) {
+  try {
+    await git.findRoot({ fs, filepath: repoPath || os.homedir() });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
 ipcMain.handle('git-status', async (event, repoPath) => {
   try {
-    const dir = repoPath || os.homedir();
+    if (!(await isInsideRepository(repoPath))) {
+      return { success: false, notRepository: true, error: 'Gitリポジトリではありません' };
+    }
+
+    const dir = await resolveRepoDir(repoPath);
     const matrix = await git.statusMatrix({ fs, dir });
+    return { success: true, dir, ...summarizeStatusMatrix(matrix) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
-    const staged = [];
-    const unstaged = [];
+/**
+ * statusMatrix の結果をステージ済み / 未ステージの変更に分ける
+ * @returns {{staged: {filepath: string, status: string}[], unstaged: {filepath: string, status: string}[]}}
+ */
+function summarizeStatusMatrix(matrix) {
+  const staged = [];
+  const unstaged = [];
+
+  // statusMatrix returns [filepath, HEADStatus, WorkdirStatus, StageStatus]
+  // https://isomorphic-git.org/docs/en/statusMatrix
+  for (const [filepath, HEADStatus, WorkdirStatus, StageStatus] of matrix) {
+    // Skip unmodified files
+    if (HEADStatus === 1 && WorkdirStatus === 1 && StageStatus === 1) continue;
+
+    // Unstaged changes (workdir different from stage)
+    if (WorkdirStatus !== StageStatus) {
+      unstaged.push({ filepath, status: getStatusText(HEADStatus, WorkdirStatus, StageStatus, 'workdir') });
+    }
 
-    // statusMatrix returns [filepath, HEADStatus, WorkdirStatus, StageStatus]
-    // https://isomorphic-git.org/docs/en/statusMatrix
-    for (const [filepath, HEADStatus, WorkdirStatus, StageStatus] of matrix) {
-      // Skip unmodified files
-      if (HEADStatus === 1 && WorkdirStatus === 1 && StageStatus === 1) continue;
+    // Staged changes (stage different from HEAD)
+    if (StageStatus !== HEADStatus) {
+      staged.push({ filepath, status: getStatusText(HEADStatus, WorkdirStatus, StageStatus, 'stage') });
+    }
+  }
 
-      // Unstaged changes (workdir different from stage)
-      if (WorkdirStatus !== StageStatus) {
-        unstaged.push({ filepath, status: getStatusText(HEADStatus, WorkdirStatus, StageStatus, 'workdir') });
-      }
+  // 監視による部分更新でも git-status と同じ順序になるようにする
+  const byPath = (a, b) => a.filepath.localeCompare(b.filepath);
+  return { staged: staged.sort(byPath), unstaged: unstaged.sort(byPath) };
+}
+
+// ウィンドウごとのリポジトリ監視（ターミナルなど外部での変更を git:status-changed で通知する）
+const repositoryWatchers = new Map();
+// 終了時に監視を止める処理を登録済みの webContents
+const watchedWebContents = new WeakSet();
+
+function stopRepositoryWatcher(webContentsId) {
+  const watcher = repositoryWatchers.get(webContentsId);
+  if (watcher) {
+    watcher.close();
+    repositoryWatchers.delete(webContentsId);
+  }
+}
 
-      // Staged changes (stage different from HEAD)
-      if (StageStatus !== HEADStatus) {
-        staged.push({ filepath, status: getStatusText(HEADStatus, WorkdirStatus, StageStatus, 'stage') });
+ipcMain.handle('git-watch', async (event, repoPath) => {
+  const webContents = event.sender;
+  stopRepositoryWatcher(webContents.id);
+  try {
+    if (!repoPath || !(await isInsideRepository(repoPath))) {
+      return { success: true, watching: false };
+    }
+
+    const dir = await resolveRepoDir(repoPath);
+    const watcher = new RepositoryWatcher(dir, ({ matrix, headChanged, indexChanged }) => {
+      if (webContents.isDestroyed()) return;
+      webContents.send('git:status-changed', { dir, ...summarizeStatusMatrix(matrix), headChanged, indexChanged });
+    });
+    repositoryWatchers.set(webContents.id, watcher);
+    if (!watchedWebContents.has(webContents)) {
+      watchedWebContents.add(webContents);
+      const id = webContents.id;
+      webContents.once('destroyed', () => stopRepositoryWatcher(id));
+    }
+    await watcher.start();
+    return { success: true, watching: true, dir };
+  } catch (error) {
+    stopRepositoryWatcher(webContents.id);
+    return { success: false, error: error.message };
+  }
+});
+
+// ファイルツリーの項目のうち .gitignore で無視されるものを返す
+ipcMain.handle('git-ignored-paths', async (event, repoPath, entries) => {
+  try {
+    if (!(await isInsideRepository(repoPath))) {
+      return { success: true, ignored: [] };
+    }
+
+    const dir = await resolveRepoDir(repoPath);
+    const ignored = [];
+    for (const entry of entries) {
+      const filepath = toRepoRelativePath(dir, entry.path);
+      if (!filepath || filepath.startsWith('..')) continue;
+      // ディレクトリ用のパターン（build/ など）は末尾のスラッシュがないと一致しない
+      if (await git.isIgnored({ fs, dir, filepath: entry.isDirectory ? `${filepath}/` : filepath })) {
+        ignored.push(entry.path);
       }
     }
+    return { success: true, ignored };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 初期化時に作成する .gitignore
+const DEFAULT_GITIGNORE = [
+  '# OS',
+  '.DS_Store',
+  'Thumbs.db',
+  'desktop.ini',
+  '',
+  '# Editor',
+  '.vscode/',
+  '.idea/',
+  '*.swp',
+  '*~',
+  '',
+  '# Node',
+  'node_modules/',
+  ''
+].join('\n');
+
+// フォルダをGitリポジトリとして初期化する
+ipcMain.handle('git-init', async (event, repoPath, options = {}) => {
+  try {
+    if (!repoPath) {
+      return { success: false, error: 'フォルダが開かれていません' };
+    }
+    if (fs.existsSync(path.join(repoPath, '.git'))) {
+      return { success: false, error: '既にGitリポジトリです' };
+    }
+
+    await git.init({ fs, dir: repoPath, defaultBranch: options.defaultBranch || 'main' });
+
+    const gitignorePath = path.join(repoPath, '.gitignore');
+    if (options.gitignore && !fs.existsSync(gitignorePath)) {
+      fs.writeFileSync(gitignorePath, DEFAULT_GITIGNORE, 'utf8');
+    }
+
+    return { success: true, dir: repoPath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// URLからクローン先のフォルダ名を決める（例: https://host/user/notes.git → notes）
+function repositoryNameFromUrl(url) {
+  const name = url.replace(/[\\/]+$/, '').split(/[\\/:]/).pop() || 'repository';
+  return name.replace(/\.git$/, '') || 'repository';
+}
+
+// リポジトリをクローンし、クローンしたフォルダを作業ディレクトリにする
+ipcMain.handle('git-clone', async (event, options = {}) => {
+  let targetDir = null;
+  let createdTarget = false;
+  try {
+    const url = (options.url || '').trim();
+    if (!url) {
+      return { success: false, error: 'URLを入力してください' };
+    }
+
+    const mainWindow = BrowserWindow.fromWebContents(event.sender);
+    const selection = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openDirectory', 'createDirectory'],
+      title: 'クローン先のフォルダを選択してください'
+    });
+    if (selection.canceled || selection.filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    targetDir = path.join(selection.filePaths[0], options.name || repositoryNameFromUrl(url));
+    if (fs.existsSync(targetDir) && fs.readdirSync(targetDir).length > 0) {
+      return { success: false, error: `フォルダが既に存在し、空ではありません: ${targetDir}` };
+    }
+    if (!fs.existsSync(targetDir)) {
+      fs.mkdirSync(targetDir, { recursive: true });
+      createdTarget = true;
+    }
+
+    const depth = parseInt(options.depth, 10);
+    await git.clone({
+      fs,
+      http,
+      dir: targetDir,
+      url,
+      ref: options.branch || undefined,
+      singleBranch: !!options.branch,
+      depth: depth > 0 ? depth : undefined,
+      onProgress: (progress) => {
+        if (!event.sender.isDestroyed()) {
+          event.sender.send('git:clone-progress', progress);
+        }
+      },
+      ...getAuthCallbacks(event)
+    });
 
-    return { success: true, staged, unstaged };
+    workingDirectories.set(event.sender.id, targetDir);
+    changeAllTerminalsDirectory(targetDir);
+
+    return { success: true, path: targetDir };
   } catch (error) {
+    // 途中まで作成したフォルダは残さない
+    if (createdTarget && targetDir) {
+      try {
+        fs.rmSync(targetDir, { recursive: true, force: true });
+      } catch (e) {
+        console.error('Failed to clean up clone directory:', e);
+      }
+    }
     return { success: false, error: error.message };
   }
 });
@@ -498,9 +880,9 @@ ipcMain.handle('git-status', async (event, repoPath) => {
 // Helper function to get status text
 function getStatusText(HEADStatus, WorkdirStatus, StageStatus, type) {
   if (type === 'workdir') {
-    if (HEADStatus === 0 && WorkdirStatus === 2) return 'new';
-    if (HEADStatus === 1 && WorkdirStatus === 2) return 'modified';
-    if (HEADStatus === 1 && WorkdirStatus === 0) return 'deleted';
+    if (WorkdirStatus === 0) return 'deleted';
+    if (HEADStatus === 0 && StageStatus === 0) return 'new';
+    if (WorkdirStatus === 2 || HEADStatus === 1) return 'modified';
   } else if (type === 'stage') {
     if (HEADStatus === 0 && StageStatus === 2) return 'added';
     if (HEADStatus === 1 && StageStatus === 2) return 'modified';
@@ -511,7 +893,7 @@ function getStatusText(HEADStatus, WorkdirStatus, StageStatus, type) {
 
 ipcMain.handle('git-add', async (event, repoPath, filepath) => {
   try {
-    const dir = repoPath || os.homedir();
+    const dir = await resolveRepoDir(repoPath);
     await git.add({ fs, dir, filepath });
     return { success: true };
   } catch (error) {
@@ -521,7 +903,7 @@ ipcMain.handle('git-add', async (event, repoPath, filepath) => {
 
 ipcMain.handle('git-remove', async (event, repoPath, filepath) => {
   try {
-    const dir = repoPath || os.homedir();
+    const dir = await resolveRepoDir(repoPath);
     await git.remove({ fs, dir, filepath });
     return { success: true };
   } catch (error) {
@@ -529,137 +911,1529 @@ ipcMain.handle('git-remove', async (event, repoPath, filepath) => {
   }
 });
 
-ipcMain.handle('git-commit', async (event, repoPath, message) => {
+// ステージを取り消す（インデックスをHEADの状態に戻す）
+ipcMain.handle('git-reset-index', async (event, repoPath, filepath) => {
   try {
-    const dir = repoPath || os.homedir();
-
-    // Get author info from git config or use defaults
-    let author = {
-      name: 'User',
-      email: 'user@example.com'
-    };
+    const dir = await resolveRepoDir(repoPath);
+    await git.resetIndex({ fs, dir, filepath });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
 
+// 変更を破棄する（HEADの内容に戻す。HEADに存在しない新規ファイルは削除）
+ipcMain.handle('git-discard', async (event, repoPath, filepath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    let existsInHead = true;
     try {
-      const name = await git.getConfig({ fs, dir, path: 'user.name' });
-      const email = await git.getConfig({ fs, dir, path: 'user.email' });
-      if (name) author.name = name;
-      if (email) author.email = email;
+      const head = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+      await git.readBlob({ fs, dir, oid: head, filepath });
     } catch (e) {
-      // Use defaults if config not found
+      existsInHead = false;
     }
 
-    const sha = await git.commit({
-      fs,
-      dir,
-      message,
-      author
-    });
-
-    return { success: true, sha };
+    if (existsInHead) {
+      await git.checkout({ fs, dir, force: true, filepaths: [filepath] });
+    } else {
+      // インデックスに追加済みなら取り除いてから削除
+      await git.remove({ fs, dir, filepath });
+      fs.rmSync(path.join(dir, filepath), { force: true });
+    }
+    return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('git-push', async (event, repoPath) => {
+// --- Commit identity ---
+// isomorphic-git の設定 API はリポジトリの config しか扱わないため、
+// 仮想的な gitdir の config への読み書きをグローバル設定ファイル (~/.gitconfig) に振り向ける
+const GLOBAL_CONFIG_GITDIR = path.join(os.homedir(), '.markdown-git-global');
+const globalConfigFs = {
+  promises: Object.fromEntries(Object.entries(fs.promises).map(([name, fn]) => [
+    name,
+    (filepath, ...args) => fn(
+      filepath === path.join(GLOBAL_CONFIG_GITDIR, 'config') ? path.join(os.homedir(), '.gitconfig') : filepath,
+      ...args
+    )
+  ]))
+};
+
+// 以前の既定値など、履歴に残すべきでない仮の ID
+const PLACEHOLDER_EMAILS = ['user@example.com'];
+
+function isPlaceholderIdentity({ name, email }) {
+  return !name || !email || PLACEHOLDER_EMAILS.includes(email.toLowerCase());
+}
+
+/**
+ * user.name / user.email を読む
+ * @param {'global'|'local'} scope - global は ~/.gitconfig、local はリポジトリの .git/config
+ * @returns {Promise<{name: string, email: string}>} 未設定の項目は空文字
+ */
+async function readIdentity(dir, scope) {
+  const options = scope === 'global' ? { fs: globalConfigFs, gitdir: GLOBAL_CONFIG_GITDIR } : { fs, dir };
   try {
-    const dir = repoPath || os.homedir();
-    await git.push({
-      fs,
-      http,
-      dir,
-      remote: 'origin',
-      ref: 'main'
-    });
-    return { success: true };
-  } catch (error) {
-    return { success: false, error: error.message };
+    const name = await git.getConfig({ ...options, path: 'user.name' });
+    const email = await git.getConfig({ ...options, path: 'user.email' });
+    return { name: name || '', email: email || '' };
+  } catch (e) {
+    return { name: '', email: '' };
   }
-});
+}
 
-ipcMain.handle('git-pull', async (event, repoPath) => {
+/**
+ * コミットに使う作成者（リポジトリの設定 → グローバル設定の順）
+ * 未設定または仮の ID の場合はコミットさせない
+ */
+async function getCommitAuthor(dir) {
+  const local = await readIdentity(dir, 'local');
+  const global = await readIdentity(dir, 'global');
+  const author = { name: local.name || global.name, email: local.email || global.email };
+
+  if (isPlaceholderIdentity(author)) {
+    const error = new Error('コミットする前に、設定で名前 (user.name) とメールアドレス (user.email) を設定してください');
+    error.code = 'MissingIdentity';
+    throw error;
+  }
+  return author;
+}
+
+ipcMain.handle('git-get-identity', async (event, repoPath) => {
   try {
-    const dir = repoPath || os.homedir();
-    await git.pull({
-      fs,
-      http,
-      dir,
-      remote: 'origin',
-      ref: 'main',
-      singleBranch: true
-    });
-    return { success: true };
+    const inRepository = await isInsideRepository(repoPath);
+    const dir = inRepository ? await resolveRepoDir(repoPath) : null;
+    return {
+      success: true,
+      global: await readIdentity(dir, 'global'),
+      local: inRepository ? await readIdentity(dir, 'local') : null
+    };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-// File operations
-ipcMain.handle('save-file', async (event, filepath, content) => {
+// identity の空欄はその設定を削除する（local ならグローバル設定が使われる）
+ipcMain.handle('git-set-identity', async (event, repoPath, scope, identity) => {
   try {
-    const webContentsId = event.sender.id;
-    const cwd = workingDirectories.get(webContentsId) || os.homedir();
-    const fullPath = path.isAbsolute(filepath) ? filepath : path.join(cwd, filepath);
+    const name = (identity.name || '').trim();
+    const email = (identity.email || '').trim();
+    if (email && !/^[^@\s]+@[^@\s]+$/.test(email)) {
+      return { success: false, error: `メールアドレスの形式が正しくありません: ${email}` };
+    }
+    if (PLACEHOLDER_EMAILS.includes(email.toLowerCase())) {
+      return { success: false, error: `${email} は仮のメールアドレスのため使用できません` };
+    }
 
-    // Create directory if it doesn't exist
-    const dir = path.dirname(fullPath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
+    let options;
+    if (scope === 'global') {
+      options = { fs: globalConfigFs, gitdir: GLOBAL_CONFIG_GITDIR };
+    } else {
+      if (!(await isInsideRepository(repoPath))) {
+        return { success: false, error: 'Gitリポジトリではありません' };
+      }
+      options = { fs, dir: await resolveRepoDir(repoPath) };
     }
 
-    fs.writeFileSync(fullPath, content, 'utf8');
-    return { success: true, path: fullPath };
+    await git.setConfig({ ...options, path: 'user.name', value: name || undefined });
+    await git.setConfig({ ...options, path: 'user.email', value: email || undefined });
+    return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('load-file', async (event, filepath) => {
+ipcMain.handle('git-commit', async (event, repoPath, message) => {
   try {
-    const content = fs.readFileSync(filepath, 'utf8');
-    return content;
-  } catch (error) {
-    console.error('Failed to load file:', error);
-    throw error;
-  }
-});
+    const dir = await resolveRepoDir(repoPath);
+    const author = await getCommitAuthor(dir);
 
-ipcMain.handle('read-directory', async (event, dirPath) => {
-  try {
-    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-    const items = entries.map(entry => ({
-      name: entry.name,
-      isDirectory: entry.isDirectory(),
-      path: path.join(dirPath, entry.name)
-    })).sort((a, b) => {
-      // フォルダを先に表示
-      if (a.isDirectory !== b.isDirectory) {
-        return b.isDirectory ? 1 : -1;
-      }
-      return a.name.localeCompare(b.name);
+    // マージ中はマージコミットとして記録する
+    if (gitMerge.readMergeState(dir)) {
+      const sha = await gitMerge.commitMerge(dir, { message, author });
+      return { success: true, sha, merge: true };
+    }
+
+    const sha = await git.commit({
+      fs,
+      dir,
+      message,
+      author
     });
-    return items;
+
+    return { success: true, sha };
   } catch (error) {
-    console.error('Failed to read directory:', error);
-    return [];
+    return { success: false, identityRequired: error.code === 'MissingIdentity', error: error.message };
   }
 });
 
-ipcMain.handle('delete-file', async (event, filepath) => {
+// 自動スナップショットのコミットメッセージ（変更したノートを列挙する）
+const SNAPSHOT_STATUS_LABELS = { added: '追加', modified: '変更', deleted: '削除' };
+const SNAPSHOT_SUBJECT_FILES = 3;
+
+function buildSnapshotMessage(changes, date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  const names = changes.map(change => path.posix.basename(change.filepath));
+  const rest = names.length - SNAPSHOT_SUBJECT_FILES;
+  const subject = `自動スナップショット ${stamp}: ${names.slice(0, SNAPSHOT_SUBJECT_FILES).join(', ')}${rest > 0 ? ` 他${rest}件` : ''}`;
+  const body = changes.map(change => `- ${SNAPSHOT_STATUS_LABELS[change.status]}: ${change.filepath}`);
+  return `${subject}\n\n${body.join('\n')}\n`;
+}
+
+// すべての変更をステージしてコミットする（変更がなければ何もしない）
+ipcMain.handle('git-auto-snapshot', async (event, repoPath) => {
   try {
-    if (fs.existsSync(filepath)) {
-      // ★変更: ファイルだけでなくフォルダも再帰的に削除できるように変更
-      fs.rmSync(filepath, { recursive: true, force: true });
-      return true;
+    if (!(await isInsideRepository(repoPath))) {
+      return { success: false, error: 'Gitリポジトリではありません' };
     }
-    return false;
-  } catch (error) {
-    console.error('Failed to delete file/directory:', error);
-    throw error;
-  }
-});
 
-ipcMain.handle('create-directory', async (event, dirPath) => {
+    const dir = await resolveRepoDir(repoPath);
+    if (gitMerge.readMergeState(dir) || gitMerge.readUnmergedEntries(dir).size > 0) {
+      return { success: true, committed: false, reason: 'conflict' };
+    }
+    if (!(await git.currentBranch({ fs, dir }))) {
+      return { success: true, committed: false, reason: 'detached' };
+    }
+
+    const changes = [];
+    const matrix = await git.statusMatrix({ fs, dir });
+    for (const [filepath, HEADStatus, WorkdirStatus, StageStatus] of matrix) {
+      if (HEADStatus === 1 && WorkdirStatus === 1 && StageStatus === 1) continue;
+
+      if (WorkdirStatus === 0) {
+        await git.remove({ fs, dir, filepath });
+        if (HEADStatus === 1) changes.push({ filepath, status: 'deleted' });
+      } else {
+        await git.add({ fs, dir, filepath });
+        // add 後に HEAD と同じ内容へ戻っていた場合は変更なし
+        if (HEADStatus === 1 && (await git.status({ fs, dir, filepath })) === 'unmodified') continue;
+        changes.push({ filepath, status: HEADStatus === 0 ? 'added' : 'modified' });
+      }
+    }
+
+    if (changes.length === 0) {
+      return { success: true, committed: false, reason: 'clean' };
+    }
+
+    const sha = await git.commit({
+      fs,
+      dir,
+      message: buildSnapshotMessage(changes),
+      author: await getCommitAuthor(dir)
+    });
+    return { success: true, committed: true, sha, files: changes.map(change => change.filepath) };
+  } catch (error) {
+    return { success: false, identityRequired: error.code === 'MissingIdentity', error: error.message };
+  }
+});
+
+/**
+ * 現在のブランチと、その上流（branch.<name>.remote / branch.<name>.merge）を取得する
+ * 上流が未設定の場合は origin の同名ブランチを対象とする
+ * @param {string} dir - リポジトリのルートパス
+ * @returns {Promise<{branch: string, remote: string, remoteRef: string, hasUpstream: boolean}>}
+ */
+async function getUpstream(dir) {
+  const branch = await git.currentBranch({ fs, dir });
+  if (!branch) {
+    throw new Error('ブランチがチェックアウトされていません (detached HEAD)');
+  }
+
+  const remote = await git.getConfig({ fs, dir, path: `branch.${branch}.remote` });
+  const merge = await git.getConfig({ fs, dir, path: `branch.${branch}.merge` });
+
+  return {
+    branch,
+    remote: remote || 'origin',
+    remoteRef: merge ? merge.replace(/^refs\/heads\//, '') : branch,
+    hasUpstream: !!(remote && merge)
+  };
+}
+
+// --- Git remote authentication ---
+// 認証情報の入力はレンダラーのダイアログで行い、結果をIPCで受け取る
+const pendingAuthRequests = new Map();
+let nextAuthRequestId = 1;
+let credentialStore = null;
+
+function getCredentialStore() {
+  if (!credentialStore) {
+    credentialStore = new CredentialStore(path.join(app.getPath('userData'), 'git-credentials.json'), safeStorage);
+  }
+  return credentialStore;
+}
+
+/**
+ * レンダラーに認証情報の入力を依頼する
+ * @param {Electron.WebContents} webContents - 依頼先
+ * @param {{url: string, failed: boolean}} request - 対象URLと、前回の認証が失敗したかどうか
+ * @returns {Promise<{username: string, password: string, remember: boolean}|null>} キャンセル時は null
+ */
+function promptGitCredentials(webContents, { url, failed }) {
+  return new Promise((resolve) => {
+    if (!webContents || webContents.isDestroyed()) {
+      resolve(null);
+      return;
+    }
+    const requestId = nextAuthRequestId++;
+    pendingAuthRequests.set(requestId, resolve);
+    webContents.send('git:auth-request', { requestId, url, failed });
+  });
+}
+
+ipcMain.on('git:auth-response', (event, { requestId, credentials }) => {
+  const resolve = pendingAuthRequests.get(requestId);
+  if (resolve) {
+    pendingAuthRequests.delete(requestId);
+    resolve(credentials || null);
+  }
+});
+
+// push/pull/fetch に渡す onAuth / onAuthFailure / onAuthSuccess
+function getAuthCallbacks(event) {
+  return createAuthCallbacks(getCredentialStore(), (request) => promptGitCredentials(event.sender, request));
+}
+
+const LOCAL_SIDE = 1;
+const REMOTE_SIDE = 2;
+const BOTH_SIDES = LOCAL_SIDE | REMOTE_SIDE;
+
+/**
+ * ローカルブランチと上流ブランチの差分コミット数を数える
+ * 両方の先頭からコミット日時の新しい順にたどり、どちらからも届くコミットだけが残った時点で打ち切る
+ * （共通の履歴はたどらない）
+ * @returns {Promise<{ahead: number, behind: number}|null>} 上流が存在しない場合は null
+ */
+async function getAheadBehind(dir, upstream) {
+  let localOid, remoteOid;
+  try {
+    localOid = await git.resolveRef({ fs, dir, ref: `refs/heads/${upstream.branch}` });
+    remoteOid = await git.resolveRef({ fs, dir, ref: `refs/remotes/${upstream.remote}/${upstream.remoteRef}` });
+  } catch (e) {
+    return null;
+  }
+  if (localOid === remoteOid) return { ahead: 0, behind: 0 };
+
+  // oid → どちらの先頭から届くか（LOCAL_SIDE / REMOTE_SIDE のビット）
+  const sides = new Map([[localOid, LOCAL_SIDE], [remoteOid, REMOTE_SIDE]]);
+  // 未処理のコミット（コミット日時の新しい順）
+  const queue = [];
+  const commits = new Map();
+
+  const enqueue = async (oid) => {
+    let commit = commits.get(oid);
+    if (!commit) {
+      try {
+        commit = (await git.readCommit({ fs, dir, oid })).commit;
+      } catch (e) {
+        // shallow clone などで親が存在しない
+        if (e.code !== 'NotFoundError') throw e;
+        return;
+      }
+      commits.set(oid, commit);
+    }
+    if (queue.includes(oid)) return;
+    let index = queue.length;
+    while (index > 0 && commits.get(queue[index - 1]).committer.timestamp < commit.committer.timestamp) index--;
+    queue.splice(index, 0, oid);
+  };
+
+  await enqueue(localOid);
+  await enqueue(remoteOid);
+  while (queue.some(oid => sides.get(oid) !== BOTH_SIDES)) {
+    const oid = queue.shift();
+    const side = sides.get(oid);
+    for (const parent of commits.get(oid).parent) {
+      const parentSide = sides.get(parent) || 0;
+      if ((parentSide | side) === parentSide) continue;
+      sides.set(parent, parentSide | side);
+      await enqueue(parent);
+    }
+  }
+
+  let ahead = 0;
+  let behind = 0;
+  sides.forEach((side, oid) => {
+    if (!commits.has(oid)) return;
+    if (side === LOCAL_SIDE) ahead++;
+    else if (side === REMOTE_SIDE) behind++;
+  });
+  return { ahead, behind };
+}
+
+ipcMain.handle('git-push', async (event, repoPath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const upstream = await getUpstream(dir);
+    await git.push({
+      fs,
+      http,
+      dir,
+      remote: upstream.remote,
+      ref: upstream.branch,
+      remoteRef: upstream.remoteRef,
+      ...getAuthCallbacks(event)
+    });
+
+    // 初回プッシュ時は上流を設定する（git push -u 相当）
+    if (!upstream.hasUpstream) {
+      await git.setConfig({ fs, dir, path: `branch.${upstream.branch}.remote`, value: upstream.remote });
+      await git.setConfig({ fs, dir, path: `branch.${upstream.branch}.merge`, value: `refs/heads/${upstream.remoteRef}` });
+    }
+    return { success: true, branch: upstream.branch, remote: upstream.remote };
+  } catch (error) {
+    // rejected: リモートに取り込んでいないコミットがある（先にプルが必要）
+    return { success: false, rejected: error.code === 'PushRejectedError', error: error.message };
+  }
+});
+
+ipcMain.handle('git-pull', async (event, repoPath) => {
+  let dir;
+  let upstream;
+  try {
+    dir = await resolveRepoDir(repoPath);
+    if (gitMerge.readMergeState(dir)) {
+      return { success: false, error: 'マージ中です。競合を解決してマージを完了するか、マージを中止してください' };
+    }
+
+    upstream = await getUpstream(dir);
+    // git.pull は早送りでも作者を必要とするため、取得とマージを分けて
+    // マージコミットを作る場合だけ作者（名前とメールアドレス）を求める
+    const { fetchHead, fetchHeadDescription } = await git.fetch({
+      fs,
+      http,
+      dir,
+      remote: upstream.remote,
+      ref: upstream.branch,
+      remoteRef: upstream.remoteRef,
+      singleBranch: true,
+      ...getAuthCallbacks(event)
+    });
+    const mergeOptions = { fs, dir, ours: upstream.branch, theirs: fetchHead };
+    try {
+      await git.merge({ ...mergeOptions, fastForwardOnly: true });
+    } catch (error) {
+      if (error.code !== 'FastForwardError') throw error;
+      await git.merge({
+        ...mergeOptions,
+        message: `Merge ${fetchHeadDescription}`,
+        author: await getCommitAuthor(dir)
+      });
+    }
+    await git.checkout({ fs, dir, ref: upstream.branch });
+    return { success: true, branch: upstream.branch, remote: upstream.remote };
+  } catch (error) {
+    if (error.code === 'MergeConflictError') {
+      return startPullConflict(dir, upstream);
+    }
+    return { success: false, identityRequired: error.code === 'MissingIdentity', error: error.message };
+  }
+});
+
+// プルのマージが競合した場合、競合マーカー付きで作業ツリーに展開してマージ中の状態にする
+async function startPullConflict(dir, upstream) {
+  try {
+    // 競合の展開で未コミットの変更を上書きしないよう、作業ツリーが綺麗な場合のみ行う
+    const matrix = await git.statusMatrix({ fs, dir });
+    const dirty = matrix.filter(([, head, workdir, stage]) => !(head === 1 && workdir === 1 && stage === 1) && head !== 0);
+    const staged = matrix.filter(([, head, , stage]) => head === 0 && stage !== 0);
+    if (dirty.length > 0 || staged.length > 0) {
+      return {
+        success: false,
+        error: 'リモートの変更と競合しています。ローカルの変更をコミット・スタッシュ・破棄のいずれかで退避してから、もう一度プルしてください'
+      };
+    }
+
+    const theirs = `${upstream.remote}/${upstream.remoteRef}`;
+    const conflict = await gitMerge.startConflictedMerge({
+      dir,
+      branch: upstream.branch,
+      theirs,
+      author: await getCommitAuthor(dir),
+      message: `Merge remote-tracking branch '${theirs}' into ${upstream.branch}`
+    });
+
+    if (!conflict) {
+      // 競合せずにマージできた場合は作業ツリーを更新する
+      await git.checkout({ fs, dir, ref: upstream.branch });
+      return { success: true, branch: upstream.branch, remote: upstream.remote };
+    }
+
+    return {
+      success: false,
+      conflict: true,
+      conflicts: conflict.filepaths,
+      branch: upstream.branch,
+      remote: upstream.remote,
+      error: `${conflict.filepaths.length} 件のファイルで競合が発生しました`
+    };
+  } catch (error) {
+    return { success: false, identityRequired: error.code === 'MissingIdentity', error: error.message };
+  }
+}
+
+// マージの状態（進行中か、未解決の競合ファイル）
+ipcMain.handle('git-merge-status', async (event, repoPath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const state = gitMerge.readMergeState(dir);
+    const unmerged = gitMerge.readUnmergedEntries(dir);
+    const conflicts = [...unmerged.entries()].map(([filepath, entry]) => ({
+      filepath,
+      deletedByUs: !entry.ours,
+      deletedByTheirs: !entry.theirs
+    }));
+    return { success: true, merging: !!state, message: state ? state.message : '', conflicts };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 競合ファイルの ours / theirs / base と、現在の作業ツリーの内容
+ipcMain.handle('git-conflict-versions', async (event, repoPath, filepath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const versions = await gitMerge.readConflictVersions(dir, filepath);
+    return { success: true, filepath, ...versions };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 解決した内容を書き込んで解決済みにする（content が null ならファイルを削除）
+ipcMain.handle('git-resolve-conflict', async (event, repoPath, filepath, content) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    await gitMerge.resolveConflictFile(dir, filepath, content);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// マージコミットを作成してマージを完了する
+ipcMain.handle('git-merge-continue', async (event, repoPath, message) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const sha = await gitMerge.commitMerge(dir, { message, author: await getCommitAuthor(dir) });
+    return { success: true, sha };
+  } catch (error) {
+    return { success: false, identityRequired: error.code === 'MissingIdentity', error: error.message };
+  }
+});
+
+ipcMain.handle('git-merge-abort', async (event, repoPath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    await gitMerge.abortConflictedMerge(dir);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// スタッシュの一覧（新しい順）
+ipcMain.handle('git-stash-list', async (event, repoPath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    return { success: true, stashes: gitStash.listStashes(dir) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-stash-push', async (event, repoPath, message) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const oid = await gitStash.pushStash(dir, message, await getCommitAuthor(dir));
+    return { success: true, oid };
+  } catch (error) {
+    return { success: false, identityRequired: error.code === 'MissingIdentity', error: error.message };
+  }
+});
+
+// スタッシュを適用する（pop なら競合しなかった場合に削除する）
+ipcMain.handle('git-stash-apply', async (event, repoPath, index, pop) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const conflict = await gitStash.applyStash(dir, index);
+    if (conflict) {
+      // 競合した場合、スタッシュは削除せずに残す
+      return {
+        success: false,
+        conflict: true,
+        conflicts: conflict.filepaths,
+        error: `スタッシュの適用で競合が発生しました: ${conflict.filepaths.join(', ')}`
+      };
+    }
+
+    if (pop) await gitStash.dropStash(dir, index);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-stash-drop', async (event, repoPath, index) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    await gitStash.dropStash(dir, index);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 上流ブランチを取得し、ahead/behind のコミット数を返す
+ipcMain.handle('git-fetch', async (event, repoPath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const upstream = await getUpstream(dir);
+    await git.fetch({
+      fs,
+      http,
+      dir,
+      remote: upstream.remote,
+      ref: upstream.branch,
+      remoteRef: upstream.remoteRef,
+      singleBranch: true,
+      ...getAuthCallbacks(event)
+    });
+    const counts = await getAheadBehind(dir, upstream);
+    return { success: true, branch: upstream.branch, remote: upstream.remote, ...counts };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 通信せずに、取得済みのリモート追跡ブランチとの ahead/behind を返す
+ipcMain.handle('git-ahead-behind', async (event, repoPath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const upstream = await getUpstream(dir);
+    const counts = await getAheadBehind(dir, upstream);
+    return { success: true, tracking: !!counts, ...counts };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// リモート管理
+ipcMain.handle('git-list-remotes', async (event, repoPath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const remotes = await git.listRemotes({ fs, dir });
+    return { success: true, remotes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-add-remote', async (event, repoPath, name, url) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    await git.addRemote({ fs, dir, remote: name, url });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-remove-remote', async (event, repoPath, name) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    await git.deleteRemote({ fs, dir, remote: name });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-set-remote-url', async (event, repoPath, name, url) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    await git.addRemote({ fs, dir, remote: name, url, force: true });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 保存済みの認証情報を削除
+ipcMain.handle('git-clear-credentials', async (event, url) => {
+  try {
+    getCredentialStore().delete(url);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ブランチ一覧（ローカル・リモート追跡ブランチ）を取得
+ipcMain.handle('git-list-branches', async (event, repoPath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const current = await git.currentBranch({ fs, dir });
+    const local = await git.listBranches({ fs, dir });
+
+    const remote = [];
+    const remotes = await git.listRemotes({ fs, dir });
+    for (const r of remotes) {
+      const branches = await git.listBranches({ fs, dir, remote: r.remote });
+      branches
+        .filter(name => name !== 'HEAD')
+        .forEach(name => remote.push({ remote: r.remote, name, fullName: `${r.remote}/${name}` }));
+    }
+
+    return { success: true, current: current || null, local, remote };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ブランチを作成（checkout が true なら作成後に切り替え）
+ipcMain.handle('git-branch', async (event, repoPath, name, checkout = false) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    await git.branch({ fs, dir, ref: name, checkout });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ブランチを切り替え（remote 指定時はリモート追跡ブランチからローカルブランチを作成）
+ipcMain.handle('git-checkout', async (event, repoPath, ref, remote) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const options = { fs, dir, ref };
+    if (remote) {
+      options.remote = remote;
+      options.track = true;
+    }
+    await git.checkout(options);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-delete-branch', async (event, repoPath, name) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    // isomorphic-git は現在のブランチも削除してしまうため事前に確認する
+    const current = await git.currentBranch({ fs, dir });
+    if (current === name) {
+      throw new Error('現在チェックアウト中のブランチは削除できません');
+    }
+    await git.deleteBranch({ fs, dir, ref: name });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('git-rename-branch', async (event, repoPath, oldName, newName) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const current = await git.currentBranch({ fs, dir });
+    await git.renameBranch({ fs, dir, oldref: oldName, ref: newName, checkout: current === oldName });
+
+    // 上流設定も新しいブランチ名へ引き継ぐ
+    for (const key of ['remote', 'merge']) {
+      const value = await git.getConfig({ fs, dir, path: `branch.${oldName}.${key}` });
+      if (value !== undefined) {
+        await git.setConfig({ fs, dir, path: `branch.${newName}.${key}`, value });
+        await git.setConfig({ fs, dir, path: `branch.${oldName}.${key}`, value: undefined });
+      }
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// タグ操作
+// タグの一覧（注釈付きタグはメッセージと作成者を含む）。新しい順
+ipcMain.handle('git-list-tags', async (event, repoPath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const names = await git.listTags({ fs, dir });
+    const tags = [];
+    for (const name of names) {
+      const oid = await git.resolveRef({ fs, dir, ref: `refs/tags/${name}` });
+      const { type } = await git.readObject({ fs, dir, oid, format: 'parsed' });
+      if (type === 'tag') {
+        const { tag } = await git.readTag({ fs, dir, oid });
+        tags.push({ name, annotated: true, target: tag.object, message: tag.message.trim(), timestamp: tag.tagger.timestamp });
+      } else {
+        const { commit } = await git.readCommit({ fs, dir, oid });
+        tags.push({ name, annotated: false, target: oid, message: '', timestamp: commit.committer.timestamp });
+      }
+    }
+    tags.sort((a, b) => b.timestamp - a.timestamp);
+    return { success: true, tags };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// message を指定すると注釈付きタグ、省略すると軽量タグを作成する
+ipcMain.handle('git-create-tag', async (event, repoPath, name, ref = 'HEAD', message = '') => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const object = await git.resolveRef({ fs, dir, ref });
+    if (message) {
+      await git.annotatedTag({ fs, dir, ref: name, object, message, tagger: await getCommitAuthor(dir) });
+    } else {
+      await git.tag({ fs, dir, ref: name, object });
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, identityRequired: error.code === 'MissingIdentity', error: error.message };
+  }
+});
+
+ipcMain.handle('git-delete-tag', async (event, repoPath, name) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    await git.deleteTag({ fs, dir, ref: name });
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// タグを上流のリモート（未設定なら origin）へプッシュする
+ipcMain.handle('git-push-tag', async (event, repoPath, name) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const upstream = await getUpstream(dir);
+    await git.push({
+      fs,
+      http,
+      dir,
+      remote: upstream.remote,
+      ref: `refs/tags/${name}`,
+      remoteRef: `refs/tags/${name}`,
+      ...getAuthCallbacks(event)
+    });
+    return { success: true, remote: upstream.remote };
+  } catch (error) {
+    return { success: false, rejected: error.code === 'PushRejectedError', error: error.message };
+  }
+});
+
+// リリースノートの見出し（Conventional Commits の type）。それ以外の接頭辞はそのまま見出しにする
+const RELEASE_NOTE_SECTIONS = {
+  feat: '新機能',
+  fix: '修正',
+  docs: 'ドキュメント',
+  perf: 'パフォーマンス',
+  refactor: 'リファクタリング',
+  style: 'スタイル',
+  test: 'テスト',
+  build: 'ビルド',
+  ci: 'CI',
+  chore: 'その他の作業',
+  revert: '取り消し'
+};
+const RELEASE_NOTE_OTHERS = 'その他';
+
+/**
+ * コミットの件名を「接頭辞: 本文」に分ける（接頭辞がなければ null）
+ * 例: "feat(api): 追加" / "ノートを追加: 議事録" / "docs：誤字修正"
+ */
+function splitCommitPrefix(subject) {
+  const conventional = subject.match(/^(\w+)(?:\(([^()]+)\))?!?:\s*(.+)$/);
+  if (conventional && RELEASE_NOTE_SECTIONS[conventional[1].toLowerCase()]) {
+    const scope = conventional[2] ? `**${conventional[2]}**: ` : '';
+    return { section: RELEASE_NOTE_SECTIONS[conventional[1].toLowerCase()], text: `${scope}${conventional[3]}` };
+  }
+  const prefixed = subject.match(/^([^:：\s][^:：]{0,19})[:：]\s*(.+)$/);
+  if (prefixed) {
+    return { section: prefixed[1].trim(), text: prefixed[2] };
+  }
+  return { section: null, text: subject };
+}
+
+function buildReleaseNotes(fromTag, toRef, commits) {
+  const sections = new Map();
+  for (const { oid, commit } of commits) {
+    const { section, text } = splitCommitPrefix(commit.message.split('\n')[0].trim());
+    const key = section || RELEASE_NOTE_OTHERS;
+    if (!sections.has(key)) sections.set(key, []);
+    sections.get(key).push(`- ${text} (${oid.substring(0, 7)})`);
+  }
+
+  // 既定の見出しを先に、「その他」を最後に並べる
+  const order = [...Object.values(RELEASE_NOTE_SECTIONS), ...sections.keys()];
+  const keys = [...new Set(order)].filter(key => sections.has(key) && key !== RELEASE_NOTE_OTHERS);
+  if (sections.has(RELEASE_NOTE_OTHERS)) keys.push(RELEASE_NOTE_OTHERS);
+
+  const range = fromTag ? `${fromTag} → ${toRef}` : `最初のコミット → ${toRef}`;
+  const lines = [`# リリースノート ${toRef}`, '', `${range}（${commits.length} 件のコミット）`, ''];
+  keys.forEach(key => {
+    lines.push(`## ${key}`, '', ...sections.get(key), '');
+  });
+  return lines.join('\n');
+}
+
+// fromTag（省略時は最初から）から toRef までのコミットをまとめたリリースノート（Markdown）
+ipcMain.handle('git-release-notes', async (event, repoPath, fromTag, toRef = 'HEAD') => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const excluded = new Set();
+    if (fromTag) {
+      (await git.log({ fs, dir, ref: fromTag })).forEach(entry => excluded.add(entry.oid));
+    }
+
+    // マージコミットは内容を持たないため除外する
+    const commits = (await git.log({ fs, dir, ref: toRef }))
+      .filter(entry => !excluded.has(entry.oid) && entry.commit.parent.length <= 1);
+    return { success: true, markdown: buildReleaseNotes(fromTag, toRef, commits), count: commits.length };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * 指定コミット時点のファイル内容を文字列で読み込む
+ * @returns {Promise<string|null>} ファイルが存在しない場合は null
+ */
+async function readBlobText(dir, oid, filepath) {
+  try {
+    const { blob } = await git.readBlob({ fs, dir, oid, filepath });
+    return Buffer.from(blob).toString('utf8');
+  } catch (e) {
+    if (e.code === 'NotFoundError') return null;
+    throw e;
+  }
+}
+
+// 絶対パス（またはリポジトリ相対パス）を、isomorphic-git で使う / 区切りの相対パスに変換
+function toRepoRelativePath(dir, filePath) {
+  const relative = path.isAbsolute(filePath) ? path.relative(dir, filePath) : filePath;
+  return relative.split(path.sep).join('/');
+}
+
+// NUL文字を含む場合はバイナリとみなす
+function isBinaryText(text) {
+  return typeof text === 'string' && text.includes('\0');
+}
+
+// コミットの概要（レンダラーに渡す形式）
+function summarizeCommit({ oid, commit }) {
+  return {
+    oid,
+    message: commit.message,
+    parents: commit.parent,
+    author: {
+      name: commit.author.name,
+      email: commit.author.email,
+      timestamp: commit.author.timestamp
+    }
+  };
+}
+
+/**
+ * コミットで変更されたファイルを、第一親とのツリー比較で列挙する
+ * @returns {Promise<{filepath: string, status: 'added'|'modified'|'deleted'}[]>}
+ */
+async function listCommitChanges(dir, oid) {
+  const { commit } = await git.readCommit({ fs, dir, oid });
+  const parent = commit.parent[0];
+
+  // ルートコミットは全ファイルが追加扱い
+  if (!parent) {
+    const files = await git.listFiles({ fs, dir, ref: oid });
+    return files.map(filepath => ({ filepath, status: 'added' }));
+  }
+
+  return git.walk({
+    fs,
+    dir,
+    trees: [git.TREE({ ref: parent }), git.TREE({ ref: oid })],
+    map: async (filepath, [before, after]) => {
+      if (filepath === '.') return;
+
+      const beforeType = before ? await before.type() : null;
+      const afterType = after ? await after.type() : null;
+      const beforeOid = before ? await before.oid() : null;
+      const afterOid = after ? await after.oid() : null;
+
+      // 変化のないディレクトリは中を辿らない
+      if (beforeOid === afterOid) return null;
+      if (beforeType === 'tree' || afterType === 'tree') {
+        if (beforeType === 'tree' && afterType === 'tree') return;
+        // ファイル⇔ディレクトリの置き換えは稀なので、ファイル側だけを報告する
+        if (beforeType === 'blob') return { filepath, status: 'deleted' };
+        if (afterType === 'blob') return { filepath, status: 'added' };
+        return;
+      }
+
+      if (!before) return { filepath, status: 'added' };
+      if (!after) return { filepath, status: 'deleted' };
+      return { filepath, status: 'modified' };
+    }
+  });
+}
+
+// コミット履歴（skip/limit によるページング、filepath 指定時はそのファイルを変更したコミットのみ）
+ipcMain.handle('git-log', async (event, repoPath, options = {}) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const skip = options.skip || 0;
+    const limit = options.limit || 50;
+
+    const logOptions = { fs, dir, ref: options.ref || 'HEAD' };
+    if (options.filepath) {
+      // filepath 指定時は depth が件数の上限にならないため、全件取得してから切り出す
+      logOptions.filepath = toRepoRelativePath(dir, options.filepath);
+      logOptions.force = true;
+      logOptions.follow = true;
+    } else {
+      // 次ページの有無を判定するため1件多く取得する
+      logOptions.depth = skip + limit + 1;
+    }
+
+    const entries = await git.log(logOptions);
+    const page = entries.slice(skip, skip + limit);
+
+    return {
+      success: true,
+      commits: page.map(summarizeCommit),
+      hasMore: entries.length > skip + limit
+    };
+  } catch (error) {
+    // コミットが1つもない場合は空の履歴として扱う
+    if (error.code === 'NotFoundError') {
+      return { success: true, commits: [], hasMore: false };
+    }
+    return { success: false, error: error.message };
+  }
+});
+
+// 全ブランチのコミットグラフ（ページ単位で読み込む）
+ipcMain.handle('git-graph', async (event, repoPath, options = {}) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const page = await gitGraph.readGraphPage(dir, { skip: options.skip || 0, limit: options.limit || 100 });
+    // マージベースは最初のページでだけ求める
+    const mergeBase = options.skip ? undefined : await gitGraph.findHeadMergeBase(dir, options.baseRef);
+    return { success: true, ...page, mergeBase };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 指定コミット時点のファイル内容
+ipcMain.handle('git-read-file-at', async (event, repoPath, oid, filePath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    // 'HEAD' などの参照も受け付ける
+    const commitOid = await git.resolveRef({ fs, dir, ref: oid });
+    const content = await readBlobText(dir, commitOid, toRepoRelativePath(dir, filePath));
+    if (content === null) {
+      return { success: false, error: 'このコミットにはファイルが存在しません' };
+    }
+    return { success: true, content, binary: isBinaryText(content) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// コミットで変更されたファイル一覧
+ipcMain.handle('git-commit-files', async (event, repoPath, oid) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const files = await listCommitChanges(dir, oid);
+    files.sort((a, b) => a.filepath.localeCompare(b.filepath));
+    return { success: true, files };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// コミットでのファイルの差分（第一親との比較）
+ipcMain.handle('git-diff-file', async (event, repoPath, oid, filepath) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const { commit } = await git.readCommit({ fs, dir, oid });
+    const parent = commit.parent[0];
+
+    const oldText = parent ? await readBlobText(dir, parent, filepath) : null;
+    const newText = await readBlobText(dir, oid, filepath);
+
+    if (isBinaryText(oldText) || isBinaryText(newText)) {
+      return { success: true, filepath, binary: true };
+    }
+
+    return {
+      success: true,
+      filepath,
+      binary: false,
+      chunks: diffLines(oldText || '', newText || '')
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 描画済みの Markdown（HTML）どうしの単語単位の差分
+ipcMain.handle('diff-rendered-html', async (event, oldHtml, newHtml) => {
+  try {
+    return { success: true, ...proseDiff.diffHtml(oldHtml, newHtml) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// HEAD の内容のキャッシュ（入力のたびに blob を読み直さないようにする）
+const headBlobCache = new Map();
+
+async function readHeadText(dir, filepath) {
+  const headOid = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+  const key = `${dir}\0${filepath}`;
+  const cached = headBlobCache.get(key);
+  if (cached && cached.headOid === headOid) {
+    return cached.text;
+  }
+
+  const text = await readBlobText(dir, headOid, filepath);
+  headBlobCache.set(key, { headOid, text });
+  return text;
+}
+
+// 編集中のバッファと HEAD の差分（エディタのガター表示用）
+ipcMain.handle('git-line-changes', async (event, repoPath, filePath, content) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const filepath = toRepoRelativePath(dir, filePath);
+    if (filepath.startsWith('../') || path.isAbsolute(filepath)) {
+      return { success: true, tracked: false, hunks: [] };
+    }
+
+    let headText;
+    try {
+      headText = await readHeadText(dir, filepath);
+    } catch (e) {
+      // コミットが1つもない場合
+      if (e.code === 'NotFoundError') return { success: true, tracked: false, hunks: [] };
+      throw e;
+    }
+
+    if (headText === null || isBinaryText(headText)) {
+      return { success: true, tracked: false, hunks: [] };
+    }
+
+    // エディタ側は改行が LF に正規化されているため揃える
+    const hunks = computeHunks(headText.replace(/\r\n/g, '\n'), content || '');
+    return { success: true, tracked: true, hunks };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+/**
+ * 行ごとに最後に変更したコミットを求める（isomorphic-git には blame がないため、
+ * ファイルの履歴を新しい順に辿り、各コミットと第一親の内容を比較して追加された行を割り当てる）
+ * @param {string} content - 対象の内容（編集中のバッファ。HEAD と異なる行は未コミット扱い）
+ * @returns {{commits: Object<string, Object>, lines: (string|null)[]}} lines は行ごとのコミット oid（未コミットは null）
+ */
+async function computeBlame(dir, filepath, content) {
+  const targetLines = content.split('\n');
+  const lines = new Array(targetLines.length).fill(null);
+  const commits = {};
+
+  let entries;
+  try {
+    entries = await git.log({ fs, dir, ref: 'HEAD', filepath, force: true });
+  } catch (e) {
+    if (e.code === 'NotFoundError') return { commits, lines };
+    throw e;
+  }
+
+  // 比較中の版の各行が、結果のどの行に当たるか（-1 は割り当て済みか対象外）
+  let trackedText = await readHeadBlobText(dir, filepath);
+  if (trackedText === null) return { commits, lines };
+  trackedText = trackedText.replace(/\r\n/g, '\n');
+  let positions = mapEqualLines(trackedText, content, targetLines.map((_, i) => i));
+
+  for (const entry of entries) {
+    if (positions.every(p => p === -1)) break;
+
+    let commitText = await readBlobText(dir, entry.oid, filepath);
+    if (commitText === null) break;
+    commitText = commitText.replace(/\r\n/g, '\n');
+
+    // マージなどで直前の版と一致しない場合は共通の行だけを引き継ぐ
+    if (commitText !== trackedText) {
+      positions = mapEqualLines(commitText, trackedText, positions);
+      trackedText = commitText;
+    }
+
+    const parent = entry.commit.parent[0];
+    const parentText = parent ? ((await readBlobText(dir, parent, filepath)) || '').replace(/\r\n/g, '\n') : '';
+
+    let newIndex = 0;
+    const parentPositions = [];
+    diffLines(parentText, commitText).forEach(chunk => {
+      chunk.items.forEach(() => {
+        if (chunk.type === 'insert') {
+          // このコミットで追加された行
+          const target = positions[newIndex++];
+          if (target !== -1) {
+            lines[target] = entry.oid;
+            commits[entry.oid] = commits[entry.oid] || summarizeCommit(entry);
+          }
+        } else if (chunk.type === 'equal') {
+          parentPositions.push(positions[newIndex++]);
+        } else {
+          parentPositions.push(-1);
+        }
+      });
+    });
+
+    positions = parentPositions;
+    trackedText = parentText;
+  }
+
+  return { commits, lines };
+}
+
+/**
+ * oldText の各行に対応する newText 側の割り当て先を返す（一致しない行は -1）
+ * @param {number[]} newPositions - newText の各行の割り当て先
+ */
+function mapEqualLines(oldText, newText, newPositions) {
+  const result = [];
+  let newIndex = 0;
+  diffLines(oldText, newText).forEach(chunk => {
+    chunk.items.forEach(() => {
+      if (chunk.type === 'equal') {
+        result.push(newPositions[newIndex++]);
+      } else if (chunk.type === 'delete') {
+        result.push(-1);
+      } else {
+        newIndex++;
+      }
+    });
+  });
+  return result;
+}
+
+// 行ごとの最終変更コミット（blame）
+ipcMain.handle('git-blame', async (event, repoPath, filePath, content) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const filepath = toRepoRelativePath(dir, filePath);
+    if (filepath.startsWith('../') || path.isAbsolute(filepath)) {
+      return { success: false, error: 'リポジトリ外のファイルです' };
+    }
+    const blame = await computeBlame(dir, filepath, content || '');
+    return { success: true, filepath, ...blame };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// インデックス（ステージ）上のエントリを取得する
+async function readIndexEntry(dir, filepath) {
+  const entries = await git.walk({
+    fs,
+    dir,
+    trees: [git.STAGE()],
+    map: async (entryPath, [entry]) => {
+      if (entryPath === filepath) {
+        return entry ? { oid: await entry.oid(), mode: await entry.mode() } : undefined;
+      }
+      // 対象ファイルを含まないディレクトリは辿らない
+      if (entryPath === '.' || filepath.startsWith(`${entryPath}/`)) return undefined;
+      return null;
+    }
+  });
+  return entries.length > 0 ? entries[0] : null;
+}
+
+async function readIndexText(dir, filepath) {
+  const entry = await readIndexEntry(dir, filepath);
+  if (!entry) return null;
+  const { blob } = await git.readBlob({ fs, dir, oid: entry.oid });
+  return Buffer.from(blob).toString('utf8');
+}
+
+async function readHeadBlobText(dir, filepath) {
+  try {
+    const head = await git.resolveRef({ fs, dir, ref: 'HEAD' });
+    return await readBlobText(dir, head, filepath);
+  } catch (e) {
+    if (e.code === 'NotFoundError') return null;
+    throw e;
+  }
+}
+
+function readWorkdirText(dir, filepath) {
+  const fullPath = path.join(dir, filepath);
+  return fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+}
+
+/**
+ * 作業ツリーの差分の比較元と比較先
+ * staged: HEAD → インデックス / unstaged: インデックス → 作業ツリー
+ */
+async function readWorkingDiffSides(dir, filepath, staged) {
+  const indexText = await readIndexText(dir, filepath);
+  if (staged) {
+    return { oldText: await readHeadBlobText(dir, filepath), newText: indexText };
+  }
+  // インデックスにない新規ファイルは空のファイルとの差分になる
+  return { oldText: indexText, newText: readWorkdirText(dir, filepath) };
+}
+
+// 作業ツリー（またはステージ）の差分とハンク
+ipcMain.handle('git-working-diff', async (event, repoPath, filepath, staged) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const { oldText, newText } = await readWorkingDiffSides(dir, filepath, staged);
+
+    if (isBinaryText(oldText) || isBinaryText(newText)) {
+      return { success: true, filepath, binary: true };
+    }
+
+    return {
+      success: true,
+      filepath,
+      binary: false,
+      deleted: newText === null,
+      chunks: diffLines(oldText || '', newText || ''),
+      hunks: computeHunks(oldText || '', newText || '')
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 選択したハンクを最新の差分から探す（見つからなければ差分が更新されている）
+function findSelectedHunks(hunks, selected) {
+  const found = selected.map(target => hunks.find(hunk => isSameHunk(hunk, target)));
+  if (found.some(hunk => !hunk)) {
+    throw new Error('差分が更新されています。差分を開き直してください');
+  }
+  return found;
+}
+
+// 組み立てた内容を blob として書き込み、インデックスを更新する
+async function writeIndexText(dir, filepath, text, mode) {
+  const oid = await git.writeBlob({ fs, dir, blob: Buffer.from(text, 'utf8') });
+  await git.updateIndex({ fs, dir, filepath, oid, mode: mode || 0o100644, add: true });
+}
+
+// 選択したハンクだけをステージする
+ipcMain.handle('git-stage-hunks', async (event, repoPath, filepath, selectedHunks) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const entry = await readIndexEntry(dir, filepath);
+    const { oldText, newText } = await readWorkingDiffSides(dir, filepath, false);
+
+    if (newText === null) {
+      return { success: false, error: '削除されたファイルはファイル単位でステージしてください' };
+    }
+    if (isBinaryText(oldText) || isBinaryText(newText)) {
+      return { success: false, error: 'バイナリファイルはハンク単位でステージできません' };
+    }
+
+    const hunks = findSelectedHunks(computeHunks(oldText || '', newText), selectedHunks);
+    await writeIndexText(dir, filepath, applyHunks(oldText || '', hunks), entry && entry.mode);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 選択したハンクのステージを取り消す（それ以外のステージ済みハンクは残す）
+ipcMain.handle('git-unstage-hunks', async (event, repoPath, filepath, selectedHunks) => {
+  try {
+    const dir = await resolveRepoDir(repoPath);
+    const entry = await readIndexEntry(dir, filepath);
+    const { oldText, newText } = await readWorkingDiffSides(dir, filepath, true);
+
+    if (newText === null) {
+      return { success: false, error: '削除のステージはファイル単位で取り消してください' };
+    }
+    if (isBinaryText(oldText) || isBinaryText(newText)) {
+      return { success: false, error: 'バイナリファイルはハンク単位で取り消せません' };
+    }
+
+    const hunks = computeHunks(oldText || '', newText);
+    const selected = findSelectedHunks(hunks, selectedHunks);
+    const remaining = hunks.filter(hunk => !selected.includes(hunk));
+
+    if (oldText === null && remaining.length === 0) {
+      // HEAD にない新規ファイルで全て取り消した場合はインデックスから外す
+      await git.remove({ fs, dir, filepath });
+    } else {
+      await writeIndexText(dir, filepath, applyHunks(oldText || '', remaining), entry && entry.mode);
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 読み込んだ（保存した）版から変更されているか。更新日時は同じまま書き換えられることがあるため内容で比べる
+function isChangedOnDisk(expected, current) {
+  if (!current) return false;
+  if (!expected || !expected.hash) return true;
+  return current.hash !== expected.hash;
+}
+
+// File operations
+// expectedVersion を渡すと、読み込んだ後に他のプログラムが書き換えていた場合は保存せず
+// { conflict: true, diskContent, version } を返す（null は確認せずに上書き）
+ipcMain.handle('save-file', async (event, filepath, content, expectedVersion = null) => {
+  try {
+    const webContentsId = event.sender.id;
+    const cwd = workingDirectories.get(webContentsId) || os.homedir();
+    const fullPath = path.isAbsolute(filepath) ? filepath : path.join(cwd, filepath);
+
+    if (expectedVersion) {
+      const current = readFileVersion(fullPath);
+      if (isChangedOnDisk(expectedVersion, current)) {
+        return { success: false, conflict: true, diskContent: fs.readFileSync(fullPath, 'utf8'), version: current };
+      }
+    }
+
+    // Create directory if it doesn't exist
+    const dir = path.dirname(fullPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const data = Buffer.from(content, 'utf8');
+    fs.writeFileSync(fullPath, data);
+    const version = readFileVersion(fullPath, data);
+    // 自分で保存した内容は外部の変更として通知しない
+    const fileWatcher = openFileWatchers.get(event.sender.id);
+    if (fileWatcher) fileWatcher.setVersion(fullPath, version);
+    return { success: true, path: fullPath, version };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('load-file', async (event, filepath) => {
+  try {
+    const content = fs.readFileSync(filepath, 'utf8');
+    return content;
+  } catch (error) {
+    console.error('Failed to load file:', error);
+    throw error;
+  }
+});
+
+// 内容と版を一緒に読み込む（保存時の衝突の確認に使う）
+ipcMain.handle('load-file-with-version', async (event, filepath) => {
+  try {
+    const data = fs.readFileSync(filepath);
+    return { success: true, content: data.toString('utf8'), version: readFileVersion(filepath, data) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ウィンドウごとの開いているファイルの監視（他のプログラムによる変更・削除を file:changed で通知する）
+const openFileWatchers = new Map();
+
+function getOpenFileWatcher(webContents) {
+  let watcher = openFileWatchers.get(webContents.id);
+  if (!watcher) {
+    watcher = new OpenFileWatcher(change => {
+      if (!webContents.isDestroyed()) webContents.send('file:changed', change);
+    });
+    openFileWatchers.set(webContents.id, watcher);
+    const id = webContents.id;
+    webContents.once('destroyed', () => {
+      watcher.close();
+      openFileWatchers.delete(id);
+    });
+  }
+  return watcher;
+}
+
+// version は開いた（読み直した）時点の版
+ipcMain.handle('watch-open-file', async (event, filepath, version) => {
+  try {
+    getOpenFileWatcher(event.sender).watch(filepath, version);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('unwatch-open-file', async (event, filepath) => {
+  const watcher = openFileWatchers.get(event.sender.id);
+  if (watcher) watcher.unwatch(filepath);
+  return { success: true };
+});
+
+// エディタの内容とディスクの内容を、読み込んだ時点の内容を基準にマージする
+ipcMain.handle('merge-text', async (event, baseText, oursText, theirsText, labels) => {
+  try {
+    return { success: true, ...mergeTexts(baseText, oursText, theirsText, labels) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// 2つのテキストの行単位の差分
+ipcMain.handle('diff-text', async (event, oldText, newText) => {
+  try {
+    return { success: true, chunks: diffLines(oldText, newText) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('read-directory', async (event, dirPath) => {
+  try {
+    const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    const items = entries.map(entry => ({
+      name: entry.name,
+      isDirectory: entry.isDirectory(),
+      path: path.join(dirPath, entry.name)
+    })).sort((a, b) => {
+      // フォルダを先に表示
+      if (a.isDirectory !== b.isDirectory) {
+        return b.isDirectory ? 1 : -1;
+      }
+      return a.name.localeCompare(b.name);
+    });
+    return items;
+  } catch (error) {
+    console.error('Failed to read directory:', error);
+    return [];
+  }
+});
+
+ipcMain.handle('delete-file', async (event, filepath) => {
+  try {
+    if (fs.existsSync(filepath)) {
+      // ★変更: ファイルだけでなくフォルダも再帰的に削除できるように変更
+      fs.rmSync(filepath, { recursive: true, force: true });
+      return true;
+    }
+    return false;
+  } catch (error) {
+    console.error('Failed to delete file/directory:', error);
+    throw error;
+  }
+});
+
+ipcMain.handle('create-directory', async (event, dirPath) => {
   try {
     if (!fs.existsSync(dirPath)) {
       fs.mkdirSync(dirPath, { recursive: true });
@@ -691,15 +2465,8 @@ ipcMain.handle('select-folder', async (event) => {
     });
 
     if (!result.canceled && result.filePaths.length > 0) {
-      const selectedPath = result.filePaths[0];
-      // カレントディレクトリを更新
-      const webContentsId = event.sender.id;
-      workingDirectories.set(webContentsId, selectedPath);
-      
-      // ★追加: フォルダ変更時に全ターミナルのディレクトリを同期
-      changeAllTerminalsDirectory(selectedPath);
-
-      return { success: true, path: selectedPath };
+      // 未保存の変更を確認してから set-current-directory で切り替える
+      return { success: true, path: result.filePaths[0] };
     } else {
       return { success: false, path: null };
     }
@@ -709,6 +2476,24 @@ ipcMain.handle('select-folder', async (event) => {
   }
 });
 
+// カレントディレクトリ（開いているフォルダ）を切り替える
+ipcMain.handle('set-current-directory', async (event, folderPath) => {
+  try {
+    if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory()) {
+      return { success: false, error: `フォルダが見つかりません: ${folderPath}` };
+    }
+    workingDirectories.set(event.sender.id, folderPath);
+
+    // ★追加: フォルダ変更時に全ターミナルのディレクトリを同期
+    changeAllTerminalsDirectory(folderPath);
+
+    return { success: true, path: folderPath };
+  } catch (error) {
+    console.error('Failed to set current directory:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // PDF生成のIPC ハンドラー
 ipcMain.handle('generate-pdf', async (event, htmlContent) => {
   try {
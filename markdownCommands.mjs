@@ -0,0 +1,301 @@
+// markdownCommands.mjs
+// Formatting commands that rewrite the Markdown source around the selection
+// Every command is a CodeMirror command ((view) => boolean) that dispatches a single
+// transaction, so each action is undone in one step
+
+import { EditorSelection, Prec } from '@codemirror/state';
+import { keymap } from '@codemirror/view';
+
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+|$)/;
+// インデント・リスト記号（タスク / 箇条書き / 番号付き）
+const LIST_PATTERN = /^(\s*)(?:([-*+])[ \t]+\[[ xX]\][ \t]+|([-*+])[ \t]+|(\d+)[.)][ \t]+)?/;
+const URL_PATTERN = /^(?:https?:\/\/|mailto:)\S+$/;
+
+// 行頭に記号を挿入したとき、行頭のカーソルは記号の後ろへ移す
+function dispatchLineChanges(view, changes) {
+    const changeSet = view.state.changes(changes);
+    view.dispatch({
+        changes: changeSet,
+        selection: view.state.selection.map(changeSet, 1),
+        userEvent: 'input.format'
+    });
+}
+
+// 選択範囲にかかる行（重複なし）。範囲の終わりが行頭ならその行は含めない
+function selectedLines(state) {
+    const lines = [];
+    const seen = new Set();
+    for (const range of state.selection.ranges) {
+        const first = state.doc.lineAt(range.from).number;
+        let last = state.doc.lineAt(range.to).number;
+        if (last > first && state.doc.line(last).from === range.to) last--;
+        for (let number = first; number <= last; number++) {
+            if (seen.has(number)) continue;
+            seen.add(number);
+            lines.push(state.doc.line(number));
+        }
+    }
+    return lines.sort((a, b) => a.number - b.number);
+}
+
+// 位置の前後に同じ文字が何文字続くか
+function runLength(text, ch, fromEnd) {
+    let count = 0;
+    while (count < text.length && text[fromEnd ? text.length - 1 - count : count] === ch) count++;
+    return count;
+}
+
+// * は ** の一部でないこと（1つまたは3つ続く）を確認する
+function hasMarker(run, marker) {
+    if (run < marker.length) return false;
+    return marker !== '*' || run % 2 === 1;
+}
+
+/**
+ * Toggle an inline marker (** / * / ~~ / `) around each selection
+ * An empty selection applies to the word at the cursor, or inserts an empty pair
+ */
+function toggleMark(marker) {
+    const len = marker.length;
+    return (view) => {
+        const { state } = view;
+        view.dispatch(state.changeByRange(range => {
+            let { from, to } = range;
+            // 選択していなければカーソル位置の単語（**単語** の中なら単語の外側の記号を外す）
+            if (range.empty) {
+                const word = state.wordAt(from);
+                if (word) ({ from, to } = word);
+            }
+            const text = state.sliceDoc(from, to);
+
+            // 選択した文字列の内側に記号がある
+            if (text.length >= len * 2 &&
+                hasMarker(runLength(text, marker[0], false), marker) &&
+                hasMarker(runLength(text, marker[0], true), marker)) {
+                return {
+                    changes: [{ from, to: from + len }, { from: to - len, to }],
+                    range: EditorSelection.range(from, to - len * 2)
+                };
+            }
+
+            // 選択範囲の外側が記号で囲まれている
+            const before = state.sliceDoc(Math.max(0, from - 3), from);
+            const after = state.sliceDoc(to, to + 3);
+            if (hasMarker(runLength(before, marker[0], true), marker) && hasMarker(runLength(after, marker[0], false), marker)) {
+                return {
+                    changes: [{ from: from - len, to: from }, { from: to, to: to + len }],
+                    range: range.empty ? EditorSelection.cursor(range.head - len) : EditorSelection.range(from - len, to - len)
+                };
+            }
+
+            return {
+                changes: [{ from, insert: marker }, { from: to, insert: marker }],
+                range: EditorSelection.range(from + len, to + len)
+            };
+        }), { userEvent: 'input.format', scrollIntoView: true });
+        return true;
+    };
+}
+
+/**
+ * Set the heading level of the selected lines (0 = paragraph)
+ * If every line already has that level, the heading is removed
+ */
+function setHeading(level) {
+    return (view) => {
+        const { state } = view;
+        const lines = selectedLines(state);
+        const levelOf = (line) => {
+            const match = line.text.match(HEADING_PATTERN);
+            return match ? match[1].length : 0;
+        };
+        const target = level > 0 && lines.every(line => levelOf(line) === level) ? 0 : level;
+
+        dispatchLineChanges(view, lines.map(line => {
+            const match = line.text.match(HEADING_PATTERN);
+            return {
+                from: line.from,
+                to: line.from + (match ? match[0].length : 0),
+                insert: target > 0 ? `${'#'.repeat(target)} ` : ''
+            };
+        }));
+        return true;
+    };
+}
+
+function listTypeOf(text) {
+    const match = text.match(LIST_PATTERN);
+    if (match[2]) return 'task';
+    if (match[3]) return 'bullet';
+    if (match[4]) return 'ordered';
+    return null;
+}
+
+/**
+ * Toggle a list type ('bullet' | 'ordered' | 'task') on the selected lines
+ * Other list markers are converted; blank lines between items are left as they are
+ */
+function toggleList(type) {
+    return (view) => {
+        const { state } = view;
+        let lines = selectedLines(state).filter(line => line.text.trim());
+        if (lines.length === 0) lines = selectedLines(state);
+        const remove = lines.every(line => listTypeOf(line.text) === type);
+
+        // 番号はインデントの深さごとに振る
+        const numbers = new Map();
+        dispatchLineChanges(view, lines.map(line => {
+            const [prefix, indent] = line.text.match(LIST_PATTERN);
+            let insert = '';
+            if (!remove && type === 'ordered') {
+                for (const depth of numbers.keys()) {
+                    if (depth > indent.length) numbers.delete(depth);
+                }
+                const number = (numbers.get(indent.length) || 0) + 1;
+                numbers.set(indent.length, number);
+                insert = `${number}. `;
+            } else if (!remove) {
+                insert = type === 'task' ? '- [ ] ' : '- ';
+            }
+            return { from: line.from + indent.length, to: line.from + prefix.length, insert };
+        }));
+        return true;
+    };
+}
+
+/**
+ * Insert a link for each selection
+ * A selected URL becomes the target; other text becomes the label and the URL placeholder is selected
+ */
+function insertLink(view) {
+    const { state } = view;
+    view.dispatch(state.changeByRange(range => {
+        const text = state.sliceDoc(range.from, range.to);
+        if (URL_PATTERN.test(text)) {
+            return {
+                changes: { from: range.from, to: range.to, insert: `[](${text})` },
+                range: EditorSelection.cursor(range.from + 1)
+            };
+        }
+        const label = text || 'リンク';
+        const urlStart = range.from + label.length + 3;
+        return {
+            changes: { from: range.from, to: range.to, insert: `[${label}](https://)` },
+            range: text ? EditorSelection.range(urlStart, urlStart + 'https://'.length) : EditorSelection.range(range.from + 1, range.from + 1 + label.length)
+        };
+    }), { userEvent: 'input.format', scrollIntoView: true });
+    return true;
+}
+
+const CENTER_OPEN = '<div align="center">';
+const CENTER_CLOSE = '</div>';
+
+/**
+ * Find the center block around the selected lines
+ * @returns {{open: import('@codemirror/state').Line, close: import('@codemirror/state').Line}|null}
+ */
+function centerBlockAround(state, first, last) {
+    let open = null;
+    for (let number = first.number; number >= 1; number--) {
+        const text = state.doc.line(number).text.trim();
+        if (text === CENTER_OPEN) {
+            open = state.doc.line(number);
+            break;
+        }
+        if (number < first.number && text === CENTER_CLOSE) return null;
+    }
+    if (!open) return null;
+    for (let number = Math.max(last.number, open.number + 1); number <= state.doc.lines; number++) {
+        const text = state.doc.line(number).text.trim();
+        if (text === CENTER_CLOSE) return { open, close: state.doc.line(number) };
+        if (number > last.number && text === CENTER_OPEN) return null;
+    }
+    return null;
+}
+
+/**
+ * Center the selected lines (Markdown has no alignment, so an HTML block is used)
+ * If they are already centered, the block is removed
+ */
+function centerLines(view) {
+    const { state } = view;
+    const lines = selectedLines(state);
+    const first = lines[0];
+    const last = lines[lines.length - 1];
+
+    const block = centerBlockAround(state, first, last);
+    if (block) {
+        // 中央揃えのときに入れた前後の空行も一緒に取り除く
+        const { doc } = state;
+        let afterOpen = block.open.number + 1;
+        if (afterOpen < block.close.number && !doc.line(afterOpen).text.trim()) afterOpen++;
+        let beforeClose = block.close.number - 1;
+        if (beforeClose >= afterOpen && !doc.line(beforeClose).text.trim()) beforeClose--;
+
+        const changes = beforeClose < afterOpen
+            ? [{ from: block.open.from, to: block.close.to }]
+            : [{ from: block.open.from, to: doc.line(afterOpen).from }, { from: doc.line(beforeClose).to, to: block.close.to }];
+        view.dispatch({ changes, userEvent: 'input.format' });
+        return true;
+    }
+
+    view.dispatch({
+        changes: [
+            { from: first.from, insert: `${CENTER_OPEN}\n\n` },
+            { from: last.to, insert: `\n\n${CENTER_CLOSE}` }
+        ],
+        userEvent: 'input.format'
+    });
+    return true;
+}
+
+/**
+ * Color the selected text (or the word at the cursor) with an HTML span
+ */
+function setColor(color) {
+    return (view) => {
+        const { state } = view;
+        view.dispatch(state.changeByRange(range => {
+            let { from, to } = range;
+            if (range.empty) {
+                const word = state.wordAt(from);
+                if (word) ({ from, to } = word);
+            }
+            const open = `<span style="color: ${color}">`;
+            return {
+                changes: [{ from, insert: open }, { from: to, insert: '</span>' }],
+                range: EditorSelection.range(from + open.length, to + open.length)
+            };
+        }), { userEvent: 'input.format' });
+        return true;
+    };
+}
+
+// ツールバーとショートカットから使うコマンド
+const FORMAT_COMMANDS = {
+    bold: toggleMark('**'),
+    italic: toggleMark('*'),
+    strike: toggleMark('~~'),
+    code: toggleMark('`'),
+    bulletList: toggleList('bullet'),
+    orderedList: toggleList('ordered'),
+    taskList: toggleList('task'),
+    link: insertLink,
+    center: centerLines
+};
+
+// 既定のキー割り当て（Mod-i の親構文の選択など）より優先する
+const formattingKeymap = Prec.high(keymap.of([
+    { key: 'Mod-b', run: FORMAT_COMMANDS.bold },
+    { key: 'Mod-i', run: FORMAT_COMMANDS.italic },
+    { key: 'Mod-Shift-x', run: FORMAT_COMMANDS.strike },
+    { key: 'Mod-e', run: FORMAT_COMMANDS.code },
+    { key: 'Mod-k', run: FORMAT_COMMANDS.link },
+    { key: 'Mod-Shift-8', run: FORMAT_COMMANDS.bulletList },
+    { key: 'Mod-Shift-7', run: FORMAT_COMMANDS.orderedList },
+    { key: 'Mod-Shift-9', run: FORMAT_COMMANDS.taskList },
+    { key: 'Mod-0', run: setHeading(0) },
+    ...[1, 2, 3, 4, 5, 6].map(level => ({ key: `Mod-${level}`, run: setHeading(level) }))
+]));
+
+export { FORMAT_COMMANDS, formattingKeymap, setHeading, setColor, HEADING_PATTERN };
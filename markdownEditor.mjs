@@ -0,0 +1,222 @@
+// markdownEditor.mjs
+// CodeMirror 6 based Markdown editor used by the renderer
+// Loaded as an ES module (bare imports are resolved by the import map in index.html) and
+// exposed as window.MarkdownEditor, since renderer.js is a classic script
+// Each tab keeps its own EditorState, so undo history and selection survive tab switches
+
+import { EditorState } from '@codemirror/state';
+import {
+    EditorView, keymap, lineNumbers, highlightActiveLine, highlightActiveLineGutter,
+    highlightSpecialChars, drawSelection, dropCursor, rectangularSelection, crosshairCursor,
+    placeholder
+} from '@codemirror/view';
+import { defaultKeymap, history, historyKeymap, indentWithTab } from '@codemirror/commands';
+import { syntaxHighlighting, defaultHighlightStyle, bracketMatching, indentOnInput } from '@codemirror/language';
+import { searchKeymap, highlightSelectionMatches } from '@codemirror/search';
+import { closeBrackets, closeBracketsKeymap } from '@codemirror/autocomplete';
+import { markdown, markdownLanguage } from '@codemirror/lang-markdown';
+import { FORMAT_COMMANDS, formattingKeymap, setHeading, setColor, HEADING_PATTERN } from './markdownCommands.mjs';
+import { displayWidth, codeBlockTest, findTable, insertTable, tableEditing, TABLE_COMMANDS } from './markdownTable.mjs';
+
+class MarkdownEditor {
+    /**
+     * @param {HTMLElement} parent - element the editor is mounted in
+     * @param {{placeholder?: string, onChange?: Function, onSelectionChange?: Function, onGeometryChange?: Function}} options
+     *   onChange is called for document changes made by the user or through this API
+     *   (not for setState), onSelectionChange for cursor moves and onGeometryChange when
+     *   line heights or the editor size change
+     */
+    constructor(parent, options = {}) {
+        this.options = options;
+        this.extensions = [
+            lineNumbers(),
+            highlightActiveLineGutter(),
+            highlightSpecialChars(),
+            history(),
+            drawSelection(),
+            dropCursor(),
+            EditorState.allowMultipleSelections.of(true),
+            indentOnInput(),
+            syntaxHighlighting(defaultHighlightStyle, { fallback: true }),
+            bracketMatching(),
+            closeBrackets(),
+            rectangularSelection(),
+            crosshairCursor(),
+            highlightActiveLine(),
+            highlightSelectionMatches(),
+            formattingKeymap,
+            tableEditing,
+            keymap.of([
+                ...closeBracketsKeymap,
+                ...defaultKeymap,
+                ...searchKeymap,
+                ...historyKeymap,
+                indentWithTab
+            ]),
+            markdown({ base: markdownLanguage }),
+            EditorView.lineWrapping,
+            EditorView.contentAttributes.of({ spellcheck: 'false' }),
+            placeholder(options.placeholder || ''),
+            EditorView.updateListener.of(update => {
+                if (update.docChanged && this.options.onChange) this.options.onChange(update);
+                if (update.selectionSet && this.options.onSelectionChange) this.options.onSelectionChange(update);
+                if (update.geometryChanged && this.options.onGeometryChange) this.options.onGeometryChange(update);
+            })
+        ];
+        this.view = new EditorView({ state: this.createState(''), parent });
+    }
+
+    /**
+     * Create a state for a tab (use with setState when switching tabs)
+     */
+    createState(doc) {
+        return EditorState.create({ doc, extensions: this.extensions });
+    }
+
+    getState() {
+        return this.view.state;
+    }
+
+    setState(state) {
+        this.view.setState(state);
+    }
+
+    getValue() {
+        return this.view.state.doc.toString();
+    }
+
+    // 全体を置き換える（元に戻す履歴に残る）
+    setValue(text) {
+        this.replaceRange(text, 0, this.view.state.doc.length);
+    }
+
+    /**
+     * @returns {{from: number, to: number}} the main selection
+     */
+    getSelection() {
+        const { from, to } = this.view.state.selection.main;
+        return { from, to };
+    }
+
+    setSelection(from, to = from) {
+        this.view.dispatch({ selection: { anchor: from, head: to }, scrollIntoView: true });
+    }
+
+    get scrollDOM() {
+        return this.view.scrollDOM;
+    }
+
+    focus() {
+        this.view.focus();
+    }
+
+    /**
+     * Replace a range and put the cursor after the inserted text
+     */
+    replaceRange(text, from, to) {
+        this.view.dispatch({
+            changes: { from, to, insert: text },
+            selection: { anchor: from + text.length },
+            userEvent: 'input'
+        });
+    }
+
+    /**
+     * Run a formatting command on the current selection (one undo step)
+     * @param {string} name - 'bold' | 'italic' | 'strike' | 'code' | 'link' | 'bulletList' |
+     *   'orderedList' | 'taskList' | 'center' | 'heading' (value = level, 0 = paragraph) | 'color' (value = CSS color)
+     */
+    format(name, value) {
+        let command = FORMAT_COMMANDS[name];
+        if (name === 'heading') command = setHeading(value);
+        if (name === 'color') command = setColor(value);
+        if (!command) return;
+        command(this.view);
+        this.view.focus();
+    }
+
+    /**
+     * Heading level (0 = none) of the line with the cursor
+     */
+    currentHeadingLevel() {
+        const { state } = this.view;
+        const match = state.doc.lineAt(state.selection.main.head).text.match(HEADING_PATTERN);
+        return match ? match[1].length : 0;
+    }
+
+    /**
+     * Whether the cursor is inside a GFM table
+     */
+    isInTable() {
+        const { state } = this.view;
+        return !!findTable(state.doc, state.doc.lineAt(state.selection.main.head).number, codeBlockTest(state));
+    }
+
+    /**
+     * Insert an empty table at the cursor
+     * @param {{rows: number, columns: number, align?: 'left'|'center'|'right'|null}} options - rows excludes the header
+     */
+    insertTable(options) {
+        insertTable(options)(this.view);
+        this.view.focus();
+    }
+
+    /**
+     * Run a table command on the table at the cursor
+     * @param {string} name - a key of TABLE_COMMANDS (addRowBelow, deleteColumn, sortAscending, ...)
+     * @returns {boolean} false if the cursor is not in a table or the command does not apply
+     */
+    tableCommand(name) {
+        const command = TABLE_COMMANDS[name];
+        const done = command ? command(this.view) : false;
+        this.view.focus();
+        return done;
+    }
+
+    /**
+     * Zero-based line number of a document position
+     */
+    lineAt(pos) {
+        return this.view.state.doc.lineAt(pos).number - 1;
+    }
+
+    /**
+     * Document position of the start of a zero-based line
+     */
+    lineStart(lineNumber) {
+        const doc = this.view.state.doc;
+        return doc.line(Math.min(Math.max(lineNumber + 1, 1), doc.lines)).from;
+    }
+
+    /**
+     * Move the cursor to a line and scroll it to the upper part of the editor
+     */
+    scrollToLine(lineNumber) {
+        const pos = this.lineStart(lineNumber);
+        this.view.dispatch({
+            selection: { anchor: pos },
+            effects: EditorView.scrollIntoView(pos, { y: 'start', yMargin: this.view.scrollDOM.clientHeight / 3 })
+        });
+        this.view.focus();
+    }
+
+    /**
+     * Vertical position of every line, including wrapped lines
+     * @returns {{top: number, height: number}[]} relative to the top of the scrolled content
+     */
+    measureLines() {
+        const { doc } = this.view.state;
+        const offset = this.view.documentTop - this.view.scrollDOM.getBoundingClientRect().top + this.view.scrollDOM.scrollTop;
+        const positions = [];
+        for (let number = 1; number <= doc.lines; number++) {
+            const block = this.view.lineBlockAt(doc.line(number).from);
+            positions.push({ top: block.top + offset, height: block.height });
+        }
+        return positions;
+    }
+}
+
+// 表の整形と同じ幅の数え方をコミットメッセージの文字数表示でも使う
+MarkdownEditor.displayWidth = displayWidth;
+
+window.MarkdownEditor = MarkdownEditor;
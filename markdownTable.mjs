@@ -0,0 +1,474 @@
+// markdownTable.mjs
+// GFM pipe table editing for the Markdown editor
+// A table is reformatted (columns padded to the same display width) whenever the user edits
+// one of its lines; the formatting changes are appended to the same transaction, so typing
+// and formatting are undone together. Tab / Shift-Tab move between cells and the table
+// commands (insert, add/remove rows and columns, sort) each dispatch a single transaction.
+
+import { EditorSelection, EditorState, Prec } from '@codemirror/state';
+import { keymap } from '@codemirror/view';
+import { syntaxTree } from '@codemirror/language';
+
+const DELIMITER_CELL = /^\s*:?-+:?\s*$/;
+
+/**
+ * Display width of a string (East Asian Wide / Fullwidth characters count as 2,
+ * combining marks and zero width characters as 0)
+ */
+function displayWidth(text) {
+    let width = 0;
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (/\p{M}/u.test(char) || code === 0x200B || code === 0x200D || (code >= 0xFE00 && code <= 0xFE0F)) continue;
+        const isWide = (code >= 0x1100 && code <= 0x115F) ||
+            (code >= 0x2E80 && code <= 0xA4CF) ||
+            (code >= 0xAC00 && code <= 0xD7A3) ||
+            (code >= 0xF900 && code <= 0xFAFF) ||
+            (code >= 0xFE30 && code <= 0xFE4F) ||
+            (code >= 0xFF00 && code <= 0xFF60) ||
+            (code >= 0xFFE0 && code <= 0xFFE6) ||
+            (code >= 0x1F300 && code <= 0x1FAFF) ||
+            (code >= 0x20000 && code <= 0x3FFFD);
+        width += isWide ? 2 : 1;
+    }
+    return width;
+}
+
+/**
+ * Split a table row into cells (escaped pipes \| stay in the cell)
+ * @returns {{cells: {text: string, from: number, to: number}[], indent: string}}
+ *   from/to are offsets of the raw cell text in the line (between the pipes)
+ */
+function splitRow(line) {
+    const indent = line.match(/^\s*/)[0];
+    const cells = [];
+    let start = indent.length;
+    if (line[start] === '|') start++;
+
+    let index = start;
+    while (index <= line.length) {
+        if (line[index] === '\\') {
+            index += 2;
+            continue;
+        }
+        if (index === line.length || line[index] === '|') {
+            cells.push({ text: line.substring(start, index), from: start, to: index });
+            start = index + 1;
+        }
+        index++;
+    }
+    // 末尾の | の後ろ（空白のみ）はセルにしない
+    if (cells.length > 1 && !cells[cells.length - 1].text.trim() && /\|\s*$/.test(line)) cells.pop();
+    return { cells, indent };
+}
+
+function isTableRow(text) {
+    return text.includes('|') && text.trim() !== '';
+}
+
+function isDelimiterRow(text) {
+    const { cells } = splitRow(text);
+    return text.includes('-') && cells.length > 0 && cells.every(cell => DELIMITER_CELL.test(cell.text));
+}
+
+function alignmentOf(cell) {
+    const text = cell.trim();
+    const left = text.startsWith(':');
+    const right = text.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+}
+
+/**
+ * Build a test for whether a position is inside a fenced or indented code block
+ * (lines with | there are not tables)
+ * @param {import('@codemirror/state').ChangeDesc} [changes] - when given, positions are in the
+ *   document after these changes, while the syntax tree of state is from before them
+ * @returns {(pos: number) => boolean}
+ */
+function codeBlockTest(state, changes) {
+    const tree = syntaxTree(state);
+    const back = changes ? changes.invertedDesc : null;
+    return (pos) => {
+        for (let node = tree.resolveInner(back ? back.mapPos(pos, 1) : pos, 1); node; node = node.parent) {
+            if (node.name === 'FencedCode' || node.name === 'CodeBlock') return true;
+        }
+        return false;
+    };
+}
+
+/**
+ * Find the table containing a line
+ * @param {(pos: number) => boolean} [inCode] - see codeBlockTest
+ * @returns {{from: number, to: number, lines: import('@codemirror/state').Line[]}|null}
+ *   the lines of the table (header, delimiter, body rows) or null
+ */
+function findTable(doc, lineNumber, inCode) {
+    const line = doc.line(lineNumber);
+    // インデントのコードブロックはインデントの後から始まる
+    if (!isTableRow(line.text) || (inCode && inCode(line.from + line.text.search(/\S/)))) return null;
+    let first = lineNumber;
+    let last = lineNumber;
+    while (first > 1 && isTableRow(doc.line(first - 1).text)) first--;
+    while (last < doc.lines && isTableRow(doc.line(last).text) && isTableRow(doc.line(last + 1).text)) last++;
+
+    // 区切り行より上に表の行が続いている場合は、区切り行の1つ上を見出しとする
+    for (let header = first; header < last; header++) {
+        if (!isDelimiterRow(doc.line(header + 1).text)) continue;
+        if (lineNumber < header) return null;
+        const lines = [];
+        for (let number = header; number <= last; number++) lines.push(doc.line(number));
+        return { from: lines[0].from, to: lines[lines.length - 1].to, lines };
+    }
+    return null;
+}
+
+/**
+ * Parse the lines of a table
+ * @returns {{indent: string, rows: string[][], aligns: (string|null)[]}} rows excludes the delimiter row
+ */
+function parseTable(table) {
+    const parsed = table.lines.map(line => splitRow(line.text));
+    const rows = parsed.filter((row, index) => index !== 1).map(row => row.cells.map(cell => cell.text.trim()));
+    const columns = Math.max(...rows.map(row => row.length), parsed[1].cells.length);
+    const aligns = [];
+    for (let column = 0; column < columns; column++) {
+        const cell = parsed[1].cells[column];
+        aligns.push(cell ? alignmentOf(cell.text) : null);
+    }
+    rows.forEach(row => {
+        while (row.length < columns) row.push('');
+    });
+    return { indent: parsed[0].indent, rows, aligns };
+}
+
+function pad(text, width, align) {
+    const space = Math.max(0, width - displayWidth(text));
+    if (align === 'right') return ' '.repeat(space) + text;
+    if (align === 'center') {
+        const left = Math.floor(space / 2);
+        return ' '.repeat(left) + text + ' '.repeat(space - left);
+    }
+    return text + ' '.repeat(space);
+}
+
+function delimiterCell(width, align) {
+    const dashes = '-'.repeat(Math.max(1, width - (align === 'center' ? 2 : (align ? 1 : 0))));
+    if (align === 'center') return `:${dashes}:`;
+    if (align === 'right') return `${dashes}:`;
+    if (align === 'left') return `:${dashes}`;
+    return dashes;
+}
+
+/**
+ * Format a parsed table into lines
+ * @returns {{lines: string[], cellStarts: number[][]}} cellStarts[row][column] is the offset of
+ *   each cell's text in its line (rows includes the delimiter row at index 1)
+ */
+function formatTable({ indent, rows, aligns }) {
+    const widths = aligns.map((align, column) => Math.max(3, ...rows.map(row => displayWidth(row[column]))));
+    const lines = [];
+    const cellStarts = [];
+
+    const build = (cells, padded) => {
+        let text = `${indent}|`;
+        const starts = [];
+        cells.forEach((cell, column) => {
+            const value = padded ? pad(cell, widths[column], aligns[column]) : cell;
+            // 右揃え・中央揃えで前に入る空白の後ろを文字列の開始位置とする
+            const lead = cell.trim() ? value.length - value.trimStart().length : 0;
+            starts.push(text.length + 1 + lead);
+            text += ` ${value} |`;
+        });
+        lines.push(text);
+        cellStarts.push(starts);
+    };
+
+    rows.forEach((row, index) => {
+        build(row, true);
+        if (index === 0) build(widths.map((width, column) => delimiterCell(width, aligns[column])), false);
+    });
+    return { lines, cellStarts };
+}
+
+/**
+ * Cell at a document position
+ * @returns {{row: number, column: number, offset: number, atEnd: boolean}|null} row counts the
+ *   delimiter row; offset is the position inside the trimmed cell text
+ */
+function cellAt(table, pos) {
+    const row = table.lines.findIndex(line => pos >= line.from && pos <= line.to);
+    if (row === -1) return null;
+    const line = table.lines[row];
+    const { cells } = splitRow(line.text);
+    const offset = pos - line.from;
+    let column = cells.findIndex(cell => offset <= cell.to);
+    if (column === -1) column = cells.length - 1;
+    if (column === -1) return { row, column: 0, offset: 0 };
+    const cell = cells[column];
+    const leading = cell.text.length - cell.text.trimStart().length;
+    const inner = Math.max(0, offset - cell.from - leading);
+    const length = cell.text.trim().length;
+    return { row, column, offset: Math.min(inner, length), atEnd: inner >= length };
+}
+
+/**
+ * Reformat a table and return the change and the new position of a cell
+ * @param {(parsed) => void} [edit] - modifies the parsed table before formatting
+ * @returns {{changes: {from: number, to: number, insert: string}, posOf: (row: number, column: number, offset?: number) => number,
+ *   cellLength: (row: number, column: number) => number, parsed: object}} positions are in the document after the change
+ */
+function rewriteTable(table, edit) {
+    const parsed = parseTable(table);
+    if (edit) edit(parsed);
+    const { lines, cellStarts } = formatTable(parsed);
+    const lineStarts = [];
+    let offset = table.from;
+    lines.forEach(line => {
+        lineStarts.push(offset);
+        offset += line.length + 1;
+    });
+    return {
+        changes: { from: table.from, to: table.to, insert: lines.join('\n') },
+        posOf: (row, column, cellOffset = 0) => {
+            const r = Math.min(Math.max(row, 0), lines.length - 1);
+            const c = Math.min(Math.max(column, 0), cellStarts[r].length - 1);
+            return lineStarts[r] + cellStarts[r][c] + cellOffset;
+        },
+        cellLength: (row, column) => {
+            if (row === 1) return 0;
+            const source = parsed.rows[bodyIndex(row)];
+            return source && source[column] !== undefined ? source[column].length : 0;
+        },
+        parsed
+    };
+}
+
+// 表の中にあるカーソルの表と位置
+function tableAtCursor(state) {
+    const pos = state.selection.main.head;
+    const table = findTable(state.doc, state.doc.lineAt(pos).number, codeBlockTest(state));
+    if (!table) return null;
+    return { table, cell: cellAt(table, pos) };
+}
+
+/**
+ * Build a table command: edit(parsed, cell) modifies the parsed table and returns the cell
+ * to put the cursor in ({row, column}, row counting the delimiter row), undefined to keep it
+ * or false when the command does not apply
+ */
+function tableCommand(edit) {
+    return (view) => {
+        const found = tableAtCursor(view.state);
+        if (!found) return false;
+        const { table, cell } = found;
+        let target;
+        const result = rewriteTable(table, parsed => {
+            target = edit(parsed, cell);
+        });
+        if (target === false) return false;
+        // 移動先のセルは中身を選択し、移動しない場合はセル内の位置を保つ
+        const anchor = target ? result.posOf(target.row, target.column) : result.posOf(cell.row, cell.column, cell.row === 1 ? 0 : cell.offset);
+        view.dispatch({
+            changes: result.changes,
+            selection: target ? EditorSelection.range(anchor, anchor + result.cellLength(target.row, target.column)) : EditorSelection.cursor(anchor),
+            userEvent: 'input.table',
+            scrollIntoView: true
+        });
+        return true;
+    };
+}
+
+// 表の行番号（区切り行を含む）→ rows の添字
+function bodyIndex(row) {
+    return row === 0 ? 0 : row - 1;
+}
+
+const nextCell = tableCommand((parsed, cell) => {
+    const columns = parsed.aligns.length;
+    let { row, column } = cell;
+    column++;
+    if (column >= columns) {
+        column = 0;
+        row = row === 0 ? 2 : row + 1;
+    }
+    if (row === 1) row = 2;
+    // 最後の行の次は行を追加する
+    if (bodyIndex(row) >= parsed.rows.length) parsed.rows.push(parsed.aligns.map(() => ''));
+    return { row, column };
+});
+
+const previousCell = tableCommand((parsed, cell) => {
+    let { row, column } = cell;
+    column--;
+    if (column < 0) {
+        if (row === 0) return { row, column: 0 };
+        column = parsed.aligns.length - 1;
+        row = row === 2 ? 0 : row - 1;
+    }
+    return { row, column };
+});
+
+const addRowBelow = tableCommand((parsed, cell) => {
+    const index = cell.row <= 1 ? 1 : bodyIndex(cell.row) + 1;
+    parsed.rows.splice(index, 0, parsed.aligns.map(() => ''));
+    return { row: index + 1, column: cell.column };
+});
+
+const deleteRow = tableCommand((parsed, cell) => {
+    // 見出しと区切り行は削除しない
+    if (cell.row <= 1) return false;
+    parsed.rows.splice(bodyIndex(cell.row), 1);
+    const row = Math.min(cell.row, parsed.rows.length);
+    return { row: row < 2 ? 0 : row, column: cell.column };
+});
+
+const addColumnRight = tableCommand((parsed, cell) => {
+    const index = cell.column + 1;
+    parsed.rows.forEach(row => row.splice(index, 0, ''));
+    parsed.aligns.splice(index, 0, null);
+    return { row: cell.row === 1 ? 0 : cell.row, column: index };
+});
+
+const deleteColumn = tableCommand((parsed, cell) => {
+    if (parsed.aligns.length <= 1) return false;
+    parsed.rows.forEach(row => row.splice(cell.column, 1));
+    parsed.aligns.splice(cell.column, 1);
+    return { row: cell.row === 1 ? 0 : cell.row, column: Math.min(cell.column, parsed.aligns.length - 1) };
+});
+
+function alignColumn(align) {
+    return tableCommand((parsed, cell) => {
+        parsed.aligns[cell.column] = align;
+    });
+}
+
+function sortByColumn(descending) {
+    return tableCommand((parsed, cell) => {
+        const [header, ...body] = parsed.rows;
+        const collator = new Intl.Collator('ja', { numeric: true, sensitivity: 'base' });
+        body.sort((a, b) => collator.compare(a[cell.column], b[cell.column]) * (descending ? -1 : 1));
+        parsed.rows = [header, ...body];
+        return { row: 0, column: cell.column };
+    });
+}
+
+const formatTableCommand = tableCommand(() => undefined);
+
+/**
+ * Insert an empty table at the cursor (on its own lines)
+ * @param {{rows: number, columns: number, align?: string|null}} options - rows excludes the header
+ */
+function insertTable({ rows, columns, align = null }) {
+    return (view) => {
+        const { state } = view;
+        const line = state.doc.lineAt(state.selection.main.head);
+        const parsed = {
+            indent: '',
+            rows: Array.from({ length: rows + 1 }, (_, row) => Array.from({ length: columns }, (_, column) => (row === 0 ? `列${column + 1}` : ''))),
+            aligns: Array.from({ length: columns }, () => align)
+        };
+        const { lines, cellStarts } = formatTable(parsed);
+
+        // 前後の段落と続かないように空行を挟む（空でない行の中なら次の行に挿入する）
+        const blank = (number) => number < 1 || number > state.doc.lines || !state.doc.line(number).text.trim();
+        const onEmptyLine = blank(line.number);
+        const from = onEmptyLine ? line.from : line.to;
+        const to = line.to;
+        const before = onEmptyLine ? (blank(line.number - 1) ? '' : '\n') : '\n\n';
+        const after = blank(line.number + 1) && line.number < state.doc.lines ? '' : '\n';
+        const insert = before + lines.join('\n') + after;
+        const anchor = from + before.length + cellStarts[0][0];
+        view.dispatch({
+            changes: { from, to, insert },
+            selection: EditorSelection.range(anchor, anchor + parsed.rows[0][0].length),
+            userEvent: 'input.table',
+            scrollIntoView: true
+        });
+        return true;
+    };
+}
+
+/**
+ * Reformat the tables touched by user edits in the same transaction
+ * The cell the cursor is in keeps the whitespace before the cursor, so a space can be typed
+ * at the end of a cell; IME composition is left alone until it is committed
+ */
+const autoFormat = EditorState.transactionFilter.of(tr => {
+    // 入力・貼り付け・削除のときだけ整形する（元に戻すや、setValue などのプログラムからの置き換えは
+    // 書かれたとおりに残す）
+    if (!tr.docChanged || !(tr.isUserEvent('input.type') || tr.isUserEvent('input.paste') || tr.isUserEvent('delete')) ||
+        tr.isUserEvent('input.type.compose')) {
+        return tr;
+    }
+
+    const doc = tr.newDoc;
+    const inCode = codeBlockTest(tr.startState, tr.changes);
+    const tables = [];
+    tr.changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+        const first = doc.lineAt(fromB).number;
+        const last = doc.lineAt(toB).number;
+        for (let number = first; number <= last; number++) {
+            if (tables.some(table => table.lines.some(line => line.number === number))) continue;
+            const table = findTable(doc, number, inCode);
+            if (table) tables.push(table);
+        }
+    });
+    if (tables.length === 0) return tr;
+
+    const head = tr.newSelection.main.head;
+    const changes = [];
+    let selection;
+    // 前の表の長さの変化（カーソル位置の補正に使う）
+    let shift = 0;
+    tables.sort((a, b) => a.from - b.from).forEach(table => {
+        const cell = head >= table.from && head <= table.to ? cellAt(table, head) : null;
+        // 区切り行の編集中は揃え方を入力し終えるまで整形しない
+        if (cell && cell.row === 1) return;
+
+        let keep = '';
+        if (cell && cell.atEnd) {
+            // セル末尾でカーソルの直前にある空白は入力途中なので残す
+            const line = table.lines[cell.row];
+            keep = line.text.substring(0, head - line.from).match(/[ \t]*$/)[0];
+        }
+        const result = rewriteTable(table, parsed => {
+            if (keep) parsed.rows[bodyIndex(cell.row)][cell.column] += keep;
+        });
+        const { insert } = result.changes;
+        if (insert === doc.sliceString(table.from, table.to)) return;
+        changes.push(result.changes);
+        if (cell) selection = EditorSelection.cursor(shift + result.posOf(cell.row, cell.column, cell.offset + keep.length));
+        shift += insert.length - (table.to - table.from);
+    });
+    if (changes.length === 0) return tr;
+
+    return [tr, { changes, sequential: true, selection }];
+});
+
+// Tab / Shift-Tab は表の中ではセル移動、表の外では通常のインデント
+const tableKeymap = Prec.high(keymap.of([
+    { key: 'Tab', run: nextCell },
+    { key: 'Shift-Tab', run: previousCell }
+]));
+
+const TABLE_COMMANDS = {
+    format: formatTableCommand,
+    nextCell,
+    previousCell,
+    addRowBelow,
+    deleteRow,
+    addColumnRight,
+    deleteColumn,
+    alignLeft: alignColumn('left'),
+    alignCenter: alignColumn('center'),
+    alignRight: alignColumn('right'),
+    sortAscending: sortByColumn(false),
+    sortDescending: sortByColumn(true)
+};
+
+const tableEditing = [autoFormat, tableKeymap];
+
+export { displayWidth, codeBlockTest, findTable, insertTable, tableEditing, TABLE_COMMANDS };
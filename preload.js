@@ -63,16 +63,62 @@ contextBridge.exposeInMainWorld('electronAPI', {
   getCompletionCandidates: (prefix, currentDir) => {
     return ipcRenderer.invoke('get-completion-candidates', prefix, currentDir);
   },
+  // ワークスペースごとの設定
+  getWorkspaceSettings: (workspacePath) => {
+    return ipcRenderer.invoke('workspace:get-settings', workspacePath);
+  },
+  updateWorkspaceSettings: (workspacePath, updates) => {
+    return ipcRenderer.invoke('workspace:update-settings', workspacePath, updates);
+  },
+  // エディタのセッション（次回起動時に復元するタブと未保存の内容）
+  loadEditorSession: (folder) => {
+    return ipcRenderer.invoke('session:load', folder);
+  },
+  saveEditorSession: (session) => {
+    return ipcRenderer.invoke('session:save', session);
+  },
   // Git operations
+  gitInit: (repoPath, options) => {
+    return ipcRenderer.invoke('git-init', repoPath, options);
+  },
+  gitClone: (options) => {
+    return ipcRenderer.invoke('git-clone', options);
+  },
+  onGitCloneProgress: (callback) => ipcRenderer.on('git:clone-progress', (event, progress) => {
+    callback(progress);
+  }),
   gitStatus: (repoPath) => {
     return ipcRenderer.invoke('git-status', repoPath);
   },
+  // リポジトリの監視（外部での変更を git:status-changed で受け取る）
+  gitWatch: (repoPath) => {
+    return ipcRenderer.invoke('git-watch', repoPath);
+  },
+  onGitStatusChanged: (callback) => ipcRenderer.on('git:status-changed', (event, status) => {
+    callback(status);
+  }),
+  gitIgnoredPaths: (repoPath, entries) => {
+    return ipcRenderer.invoke('git-ignored-paths', repoPath, entries);
+  },
   gitAdd: (repoPath, filepath) => {
     return ipcRenderer.invoke('git-add', repoPath, filepath);
   },
   gitRemove: (repoPath, filepath) => {
     return ipcRenderer.invoke('git-remove', repoPath, filepath);
   },
+  gitResetIndex: (repoPath, filepath) => {
+    return ipcRenderer.invoke('git-reset-index', repoPath, filepath);
+  },
+  gitDiscard: (repoPath, filepath) => {
+    return ipcRenderer.invoke('git-discard', repoPath, filepath);
+  },
+  // コミットの作成者（global: ~/.gitconfig / local: リポジトリ）
+  gitGetIdentity: (repoPath) => {
+    return ipcRenderer.invoke('git-get-identity', repoPath);
+  },
+  gitSetIdentity: (repoPath, scope, identity) => {
+    return ipcRenderer.invoke('git-set-identity', repoPath, scope, identity);
+  },
   gitCommit: (repoPath, message) => {
     return ipcRenderer.invoke('git-commit', repoPath, message);
   },
@@ -82,13 +128,160 @@ contextBridge.exposeInMainWorld('electronAPI', {
   gitPull: (repoPath) => {
     return ipcRenderer.invoke('git-pull', repoPath);
   },
+  gitAutoSnapshot: (repoPath) => {
+    return ipcRenderer.invoke('git-auto-snapshot', repoPath);
+  },
+  // マージの競合
+  gitMergeStatus: (repoPath) => {
+    return ipcRenderer.invoke('git-merge-status', repoPath);
+  },
+  gitConflictVersions: (repoPath, filepath) => {
+    return ipcRenderer.invoke('git-conflict-versions', repoPath, filepath);
+  },
+  gitResolveConflict: (repoPath, filepath, content) => {
+    return ipcRenderer.invoke('git-resolve-conflict', repoPath, filepath, content);
+  },
+  gitMergeContinue: (repoPath, message) => {
+    return ipcRenderer.invoke('git-merge-continue', repoPath, message);
+  },
+  gitMergeAbort: (repoPath) => {
+    return ipcRenderer.invoke('git-merge-abort', repoPath);
+  },
+  // スタッシュ
+  gitStashList: (repoPath) => {
+    return ipcRenderer.invoke('git-stash-list', repoPath);
+  },
+  gitStashPush: (repoPath, message) => {
+    return ipcRenderer.invoke('git-stash-push', repoPath, message);
+  },
+  gitStashApply: (repoPath, index, pop) => {
+    return ipcRenderer.invoke('git-stash-apply', repoPath, index, pop);
+  },
+  gitStashDrop: (repoPath, index) => {
+    return ipcRenderer.invoke('git-stash-drop', repoPath, index);
+  },
+  gitFetch: (repoPath) => {
+    return ipcRenderer.invoke('git-fetch', repoPath);
+  },
+  gitAheadBehind: (repoPath) => {
+    return ipcRenderer.invoke('git-ahead-behind', repoPath);
+  },
+  // リモート操作
+  gitListRemotes: (repoPath) => {
+    return ipcRenderer.invoke('git-list-remotes', repoPath);
+  },
+  gitAddRemote: (repoPath, name, url) => {
+    return ipcRenderer.invoke('git-add-remote', repoPath, name, url);
+  },
+  gitRemoveRemote: (repoPath, name) => {
+    return ipcRenderer.invoke('git-remove-remote', repoPath, name);
+  },
+  gitSetRemoteUrl: (repoPath, name, url) => {
+    return ipcRenderer.invoke('git-set-remote-url', repoPath, name, url);
+  },
+  gitClearCredentials: (url) => {
+    return ipcRenderer.invoke('git-clear-credentials', url);
+  },
+  // 認証情報の入力依頼を受信し、結果を返す
+  onGitAuthRequest: (callback) => ipcRenderer.on('git:auth-request', (event, request) => {
+    callback(request);
+  }),
+  respondGitAuth: (requestId, credentials) => ipcRenderer.send('git:auth-response', { requestId, credentials }),
+  // 履歴
+  gitLog: (repoPath, options) => {
+    return ipcRenderer.invoke('git-log', repoPath, options);
+  },
+  gitGraph: (repoPath, options) => {
+    return ipcRenderer.invoke('git-graph', repoPath, options);
+  },
+  gitReadFileAt: (repoPath, oid, filePath) => {
+    return ipcRenderer.invoke('git-read-file-at', repoPath, oid, filePath);
+  },
+  gitBlame: (repoPath, filePath, content) => {
+    return ipcRenderer.invoke('git-blame', repoPath, filePath, content);
+  },
+  gitCommitFiles: (repoPath, oid) => {
+    return ipcRenderer.invoke('git-commit-files', repoPath, oid);
+  },
+  gitDiffFile: (repoPath, oid, filepath) => {
+    return ipcRenderer.invoke('git-diff-file', repoPath, oid, filepath);
+  },
+  // 描画済みの Markdown の差分（単語単位）
+  diffRenderedHtml: (oldHtml, newHtml) => {
+    return ipcRenderer.invoke('diff-rendered-html', oldHtml, newHtml);
+  },
+  // 作業ツリーの差分とハンク単位のステージ
+  gitWorkingDiff: (repoPath, filepath, staged) => {
+    return ipcRenderer.invoke('git-working-diff', repoPath, filepath, staged);
+  },
+  gitStageHunks: (repoPath, filepath, hunks) => {
+    return ipcRenderer.invoke('git-stage-hunks', repoPath, filepath, hunks);
+  },
+  gitUnstageHunks: (repoPath, filepath, hunks) => {
+    return ipcRenderer.invoke('git-unstage-hunks', repoPath, filepath, hunks);
+  },
+  // 編集中のバッファと HEAD の差分
+  gitLineChanges: (repoPath, filePath, content) => {
+    return ipcRenderer.invoke('git-line-changes', repoPath, filePath, content);
+  },
+  // ブランチ操作
+  gitListBranches: (repoPath) => {
+    return ipcRenderer.invoke('git-list-branches', repoPath);
+  },
+  gitBranch: (repoPath, name, checkout) => {
+    return ipcRenderer.invoke('git-branch', repoPath, name, checkout);
+  },
+  gitCheckout: (repoPath, ref, remote) => {
+    return ipcRenderer.invoke('git-checkout', repoPath, ref, remote);
+  },
+  gitDeleteBranch: (repoPath, name) => {
+    return ipcRenderer.invoke('git-delete-branch', repoPath, name);
+  },
+  gitRenameBranch: (repoPath, oldName, newName) => {
+    return ipcRenderer.invoke('git-rename-branch', repoPath, oldName, newName);
+  },
+  // タグ
+  gitListTags: (repoPath) => {
+    return ipcRenderer.invoke('git-list-tags', repoPath);
+  },
+  gitCreateTag: (repoPath, name, ref, message) => {
+    return ipcRenderer.invoke('git-create-tag', repoPath, name, ref, message);
+  },
+  gitDeleteTag: (repoPath, name) => {
+    return ipcRenderer.invoke('git-delete-tag', repoPath, name);
+  },
+  gitPushTag: (repoPath, name) => {
+    return ipcRenderer.invoke('git-push-tag', repoPath, name);
+  },
+  gitReleaseNotes: (repoPath, fromTag, toRef) => {
+    return ipcRenderer.invoke('git-release-notes', repoPath, fromTag, toRef);
+  },
   // File operations
-  saveFile: (filepath, content) => {
-    return ipcRenderer.invoke('save-file', filepath, content);
+  saveFile: (filepath, content, expectedVersion) => {
+    return ipcRenderer.invoke('save-file', filepath, content, expectedVersion);
   },
   loadFile: (filepath) => {
     return ipcRenderer.invoke('load-file', filepath);
   },
+  loadFileWithVersion: (filepath) => {
+    return ipcRenderer.invoke('load-file-with-version', filepath);
+  },
+  // 開いているファイルの監視（他のプログラムによる変更・削除）
+  watchOpenFile: (filepath, version) => {
+    return ipcRenderer.invoke('watch-open-file', filepath, version);
+  },
+  unwatchOpenFile: (filepath) => {
+    return ipcRenderer.invoke('unwatch-open-file', filepath);
+  },
+  onOpenFileChanged: (callback) => ipcRenderer.on('file:changed', (event, change) => {
+    callback(change);
+  }),
+  mergeText: (baseText, oursText, theirsText, labels) => {
+    return ipcRenderer.invoke('merge-text', baseText, oursText, theirsText, labels);
+  },
+  diffText: (oldText, newText) => {
+    return ipcRenderer.invoke('diff-text', oldText, newText);
+  },
   listFiles: (dirPath) => {
     return ipcRenderer.invoke('list-files', dirPath);
   },
@@ -108,10 +301,20 @@ contextBridge.exposeInMainWorld('electronAPI', {
   selectFolder: () => {
     return ipcRenderer.invoke('select-folder');
   },
+  setCurrentDirectory: (folderPath) => {
+    return ipcRenderer.invoke('set-current-directory', folderPath);
+  },
   // ウィンドウ操作用のAPI
   minimizeWindow: () => ipcRenderer.invoke('window-minimize'),
   maximizeWindow: () => ipcRenderer.invoke('window-maximize'),
   closeWindow: () => ipcRenderer.invoke('window-close'),
+  // ウィンドウを閉じる前の未保存の確認（confirmed が false なら閉じない）
+  onWindowCloseRequested: (callback) => ipcRenderer.on('window:close-requested', () => {
+    // 受け取ったことをすぐに知らせる（知らせがなければ main プロセスは確認せずに閉じる）
+    ipcRenderer.send('window-close-ack');
+    callback();
+  }),
+  respondWindowClose: (confirmed) => ipcRenderer.invoke('window-close-response', confirmed),
   // PDF生成
   generatePdf: (htmlContent) => {
     return ipcRenderer.invoke('generate-pdf', htmlContent);
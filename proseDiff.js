@@ -0,0 +1,159 @@
+// proseDiff.js
+// Word-level diff of rendered Markdown (HTML) for the "compare rendered" view
+// Blocks (paragraphs, headings, list items...) are matched first, then the changed blocks are
+// compared word by word (CJK character by character); the markup of the newer version is kept
+// as is and removed/added text is wrapped in <del>/<ins>
+
+const { diffArrays } = require('./diffUtils');
+
+// 漢字・ひらがな・カタカナ・ハングルは1文字ずつ比較する
+const CJK = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}';
+const TOKEN_PATTERN = new RegExp(
+    `<[^>]*>|&#?\\w+;|[${CJK}]|(?:(?![${CJK}])[\\p{L}\\p{N}\\p{M}_])+|\\s+|.`,
+    'gsu'
+);
+
+// ブロック要素の終わり（ここで区切ったブロック単位で先に一致をとる）
+const BLOCK_END = /(?<=<\/(?:p|h[1-6]|li|tr|pre|blockquote|table|ul|ol|div|dl|dt|dd)>|<hr\b[^>]*>)/i;
+// 一度に単語単位で比較するトークン数の上限（超える範囲はまとめて置き換えとして扱う）
+const MAX_TOKEN_DIFF = 5000;
+
+function isTag(token) {
+    return token.startsWith('<');
+}
+
+/**
+ * Split HTML into tags, words, single CJK characters, whitespace and punctuation
+ * @param {string} html
+ * @returns {string[]}
+ */
+function tokenizeHtml(html) {
+    return html.match(TOKEN_PATTERN) || [];
+}
+
+// 変更箇所に挟まれた空白や1文字だけの一致は、細切れの差分を避けるため変更に含める
+function isNoise(chunk) {
+    if (chunk.items.some(isTag)) return false;
+    const text = chunk.items.join('');
+    return text.trim() === '' || chunk.items.length === 1;
+}
+
+/**
+ * Group the chunks into equal runs and change regions ({removed, added})
+ */
+function groupChanges(chunks) {
+    const groups = [];
+    let region = null;
+
+    chunks.forEach((chunk, index) => {
+        const between = index > 0 && index < chunks.length - 1;
+        if (chunk.type === 'equal' && !(region && between && isNoise(chunk))) {
+            region = null;
+            groups.push({ equal: chunk.items });
+            return;
+        }
+        if (!region) {
+            region = { removed: [], added: [] };
+            groups.push(region);
+        }
+        if (chunk.type !== 'insert') region.removed.push(...chunk.items);
+        if (chunk.type !== 'delete') region.added.push(...chunk.items);
+    });
+
+    return groups;
+}
+
+// テキストの連続部分をタグで包む（タグはそのまま残す）
+function wrapText(tokens, tagName, keepTags) {
+    let html = '';
+    let text = '';
+    const flush = () => {
+        if (text.trim()) {
+            html += `<${tagName} class="prose-${tagName}">${text}</${tagName}>`;
+        } else if (tagName === 'ins') {
+            html += text;
+        }
+        text = '';
+    };
+
+    tokens.forEach(token => {
+        if (isTag(token)) {
+            flush();
+            if (keepTags) html += token;
+        } else {
+            text += token;
+        }
+    });
+    flush();
+    return html;
+}
+
+function splitBlocks(html) {
+    return html.split(BLOCK_END);
+}
+
+// 変更されたブロックの中を単語単位で比較する
+function diffTokens(oldTokens, newTokens) {
+    let prefix = 0;
+    while (prefix < oldTokens.length && prefix < newTokens.length && oldTokens[prefix] === newTokens[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < oldTokens.length - prefix && suffix < newTokens.length - prefix &&
+        oldTokens[oldTokens.length - 1 - suffix] === newTokens[newTokens.length - 1 - suffix]) suffix++;
+    if (oldTokens.length + newTokens.length - (prefix + suffix) * 2 <= MAX_TOKEN_DIFF) {
+        return diffArrays(oldTokens, newTokens);
+    }
+
+    return [
+        { type: 'equal', items: oldTokens.slice(0, prefix) },
+        { type: 'delete', items: oldTokens.slice(prefix, oldTokens.length - suffix) },
+        { type: 'insert', items: newTokens.slice(prefix, newTokens.length - suffix) },
+        { type: 'equal', items: oldTokens.slice(oldTokens.length - suffix) }
+    ].filter(chunk => chunk.items.length > 0);
+}
+
+/**
+ * Diff two rendered HTML documents
+ * The result uses the markup of newHtml; deleted text is inserted as <del class="prose-del">
+ * and added text is wrapped in <ins class="prose-ins">.
+ * @returns {{html: string, changes: number}} changes is the number of changed regions
+ */
+function diffHtml(oldHtml, newHtml) {
+    const chunks = [];
+    const blockChunks = diffArrays(splitBlocks(oldHtml), splitBlocks(newHtml));
+    for (let i = 0; i < blockChunks.length; i++) {
+        if (blockChunks[i].type === 'equal') {
+            chunks.push({ type: 'equal', items: tokenizeHtml(blockChunks[i].items.join('')) });
+            continue;
+        }
+        // 続けて削除・追加されたブロックをまとめて比較する
+        let removed = '';
+        let added = '';
+        for (; i < blockChunks.length && blockChunks[i].type !== 'equal'; i++) {
+            if (blockChunks[i].type === 'delete') removed += blockChunks[i].items.join('');
+            else added += blockChunks[i].items.join('');
+        }
+        i--;
+        chunks.push(...diffTokens(tokenizeHtml(removed), tokenizeHtml(added)));
+    }
+
+    let html = '';
+    let changes = 0;
+
+    groupChanges(chunks).forEach(group => {
+        if (group.equal) {
+            html += group.equal.join('');
+            return;
+        }
+        const removed = wrapText(group.removed, 'del', false);
+        const added = wrapText(group.added, 'ins', true);
+        if (removed.includes('<del') || added.includes('<ins')) changes++;
+        html += removed + added;
+    });
+
+    return { html, changes };
+}
+
+module.exports = {
+    tokenizeHtml,
+    diffHtml
+};
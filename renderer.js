@@ -43,8 +43,23 @@ function updateLeftPaneWidthVariable() {
 // 初期化時に実行
 updateLeftPaneWidthVariable();
 
-// エディタ
-const editor = document.getElementById('editor');
+// エディタ（CodeMirror 6。window.MarkdownEditor は markdownEditor.mjs で定義される）
+const editorElement = document.getElementById('editor');
+const editor = editorElement && window.MarkdownEditor
+    ? new window.MarkdownEditor(editorElement, {
+        placeholder: 'Markdownを入力してください...',
+        onChange: () => handleEditorChange(),
+        onSelectionChange: () => {
+            scheduleOutlineSync();
+            updateHeadingSelector();
+            scheduleSessionSave();
+        },
+        onGeometryChange: () => {
+            if (lineChangeHunks.length > 0) renderChangeGutter();
+            if (blameData) renderBlameGutter();
+        }
+    })
+    : null;
 
 // ターミナルコンテナ
 const terminalContainer = document.getElementById('terminal-container');
@@ -558,7 +573,7 @@ function switchTab(targetTab) {
     if (!targetTab) return;
 
     document.querySelectorAll('.editor-tabs .tab, .editor-tabs div[data-target]').forEach(t => t.classList.remove('active'));
-    document.querySelectorAll('.center-pane .editor-area, .center-pane .settings-view-content').forEach(c => c.classList.add('content-hidden'));
+    document.querySelectorAll('.center-pane .editor-area, .center-pane .settings-view-content, .center-pane .diff-view-content').forEach(c => c.classList.add('content-hidden'));
 
     targetTab.classList.add('active');
     const contentId = targetTab.dataset.target;
@@ -655,6 +670,10 @@ topSideSwitchButtons.forEach(btn => {
                 updateOutline();
                 syncOutlineWithCursor(); // 表示時に即座に同期
             }
+            // Gitの場合、表示時に状態を取得
+            if (targetId === 'git') {
+                refreshGitStatus();
+            }
         }
 
         switchHeaderButtons(targetId);
@@ -703,7 +722,7 @@ function togglePdfPreview() {
 async function generatePdfPreview() {
     try {
         // Get markdown content from editor
-        const markdownContent = editor.value || '';
+        const markdownContent = editor.getValue();
 
         if (!markdownContent.trim()) {
             const canvas = document.getElementById('pdf-canvas');
@@ -964,316 +983,3208 @@ if (btnSortDesc) {
 // ========== Git用ボタン処理 ==========
 const btnGitStage = document.getElementById('btn-git-stage');
 const btnGitUnstage = document.getElementById('btn-git-unstage');
+const btnGitDiscard = document.getElementById('btn-git-discard');
 const btnGitRefresh = document.getElementById('btn-git-refresh');
+const gitUnstagedList = document.getElementById('git-unstaged');
+const gitStagedList = document.getElementById('git-staged');
+const gitMessageInput = document.getElementById('git-message');
+const gitCommitBtn = document.getElementById('git-commit-btn');
+const gitPushBtn = document.getElementById('git-push-btn');
+const gitNotice = document.getElementById('git-notice');
+
+// 最後に取得したGitの状態（一括操作で使用）
+let gitState = { dir: null, staged: [], unstaged: [] };
+
+// ステータス文字列 → バッジ表示
+const GIT_STATUS_BADGES = {
+    'new': { letter: 'U', title: '未追跡' },
+    'added': { letter: 'A', title: '追加' },
+    'modified': { letter: 'M', title: '変更' },
+    'deleted': { letter: 'D', title: '削除' },
+    'unknown': { letter: '?', title: '不明' }
+};
+
+// Gitパネルにメッセージを表示する（空文字で非表示）
+function showGitNotice(message, isError = false) {
+    if (!gitNotice) return;
+    gitNotice.textContent = message || '';
+    gitNotice.classList.toggle('error', isError);
+    gitNotice.classList.toggle('content-hidden', !message);
+}
 
-if (btnGitStage) {
-    btnGitStage.addEventListener('click', () => {
-        console.log('すべての変更をステージングしました。(処理未実装)');
-    });
+// Gitパネルが表示中かどうか
+function isGitPanelVisible() {
+    const gitContent = document.getElementById('content-git');
+    return !!gitContent && !gitContent.classList.contains('content-hidden');
 }
 
-if (btnGitUnstage) {
-    btnGitUnstage.addEventListener('click', () => {
-        console.log('すべての変更をアンステージングしました。(処理未実装)');
-    });
+// リポジトリでないフォルダでは、Gitパネルに初期化・クローンの案内だけを表示する
+function setGitRepositoryAvailable(available) {
+    const gitContent = document.getElementById('content-git');
+    if (gitContent) gitContent.classList.toggle('no-repository', !available);
 }
 
-if (btnGitRefresh) {
-    btnGitRefresh.addEventListener('click', () => {
-        console.log('Gitの状態を更新しました。(処理未実装)');
-    });
+// Gitの状態を取得してパネルを再描画する
+async function refreshGitStatus() {
+    if (typeof window.electronAPI?.gitStatus !== 'function') return;
+    if (!currentDirectoryPath) return;
+
+    const result = await window.electronAPI.gitStatus(currentDirectoryPath);
+    setGitRepositoryAvailable(!result.notRepository);
+    if (!result.success) {
+        applyGitFileStatus({ dir: null, staged: [], unstaged: [] });
+        updateFileTreeDecorations();
+        watchGitRepository(null);
+        // リポジトリでない場合は初期化・クローンの案内を表示する
+        showGitNotice(result.notRepository ? '' : `Gitリポジトリを読み込めません: ${result.error}`, !result.notRepository);
+        await refreshGitBranches();
+        return;
+    }
+
+    // 前回の読み込みエラー表示を消す
+    if (!gitState.dir) showGitNotice('');
+    applyGitFileStatus(result);
+    watchGitRepository(result.dir);
+    await refreshMergeStatus();
+    updateFileTreeDecorations();
+    // コミットやチェックアウトで HEAD が変わった可能性があるためマーカーも更新
+    scheduleLineChangeUpdate(0);
+    scheduleBlameUpdate(0);
+    await refreshGitBranches();
+    await refreshGitRemotes();
+    await refreshGitStashes();
+    await refreshGitTags();
 }
 
-// ========== アウトライン機能の実装 ==========
-const outlineTree = document.getElementById('outline-tree');
-const btnOutlineCollapse = document.getElementById('btn-outline-collapse');
-const btnOutlineExpand = document.getElementById('btn-outline-expand');
+// 変更ファイルの一覧を更新する
+function applyGitFileStatus({ dir, staged, unstaged }) {
+    gitState = { dir, staged, unstaged };
+    renderGitFileList(gitUnstagedList, unstaged, 'unstaged');
+    renderGitFileList(gitStagedList, staged, 'staged');
+}
 
-// アウトライン更新関数
-function updateOutline() {
-    if (!outlineTree || !editor) return;
+// ========== リポジトリの監視 ==========
+// ターミナルなど外部での変更をメインプロセスの監視から受け取り、状態を更新する
+let gitWatchedDir = null;
 
-    const content = editor.value;
-    const headers = [];
-    const lines = content.split('\n');
+function watchGitRepository(dir) {
+    if (typeof window.electronAPI?.gitWatch !== 'function' || dir === gitWatchedDir) return;
+    gitWatchedDir = dir;
+    window.electronAPI.gitWatch(dir ? currentDirectoryPath : null).then(result => {
+        if (!result.success) console.warn('Failed to watch repository:', result.error);
+    });
+}
 
-    lines.forEach((line, index) => {
-        const match = line.match(/^(#{1,6})\s+(.*)/);
-        if (match) {
-            headers.push({
-                level: match[1].length,
-                text: match[2],
-                lineNumber: index
-            });
+if (typeof window.electronAPI?.onGitStatusChanged === 'function') {
+    window.electronAPI.onGitStatusChanged(async (status) => {
+        if (status.dir !== gitState.dir) return;
+        // コミットやチェックアウトではブランチ表示なども含めて読み直す
+        if (status.headChanged) {
+            await refreshGitStatus();
+            return;
         }
+        applyGitFileStatus(status);
+        if (status.indexChanged) await refreshMergeStatus();
+        updateFileTreeDecorations();
     });
+}
 
-    if (headers.length === 0) {
-        outlineTree.innerHTML = '<li style="color: #999; padding: 5px;">見出しがありません</li>';
+// ファイル一覧を描画する
+function renderGitFileList(container, files, type) {
+    if (!container) return;
+    container.innerHTML = '';
+
+    if (files.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'git-empty';
+        empty.textContent = '変更はありません';
+        container.appendChild(empty);
         return;
     }
 
-    let html = '';
-    headers.forEach((header, i) => {
-        const paddingLeft = (header.level - 1) * 15 + 5;
-        const fontSize = Math.max(14 - (header.level - 1), 11);
+    files.forEach(file => {
+        const badge = GIT_STATUS_BADGES[file.status] || GIT_STATUS_BADGES.unknown;
+        const fileName = file.filepath.split('/').pop();
+        const parentDir = file.filepath.substring(0, file.filepath.length - fileName.length - 1);
 
-        // data-level属性を追加して、折りたたみ制御に使用
-        html += `<li class="outline-item" data-line="${header.lineNumber}" data-level="${header.level}" style="padding-left: ${paddingLeft}px; font-size: ${fontSize}px;">
-            <span class="outline-text">${header.text}</span>
-        </li>`;
-    });
+        const item = document.createElement('div');
+        item.className = 'git-file-item';
+        item.dataset.filepath = file.filepath;
+        item.title = file.filepath;
+
+        const name = document.createElement('span');
+        name.className = 'git-file-name';
+        name.textContent = fileName;
+
+        const dir = document.createElement('span');
+        dir.className = 'git-file-dir';
+        dir.textContent = parentDir;
+
+        const actions = document.createElement('span');
+        actions.className = 'git-file-actions';
+        actions.appendChild(createGitActionButton('±', '差分を表示', () => openWorkingDiff(file, type === 'staged')));
+        if (type === 'unstaged') {
+            actions.appendChild(createGitActionButton('↩', '変更を破棄', () => discardGitFiles([file])));
+            actions.appendChild(createGitActionButton('+', 'ステージ', () => stageGitFiles([file])));
+        } else {
+            actions.appendChild(createGitActionButton('−', 'ステージ解除', () => unstageGitFiles([file])));
+        }
 
-    outlineTree.innerHTML = html;
+        const status = document.createElement('span');
+        status.className = `git-status-badge git-status-${file.status}`;
+        status.textContent = badge.letter;
+        status.title = badge.title;
 
-    const items = outlineTree.querySelectorAll('.outline-item');
-    items.forEach(item => {
-        item.addEventListener('click', () => {
-            const lineNum = parseInt(item.dataset.line);
-            scrollToLine(lineNum);
+        item.appendChild(name);
+        item.appendChild(dir);
+        item.appendChild(actions);
+        item.appendChild(status);
 
-            // アクティブ状態の更新（手動クリック時）
-            items.forEach(i => i.classList.remove('active'));
-            item.classList.add('active');
+        // ファイル名クリックでエディタに開く（削除済みは除く）
+        item.addEventListener('click', () => {
+            if (file.status === 'deleted' || !gitState.dir) return;
+            openFile(`${gitState.dir}/${file.filepath}`, fileName);
         });
+
+        container.appendChild(item);
     });
 }
 
-// カーソル位置に連動してアウトラインをハイライトする関数
-function syncOutlineWithCursor() {
-    if (!editor || !outlineTree) return;
+function createGitActionButton(label, title, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'git-file-action';
+    btn.textContent = label;
+    btn.title = title;
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+    });
+    return btn;
+}
 
-    // アウトラインが表示されていない場合は処理しない
-    const outlineContent = document.getElementById('content-outline');
-    if (!outlineContent || outlineContent.classList.contains('content-hidden')) return;
+// ファイルを順に処理し、最初のエラーを表示してから再描画する
+async function runGitFileOperation(files, operation) {
+    showGitNotice('');
+    for (const file of files) {
+        const result = await operation(file);
+        if (result && !result.success) {
+            await refreshGitStatus();
+            showGitNotice(`${file.filepath}: ${result.error}`, true);
+            return false;
+        }
+    }
+    await refreshGitStatus();
+    return true;
+}
 
-    // カーソル位置（文字インデックス）を取得
-    const cursorPos = editor.selectionStart;
-    const content = editor.value;
+async function stageGitFiles(files) {
+    // 削除されたファイルは add ではなく remove でステージする
+    return runGitFileOperation(files, (file) => file.status === 'deleted'
+        ? window.electronAPI.gitRemove(currentDirectoryPath, file.filepath)
+        : window.electronAPI.gitAdd(currentDirectoryPath, file.filepath));
+}
 
-    // カーソル位置までの行数を計算
-    const textBeforeCursor = content.substring(0, cursorPos);
-    const currentLine = textBeforeCursor.split('\n').length - 1;
+async function unstageGitFiles(files) {
+    return runGitFileOperation(files, (file) => window.electronAPI.gitResetIndex(currentDirectoryPath, file.filepath));
+}
 
-    // 現在行またはそれより前にある最後の見出しを探す
-    const items = Array.from(outlineTree.querySelectorAll('.outline-item'));
-    let activeItem = null;
+async function discardGitFiles(files) {
+    if (files.length === 0) return;
+
+    const target = files.length === 1 ? `「${files[0].filepath}」` : `${files.length} 個のファイル`;
+    const choice = await showModalDialog(
+        `${target}の変更を破棄しますか？\n（この操作は元に戻せません。未追跡のファイルは削除されます）`,
+        [
+            { label: 'キャンセル', value: null },
+            { label: '破棄', value: 'discard', primary: true }
+        ]
+    );
+    if (choice !== 'discard') return;
+
+    const ok = await runGitFileOperation(files, (file) => window.electronAPI.gitDiscard(currentDirectoryPath, file.filepath));
+    await reloadOpenFilesFromDisk();
+    return ok;
+}
 
-    for (let i = 0; i < items.length; i++) {
-        const itemLine = parseInt(items[i].dataset.line);
-        // 現在行より後ろの見出しが出てきたら、その一つ前が対象
-        if (itemLine > currentLine) {
-            break;
-        }
-        activeItem = items[i];
+// 未編集のタブの内容をディスクの状態に合わせる
+async function reloadOpenFilesFromDisk() {
+    if (typeof window.electronAPI?.loadFileWithVersion !== 'function') return;
+
+    for (const [filePath, fileData] of openedFiles) {
+        if (filePath === 'README.md' || fileModificationState.get(filePath)) continue;
+        const result = await window.electronAPI.loadFileWithVersion(filePath);
+        // 削除されたファイルは読み込めないのでそのまま
+        if (!result.success) continue;
+        fileData.content = result.content;
+        fileData.version = result.version;
+        watchOpenFile(filePath, result.version);
+        // 編集状態を破棄して読み直した内容から作り直す
+        fileData.editorState = null;
+        if (currentFilePath === filePath) switchToFile(filePath);
     }
+}
 
-    // ハイライト更新
-    items.forEach(i => i.classList.remove('active'));
-    if (activeItem) {
-        activeItem.classList.add('active');
+async function commitGitChanges() {
+    const message = gitMessageInput ? gitMessageInput.value.trim() : '';
+    // マージ中はメッセージが空でもマージコミットを作成できる
+    if (gitMergeState.merging) {
+        await continueMerge();
+        return;
+    }
+    if (!message) {
+        showGitNotice('コミットメッセージを入力してください', true);
+        return;
+    }
+    if (gitState.staged.length === 0) {
+        showGitNotice('ステージされた変更がありません', true);
+        return;
+    }
+    const validationError = validateCommitMessage(message);
+    if (validationError) {
+        showGitNotice(validationError, true);
+        return;
     }
-}
 
-// 指定行へスクロールし、カーソルを移動する関数 (改良版: 正確な位置計算)
-function scrollToLine(lineNumber) {
-    if (!editor) return;
+    const result = await window.electronAPI.gitCommit(currentDirectoryPath, message);
+    if (!result.success) {
+        showGitNotice(`コミットに失敗しました: ${result.error}`, true);
+        if (result.identityRequired) openIdentitySettings();
+        return;
+    }
 
-    const lines = editor.value.split('\n');
-    let charIndex = 0;
-    // 行番号が範囲外でないかチェック
-    if (lineNumber >= lines.length) lineNumber = lines.length - 1;
+    if (gitMessageInput) gitMessageInput.value = '';
+    updateSubjectLength();
+    await refreshGitStatus();
+    if (gitHistoryLoaded > 0) loadGitHistory(true);
+    showGitNotice(`コミットしました (${result.sha.substring(0, 7)})`);
+}
 
-    for (let i = 0; i < lineNumber; i++) {
-        charIndex += lines[i].length + 1; // +1 for newline
+async function pushGitChanges() {
+    showGitNotice('プッシュ中...');
+    const result = await window.electronAPI.gitPush(currentDirectoryPath);
+    if (!result.success) {
+        showGitNotice(`プッシュに失敗しました: ${result.error}`, true);
+        return;
     }
+    showGitNotice(`${result.remote}/${result.branch} にプッシュしました`);
+    await refreshSyncStatus();
+}
 
-    editor.focus();
-    // カーソル位置をセット
-    editor.setSelectionRange(charIndex, charIndex);
+if (btnGitStage) {
+    btnGitStage.addEventListener('click', () => stageGitFiles(gitState.unstaged));
+}
 
-    // --- 正確なスクロール位置の計算 (ダミー要素を使用) ---
-    const div = document.createElement('div');
-    const style = window.getComputedStyle(editor);
+if (btnGitUnstage) {
+    btnGitUnstage.addEventListener('click', () => unstageGitFiles(gitState.staged));
+}
 
-    // エディタと同じスタイルをコピーして、テキストの折り返し状態を再現する
-    const copyStyles = [
-        'font-family', 'font-size', 'font-weight', 'line-height',
-        'padding-top', 'padding-right', 'padding-bottom', 'padding-left',
-        'border-width', 'box-sizing', 'width', 'white-space', 'word-wrap', 'word-break'
-    ];
+if (btnGitDiscard) {
+    btnGitDiscard.addEventListener('click', () => discardGitFiles(gitState.unstaged));
+}
 
-    copyStyles.forEach(prop => {
-        div.style[prop] = style.getPropertyValue(prop);
-    });
+if (btnGitRefresh) {
+    btnGitRefresh.addEventListener('click', () => refreshGitStatus());
+}
 
-    // 画面外に配置
-    div.style.position = 'absolute';
-    div.style.visibility = 'hidden';
-    div.style.top = '-9999px';
-    div.style.left = '-9999px';
-    // エディタの実際の幅をセット
-    div.style.width = editor.clientWidth + 'px';
+if (gitCommitBtn) {
+    gitCommitBtn.addEventListener('click', commitGitChanges);
+}
 
-    // カーソル位置までのテキストをセット
-    div.textContent = editor.value.substring(0, charIndex);
+if (gitPushBtn) {
+    gitPushBtn.addEventListener('click', pushGitChanges);
+}
 
-    // マーカー要素を追加して、その位置を取得する
-    const span = document.createElement('span');
-    span.textContent = 'I'; // 高さ確保用
-    div.appendChild(span);
+if (gitMessageInput) {
+    // Ctrl+Enter でコミット
+    gitMessageInput.addEventListener('keydown', (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+            e.preventDefault();
+            commitGitChanges();
+        }
+    });
+}
 
-    document.body.appendChild(div);
+// ========== ブランチ管理 ==========
+const gitBranchBtn = document.getElementById('git-branch-btn');
+const gitBranchName = document.getElementById('git-branch-name');
+const gitPullBtn = document.getElementById('git-pull-btn');
+const statusBranch = document.getElementById('status-branch');
 
-    // スクロール位置を計算
-    const targetTop = span.offsetTop;
-    const editorHeight = editor.clientHeight;
+let gitBranchState = { current: null, local: [], remote: [] };
 
-    document.body.removeChild(div);
+async function refreshGitBranches() {
+    if (typeof window.electronAPI?.gitListBranches !== 'function' || !currentDirectoryPath) return;
 
-    // スムーズにスクロール
-    editor.scrollTo({
-        top: Math.max(0, targetTop - (editorHeight / 3)), // 中央より少し上に見出しが来るように /3 くらいが見やすい
-        behavior: 'smooth'
-    });
+    const result = await window.electronAPI.gitListBranches(currentDirectoryPath);
+    gitBranchState = result.success
+        ? { current: result.current, local: result.local, remote: result.remote }
+        : { current: null, local: [], remote: [] };
+    updateBranchIndicators();
+    await refreshSyncStatus();
 }
 
-// 折りたたみボタン（マイナス）：H1以外を隠す
-if (btnOutlineCollapse) {
-    btnOutlineCollapse.addEventListener('click', () => {
-        const items = outlineTree.querySelectorAll('.outline-item');
-        items.forEach(item => {
-            const level = parseInt(item.dataset.level);
-            if (level > 1) {
-                item.classList.add('hidden-outline-item');
-            } else {
-                item.classList.remove('hidden-outline-item');
-            }
-        });
-    });
+// Gitパネルとステータスバーのブランチ表示を更新（* は未コミットの変更あり）
+function updateBranchIndicators() {
+    const name = gitBranchState.current || (gitState.dir ? '(detached)' : '-');
+    const isDirty = gitState.staged.length > 0 || gitState.unstaged.length > 0;
+
+    if (gitBranchName) gitBranchName.textContent = name;
+    if (statusBranch) statusBranch.textContent = `🌿 ${name}${isDirty ? '*' : ''}`;
 }
 
-// 展開ボタン（プラス）：すべて表示
-if (btnOutlineExpand) {
-    btnOutlineExpand.addEventListener('click', () => {
-        const items = outlineTree.querySelectorAll('.outline-item');
-        items.forEach(item => {
-            item.classList.remove('hidden-outline-item');
+// ブランチ選択メニューを表示する
+function showBranchPicker(anchor, openUpward = false) {
+    if (activeContextMenu) activeContextMenu.remove();
+
+    const menu = document.createElement('div');
+    menu.className = 'context-menu branch-picker';
+    const rect = anchor.getBoundingClientRect();
+    menu.style.left = `${rect.left}px`;
+    if (openUpward) {
+        menu.style.bottom = `${window.innerHeight - rect.top + 2}px`;
+    } else {
+        menu.style.top = `${rect.bottom + 2}px`;
+    }
+
+    const addItem = (label, onClick, className = '') => {
+        const item = document.createElement('div');
+        item.className = `context-menu-item ${className}`.trim();
+        item.textContent = label;
+        item.addEventListener('click', () => {
+            menu.remove();
+            activeContextMenu = null;
+            onClick();
         });
-    });
-}
+        menu.appendChild(item);
+        return item;
+    };
 
-// ========== ツールバーボタン処理 ==========
-const headingSelector = document.getElementById('heading-selector');
-const btnBulletList = document.getElementById('btn-bullet-list');
-const btnNumberList = document.getElementById('btn-number-list');
-const btnAlignCenter = document.getElementById('btn-align-center');
-const colorPicker = document.getElementById('color-picker');
+    const addHeader = (label) => {
+        const header = document.createElement('div');
+        header.className = 'context-menu-header';
+        header.textContent = label;
+        menu.appendChild(header);
+    };
 
-if (headingSelector) {
-    headingSelector.addEventListener('change', (e) => {
-        const level = e.target.value;
-        if (level) {
-            document.execCommand('formatBlock', false, `<${level}>`);
-        } else {
-            document.execCommand('formatBlock', false, '<p>');
+    addItem('+ 新しいブランチを作成...', createBranchFromPicker);
+
+    addHeader('ローカル');
+    gitBranchState.local.forEach(name => {
+        const isCurrent = name === gitBranchState.current;
+        const item = addItem(`${isCurrent ? '● ' : ''}${name}`, () => {
+            if (!isCurrent) checkoutBranch(name);
+        }, isCurrent ? 'current' : '');
+
+        const actions = document.createElement('span');
+        actions.className = 'branch-actions';
+        actions.appendChild(createGitActionButton('✎', '名前を変更', () => {
+            menu.remove();
+            activeContextMenu = null;
+            renameBranchFromPicker(name);
+        }));
+        if (!isCurrent) {
+            actions.appendChild(createGitActionButton('🗑', '削除', () => {
+                menu.remove();
+                activeContextMenu = null;
+                deleteBranchFromPicker(name);
+            }));
         }
+        item.appendChild(actions);
     });
+
+    // ローカルに存在しないリモート追跡ブランチのみ表示
+    const remoteOnly = gitBranchState.remote.filter(r => !gitBranchState.local.includes(r.name));
+    if (remoteOnly.length > 0) {
+        addHeader('リモート');
+        remoteOnly.forEach(r => addItem(r.fullName, () => checkoutBranch(r.name, r.remote)));
+    }
+
+    document.body.appendChild(menu);
+    activeContextMenu = menu;
 }
 
-if (btnBulletList) {
-    btnBulletList.addEventListener('click', () => {
-        document.execCommand('insertUnorderedList', false, null);
-    });
+async function checkoutBranch(name, remote) {
+    const result = await window.electronAPI.gitCheckout(currentDirectoryPath, name, remote);
+    if (!result.success) {
+        showGitNotice(`ブランチを切り替えられません: ${result.error}`, true);
+        return;
+    }
+    showGitNotice(`ブランチ「${name}」に切り替えました`);
+    await afterWorkingTreeChanged();
 }
 
-if (btnNumberList) {
-    btnNumberList.addEventListener('click', () => {
-        document.execCommand('insertOrderedList', false, null);
-    });
+async function createBranchFromPicker() {
+    const values = await showModalForm('新しいブランチ名を入力してください', [
+        { name: 'branch', placeholder: 'feature/...' }
+    ]);
+    const name = values?.branch?.trim();
+    if (!name) return;
+
+    const result = await window.electronAPI.gitBranch(currentDirectoryPath, name, true);
+    if (!result.success) {
+        showGitNotice(`ブランチを作成できません: ${result.error}`, true);
+        return;
+    }
+    showGitNotice(`ブランチ「${name}」を作成して切り替えました`);
+    await refreshGitStatus();
 }
 
-if (btnAlignCenter) {
-    btnAlignCenter.addEventListener('click', () => {
-        document.execCommand('justifyCenter', false, null);
-    });
+async function renameBranchFromPicker(oldName) {
+    const values = await showModalForm(`ブランチ「${oldName}」の新しい名前`, [
+        { name: 'branch', value: oldName }
+    ]);
+    const newName = values?.branch?.trim();
+    if (!newName || newName === oldName) return;
+
+    const result = await window.electronAPI.gitRenameBranch(currentDirectoryPath, oldName, newName);
+    if (!result.success) {
+        showGitNotice(`ブランチ名を変更できません: ${result.error}`, true);
+        return;
+    }
+    await refreshGitBranches();
 }
 
-if (colorPicker) {
-    colorPicker.addEventListener('change', (e) => {
-        document.execCommand('foreColor', false, e.target.value);
-    });
+async function deleteBranchFromPicker(name) {
+    const choice = await showModalDialog(`ブランチ「${name}」を削除しますか？`, [
+        { label: 'キャンセル', value: null },
+        { label: '削除', value: 'delete', primary: true }
+    ]);
+    if (choice !== 'delete') return;
+
+    const result = await window.electronAPI.gitDeleteBranch(currentDirectoryPath, name);
+    if (!result.success) {
+        showGitNotice(`ブランチを削除できません: ${result.error}`, true);
+        return;
+    }
+    await refreshGitBranches();
 }
 
-// ========== リサイザー機能 ==========
-const resizerRight = document.getElementById('resizer-right');
-const resizerBottom = document.getElementById('resizer-bottom');
-let isResizingRight = false;
-let isResizingBottom = false;
+async function pullGitChanges() {
+    showGitNotice('プル中...');
+    const result = await window.electronAPI.gitPull(currentDirectoryPath);
+    if (result.conflict) {
+        showGitNotice(`プルで競合が発生しました: ${result.error}。競合を解決してマージを完了してください`, true);
+        await afterWorkingTreeChanged();
+        if (result.conflicts.length > 0) openConflictResolver(result.conflicts[0]);
+        return;
+    }
+    if (!result.success) {
+        showGitNotice(`プルに失敗しました: ${result.error}`, true);
+        if (result.identityRequired) openIdentitySettings();
+        return;
+    }
+    showGitNotice(`${result.remote}/${result.branch} からプルしました`);
+    await afterWorkingTreeChanged();
+}
 
-if (resizerRight) {
-    resizerRight.addEventListener('mousedown', () => {
-        isResizingRight = true;
-        resizerRight.classList.add('resizing');
-        document.body.classList.add('is-resizing-col');
+// チェックアウトやプルで作業ツリーが変わった後に、ツリー・タブ・Git表示を更新する
+async function afterWorkingTreeChanged() {
+    await reloadOpenFilesFromDisk();
+    await initializeFileTree();
+    await refreshGitStatus();
+}
+
+if (gitBranchBtn) {
+    gitBranchBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showBranchPicker(gitBranchBtn);
     });
 }
 
-if (resizerBottom) {
-    resizerBottom.addEventListener('mousedown', () => {
-        isResizingBottom = true;
-        resizerBottom.classList.add('resizing');
-        document.body.classList.add('is-resizing-row');
+if (statusBranch) {
+    statusBranch.addEventListener('click', (e) => {
+        e.stopPropagation();
+        refreshGitBranches().then(() => showBranchPicker(statusBranch, true));
     });
 }
 
-document.addEventListener('mousemove', (e) => {
-    if (isResizingRight && resizerRight) {
-        const rightActivityBarWidth = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--activitybar-width')) || 50;
-        const newWidth = window.innerWidth - e.clientX - rightActivityBarWidth;
+if (gitPullBtn) {
+    gitPullBtn.addEventListener('click', pullGitChanges);
+}
 
-        if (newWidth > 100 && newWidth < 800) {
-            rightPane.style.width = newWidth + 'px';
-            resizerRight.style.right = (newWidth + rightActivityBarWidth) + 'px';
-            document.documentElement.style.setProperty('--right-pane-width', newWidth + 'px');
-            const mainContent = centerPane.parentElement;
-            mainContent.style.marginRight = (newWidth + rightActivityBarWidth) + 'px';
+// ========== リモート・認証 ==========
+const gitFetchBtn = document.getElementById('git-fetch-btn');
+const gitSyncStatus = document.getElementById('git-sync-status');
+const gitRemotesList = document.getElementById('git-remotes');
+const btnGitAddRemote = document.getElementById('btn-git-add-remote');
+
+// 上流ブランチとの差分（↑ahead ↓behind）を表示する
+function updateSyncStatus(counts) {
+    if (!gitSyncStatus) return;
+    if (!counts || typeof counts.ahead !== 'number') {
+        gitSyncStatus.textContent = '';
+        return;
+    }
+    gitSyncStatus.textContent = `↑${counts.ahead} ↓${counts.behind}`;
+}
 
-            // リサイズ中にターミナルもリフィット
-            // requestAnimationFrameで頻度を制御しつつ、デバウンス付きfitTerminalを呼ぶ
-            if (activeTerminalId) {
-                requestAnimationFrame(() => fitTerminal(activeTerminalId));
-            }
-        }
+// 通信せずに ahead/behind を再計算する
+async function refreshSyncStatus() {
+    if (typeof window.electronAPI?.gitAheadBehind !== 'function' || !currentDirectoryPath) return;
+    const result = await window.electronAPI.gitAheadBehind(currentDirectoryPath);
+    updateSyncStatus(result.success ? result : null);
+}
+
+async function fetchGitChanges() {
+    showGitNotice('フェッチ中...');
+    const result = await window.electronAPI.gitFetch(currentDirectoryPath);
+    if (!result.success) {
+        showGitNotice(`フェッチに失敗しました: ${result.error}`, true);
+        return;
     }
+    updateSyncStatus(result);
+    const summary = typeof result.ahead === 'number'
+        ? `（未プッシュ ${result.ahead} 件 / 未取得 ${result.behind} 件）`
+        : '';
+    showGitNotice(`${result.remote}/${result.branch} をフェッチしました${summary}`);
+    await refreshGitBranches();
+}
 
-    if (isResizingBottom && resizerBottom) {
-        const newHeight = window.innerHeight - e.clientY - 24;
+async function refreshGitRemotes() {
+    if (!gitRemotesList || typeof window.electronAPI?.gitListRemotes !== 'function' || !currentDirectoryPath) return;
 
-        if (newHeight > 50 && newHeight < window.innerHeight - 200) {
-            bottomPane.style.height = newHeight + 'px';
-            resizerBottom.style.top = (window.innerHeight - newHeight - 24) + 'px';
+    const result = await window.electronAPI.gitListRemotes(currentDirectoryPath);
+    gitRemotesList.innerHTML = '';
+    const remotes = result.success ? result.remotes : [];
 
-            if (activeTerminalId) {
-                requestAnimationFrame(() => fitTerminal(activeTerminalId));
-            }
-        }
+    if (remotes.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'git-empty';
+        empty.textContent = 'リモートはありません';
+        gitRemotesList.appendChild(empty);
+        return;
     }
-});
 
-document.addEventListener('mouseup', () => {
-    if (isResizingRight) {
-        isResizingRight = false;
-        if (resizerRight) resizerRight.classList.remove('resizing');
-        document.body.classList.remove('is-resizing-col');
-        // リサイズ終了時に確実にフィットさせる
-        if (activeTerminalId) setTimeout(() => fitTerminal(activeTerminalId), 50);
+    remotes.forEach(({ remote, url }) => {
+        const item = document.createElement('div');
+        item.className = 'git-file-item';
+        item.title = url;
+
+        const name = document.createElement('span');
+        name.className = 'git-file-name';
+        name.textContent = remote;
+
+        const urlLabel = document.createElement('span');
+        urlLabel.className = 'git-file-dir';
+        urlLabel.textContent = url;
+
+        const actions = document.createElement('span');
+        actions.className = 'git-file-actions';
+        actions.appendChild(createGitActionButton('✎', 'URLを変更', () => editGitRemote(remote, url)));
+        actions.appendChild(createGitActionButton('🔑', '保存済みの認証情報を削除', () => clearGitCredentials(url)));
+        actions.appendChild(createGitActionButton('🗑', 'リモートを削除', () => removeGitRemote(remote)));
+
+        item.appendChild(name);
+        item.appendChild(urlLabel);
+        item.appendChild(actions);
+        gitRemotesList.appendChild(item);
+    });
+}
+
+async function addGitRemote() {
+    const values = await showModalForm('リモートを追加', [
+        { name: 'remote', label: '名前', value: 'origin' },
+        { name: 'url', label: 'URL', placeholder: 'https://example.com/user/repo.git' }
+    ]);
+    if (!values || !values.remote.trim() || !values.url.trim()) return;
+
+    const result = await window.electronAPI.gitAddRemote(currentDirectoryPath, values.remote.trim(), values.url.trim());
+    if (!result.success) {
+        showGitNotice(`リモートを追加できません: ${result.error}`, true);
+        return;
     }
-    if (isResizingBottom) {
-        isResizingBottom = false;
-        if (resizerBottom) resizerBottom.classList.remove('resizing');
-        document.body.classList.remove('is-resizing-row');
-        // リサイズ終了時に確実にフィットさせる
+    await refreshGitRemotes();
+}
+
+async function editGitRemote(remote, url) {
+    const values = await showModalForm(`リモート「${remote}」のURL`, [
+        { name: 'url', value: url }
+    ]);
+    const newUrl = values?.url?.trim();
+    if (!newUrl || newUrl === url) return;
+
+    const result = await window.electronAPI.gitSetRemoteUrl(currentDirectoryPath, remote, newUrl);
+    if (!result.success) {
+        showGitNotice(`URLを変更できません: ${result.error}`, true);
+        return;
+    }
+    await refreshGitRemotes();
+}
+
+async function removeGitRemote(remote) {
+    const choice = await showModalDialog(`リモート「${remote}」を削除しますか？`, [
+        { label: 'キャンセル', value: null },
+        { label: '削除', value: 'delete', primary: true }
+    ]);
+    if (choice !== 'delete') return;
+
+    const result = await window.electronAPI.gitRemoveRemote(currentDirectoryPath, remote);
+    if (!result.success) {
+        showGitNotice(`リモートを削除できません: ${result.error}`, true);
+        return;
+    }
+    await refreshGitRemotes();
+    await refreshGitBranches();
+}
+
+async function clearGitCredentials(url) {
+    const result = await window.electronAPI.gitClearCredentials(url);
+    showGitNotice(result.success ? '保存済みの認証情報を削除しました' : `認証情報を削除できません: ${result.error}`, !result.success);
+}
+
+// メインプロセスからの認証情報の入力依頼
+if (typeof window.electronAPI?.onGitAuthRequest === 'function') {
+    window.electronAPI.onGitAuthRequest(async ({ requestId, url, failed }) => {
+        const message = failed
+            ? `認証に失敗しました。もう一度入力してください。\n${url}`
+            : `認証情報を入力してください。\n${url}`;
+        const values = await showModalForm(message, [
+            { name: 'username', label: 'ユーザー名' },
+            { name: 'password', label: 'パスワード / アクセストークン', type: 'password' },
+            { name: 'remember', label: '認証情報を保存する', type: 'checkbox', value: true }
+        ]);
+        window.electronAPI.respondGitAuth(requestId, values);
+    });
+}
+
+if (gitFetchBtn) {
+    gitFetchBtn.addEventListener('click', fetchGitChanges);
+}
+
+if (btnGitAddRemote) {
+    btnGitAddRemote.addEventListener('click', addGitRemote);
+}
+
+// ========== ワークスペース設定 ==========
+// 開いているフォルダごとに保存する設定（自動保存・自動スナップショット・コミットの補助）
+let workspaceSettingsPath = null;
+
+// 開いたフォルダの設定を読み込んで設定画面とタイマーに反映する
+async function loadWorkspaceSettings() {
+    workspaceSettingsPath = currentDirectoryPath;
+    const settings = typeof window.electronAPI?.getWorkspaceSettings === 'function'
+        ? await window.electronAPI.getWorkspaceSettings(currentDirectoryPath)
+        : {};
+    applyAutoSaveSettings(settings.autoSave);
+    applyAutoSnapshotSettings(settings.autoSnapshot);
+    applyCommitAssistSettings(settings.commitAssist);
+    await loadGitIdentity();
+}
+
+async function updateWorkspaceSettings(updates) {
+    if (typeof window.electronAPI?.updateWorkspaceSettings !== 'function' || !workspaceSettingsPath) return;
+    await window.electronAPI.updateWorkspaceSettings(workspaceSettingsPath, updates);
+}
+
+// ========== 自動保存 ==========
+// 入力が止まってから一定時間後・ウィンドウのフォーカスが外れたとき・タブを切り替えたときに保存する
+// hotExit: ウィンドウを閉じるときに保存を確認しない（未保存の内容はセッションから次回起動時に復元する）
+const DEFAULT_AUTO_SAVE = { enabled: true, delaySeconds: 1, hotExit: true };
+
+const autoSaveEnabledInput = document.getElementById('auto-save-enabled');
+const autoSaveDelayInput = document.getElementById('auto-save-delay');
+const hotExitEnabledInput = document.getElementById('hot-exit-enabled');
+
+let autoSaveSettings = { ...DEFAULT_AUTO_SAVE };
+let autoSaveTimer = null;
+
+function applyAutoSaveSettings(settings) {
+    autoSaveSettings = { ...DEFAULT_AUTO_SAVE, ...(settings || {}) };
+
+    if (autoSaveEnabledInput) autoSaveEnabledInput.checked = autoSaveSettings.enabled;
+    if (autoSaveDelayInput) autoSaveDelayInput.value = autoSaveSettings.delaySeconds;
+    if (hotExitEnabledInput) hotExitEnabledInput.checked = autoSaveSettings.hotExit;
+
+    clearTimeout(autoSaveTimer);
+    autoSaveTimer = null;
+}
+
+async function saveAutoSaveSettings() {
+    const delay = parseFloat(autoSaveDelayInput?.value);
+    autoSaveSettings = {
+        enabled: !!autoSaveEnabledInput?.checked,
+        delaySeconds: delay > 0 ? delay : DEFAULT_AUTO_SAVE.delaySeconds,
+        hotExit: !!hotExitEnabledInput?.checked
+    };
+
+    await updateWorkspaceSettings({ autoSave: autoSaveSettings });
+    scheduleSessionSave();
+
+    if (!autoSaveSettings.enabled) {
+        clearTimeout(autoSaveTimer);
+        autoSaveTimer = null;
+    }
+}
+
+// ディスクから読み込んだファイルで、未保存の変更があり、保存の衝突が未解決でないもの
+// ディスク上で変更・削除された場合も、どうするか決めるまで自動保存しない
+// 過去の版を復元した場合（autoSaveHeld）は、自分で保存するまで自動保存しない
+function canAutoSave(filePath) {
+    const fileData = openedFiles.get(filePath);
+    return autoSaveSettings.enabled && !!fileData && !!fileData.version && !fileData.saveConflict &&
+        !fileData.externalChange && !fileData.orphaned && !fileData.autoSaveHeld && !!fileModificationState.get(filePath);
+}
+
+// 入力のたびに待機時間を数え直す
+function scheduleAutoSave() {
+    clearTimeout(autoSaveTimer);
+    autoSaveTimer = null;
+    const filePath = currentFilePath;
+    if (!canAutoSave(filePath)) return;
+
+    autoSaveTimer = setTimeout(() => {
+        autoSaveTimer = null;
+        if (canAutoSave(filePath)) saveOpenedFile(filePath, { auto: true });
+    }, autoSaveSettings.delaySeconds * 1000);
+}
+
+function autoSaveAllFiles() {
+    clearTimeout(autoSaveTimer);
+    autoSaveTimer = null;
+    for (const filePath of openedFiles.keys()) {
+        if (canAutoSave(filePath)) saveOpenedFile(filePath, { auto: true });
+    }
+}
+
+window.addEventListener('blur', autoSaveAllFiles);
+
+[autoSaveEnabledInput, autoSaveDelayInput, hotExitEnabledInput].forEach(input => {
+    if (input) input.addEventListener('change', saveAutoSaveSettings);
+});
+
+// ========== 自動スナップショット ==========
+// 保存後に一定時間操作がなければすべての変更をコミットし、必要なら定期的にプッシュする
+const DEFAULT_AUTO_SNAPSHOT = { enabled: false, idleMinutes: 5, autoPush: false, pushIntervalMinutes: 30 };
+// プッシュに失敗したときに間隔を延ばす上限（倍率）
+const AUTO_PUSH_MAX_BACKOFF = 8;
+
+const autoSnapshotEnabledInput = document.getElementById('auto-snapshot-enabled');
+const autoSnapshotIdleInput = document.getElementById('auto-snapshot-idle');
+const autoPushEnabledInput = document.getElementById('auto-push-enabled');
+const autoPushIntervalInput = document.getElementById('auto-push-interval');
+
+let autoSnapshotSettings = { ...DEFAULT_AUTO_SNAPSHOT };
+let autoSnapshotTimer = null;
+let autoPushTimer = null;
+let autoPushBackoff = 1;
+
+function applyAutoSnapshotSettings(settings) {
+    autoSnapshotSettings = { ...DEFAULT_AUTO_SNAPSHOT, ...(settings || {}) };
+
+    if (autoSnapshotEnabledInput) autoSnapshotEnabledInput.checked = autoSnapshotSettings.enabled;
+    if (autoSnapshotIdleInput) autoSnapshotIdleInput.value = autoSnapshotSettings.idleMinutes;
+    if (autoPushEnabledInput) autoPushEnabledInput.checked = autoSnapshotSettings.autoPush;
+    if (autoPushIntervalInput) autoPushIntervalInput.value = autoSnapshotSettings.pushIntervalMinutes;
+
+    clearTimeout(autoSnapshotTimer);
+    autoSnapshotTimer = null;
+    autoPushBackoff = 1;
+    scheduleAutoPush();
+}
+
+async function saveAutoSnapshotSettings() {
+    const readMinutes = (input, fallback) => {
+        const value = parseInt(input?.value, 10);
+        return value > 0 ? value : fallback;
+    };
+    autoSnapshotSettings = {
+        enabled: !!autoSnapshotEnabledInput?.checked,
+        idleMinutes: readMinutes(autoSnapshotIdleInput, DEFAULT_AUTO_SNAPSHOT.idleMinutes),
+        autoPush: !!autoPushEnabledInput?.checked,
+        pushIntervalMinutes: readMinutes(autoPushIntervalInput, DEFAULT_AUTO_SNAPSHOT.pushIntervalMinutes)
+    };
+
+    await updateWorkspaceSettings({ autoSnapshot: autoSnapshotSettings });
+
+    if (!autoSnapshotSettings.enabled) {
+        clearTimeout(autoSnapshotTimer);
+        autoSnapshotTimer = null;
+    }
+    autoPushBackoff = 1;
+    scheduleAutoPush();
+}
+
+// 保存のたびに待機時間を数え直す
+function scheduleAutoSnapshot() {
+    clearTimeout(autoSnapshotTimer);
+    autoSnapshotTimer = null;
+    if (!autoSnapshotSettings.enabled || !gitState.dir) return;
+
+    autoSnapshotTimer = setTimeout(runAutoSnapshot, autoSnapshotSettings.idleMinutes * 60 * 1000);
+}
+
+async function runAutoSnapshot() {
+    autoSnapshotTimer = null;
+    const result = await window.electronAPI.gitAutoSnapshot(currentDirectoryPath);
+    if (!result.success) {
+        showGitNotice(`自動スナップショットに失敗しました: ${result.error}`, true);
+        if (result.identityRequired) openIdentitySettings();
+        return;
+    }
+    if (result.reason === 'conflict') {
+        showGitNotice('未解決の競合があるため自動スナップショットを見送りました', true);
+        return;
+    }
+    if (!result.committed) return;
+
+    await refreshGitStatus();
+    if (gitHistoryLoaded > 0) loadGitHistory(true);
+    showGitNotice(`自動スナップショットを作成しました (${result.sha.substring(0, 7)}・${result.files.length} 件)`);
+}
+
+// 失敗が続いた場合は間隔を倍々に延ばす
+function scheduleAutoPush() {
+    clearTimeout(autoPushTimer);
+    autoPushTimer = null;
+    if (!autoSnapshotSettings.enabled || !autoSnapshotSettings.autoPush) return;
+
+    autoPushTimer = setTimeout(runAutoPush, autoSnapshotSettings.pushIntervalMinutes * autoPushBackoff * 60 * 1000);
+}
+
+async function runAutoPush() {
+    autoPushTimer = null;
+    try {
+        const remotes = await window.electronAPI.gitListRemotes(currentDirectoryPath);
+        if (!gitState.dir || !remotes.success || remotes.remotes.length === 0) return;
+
+        // プッシュするコミットがなければ何もしない
+        const counts = await window.electronAPI.gitAheadBehind(currentDirectoryPath);
+        if (counts.success && counts.tracking && counts.ahead === 0) return;
+
+        const result = await window.electronAPI.gitPush(currentDirectoryPath);
+        if (result.success) {
+            autoPushBackoff = 1;
+            await refreshSyncStatus();
+            return;
+        }
+
+        autoPushBackoff = Math.min(autoPushBackoff * 2, AUTO_PUSH_MAX_BACKOFF);
+        const nextMinutes = autoSnapshotSettings.pushIntervalMinutes * autoPushBackoff;
+        showGitNotice(result.rejected
+            ? `リモートに新しい変更があるため自動プッシュを保留しました。プルしてください（次回は ${nextMinutes} 分後）`
+            : `自動プッシュに失敗しました: ${result.error}（次回は ${nextMinutes} 分後）`, true);
+    } finally {
+        scheduleAutoPush();
+    }
+}
+
+[autoSnapshotEnabledInput, autoSnapshotIdleInput, autoPushEnabledInput, autoPushIntervalInput].forEach(input => {
+    if (input) input.addEventListener('change', saveAutoSnapshotSettings);
+});
+
+// ========== タグ ==========
+const gitTagsList = document.getElementById('git-tags');
+const btnGitAddTag = document.getElementById('btn-git-add-tag');
+const btnGitReleaseNotes = document.getElementById('btn-git-release-notes');
+
+// 新しい順のタグ一覧（リリースノートの範囲の既定値に使う）
+let gitTags = [];
+
+async function refreshGitTags() {
+    if (!gitTagsList || typeof window.electronAPI?.gitListTags !== 'function' || !currentDirectoryPath) return;
+
+    const result = await window.electronAPI.gitListTags(currentDirectoryPath);
+    gitTagsList.innerHTML = '';
+    gitTags = result.success ? result.tags : [];
+
+    if (gitTags.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'git-empty';
+        empty.textContent = 'タグはありません';
+        gitTagsList.appendChild(empty);
+        return;
+    }
+
+    gitTags.forEach((tag, index) => {
+        const item = document.createElement('div');
+        item.className = 'git-file-item';
+        item.title = tag.annotated ? `${tag.name}\n${tag.message}` : `${tag.name}（軽量タグ）`;
+
+        const name = document.createElement('span');
+        name.className = 'git-file-name';
+        name.textContent = tag.name;
+
+        const detail = document.createElement('span');
+        detail.className = 'git-file-dir';
+        detail.textContent = `${formatCommitDate(tag.timestamp).split(' ')[0]} ${tag.message.split('\n')[0] || tag.target.substring(0, 7)}`;
+
+        const previous = gitTags[index + 1];
+        const actions = document.createElement('span');
+        actions.className = 'git-file-actions';
+        actions.appendChild(createGitActionButton('📝', previous ? `${previous.name} からのリリースノート` : 'リリースノート', () => openReleaseNotes(previous ? previous.name : '', tag.name)));
+        actions.appendChild(createGitActionButton('⤴', 'タグをプッシュ', () => pushGitTag(tag.name)));
+        actions.appendChild(createGitActionButton('🗑', 'タグを削除', () => deleteGitTag(tag.name)));
+
+        item.appendChild(name);
+        item.appendChild(detail);
+        item.appendChild(actions);
+        gitTagsList.appendChild(item);
+    });
+}
+
+async function createGitTag() {
+    const values = await showModalForm('HEAD にタグを作成', [
+        { name: 'name', label: 'タグ名', placeholder: 'v1.0.0' },
+        { name: 'message', label: 'メッセージ（空欄なら軽量タグ）', placeholder: '初版' }
+    ]);
+    if (!values || !values.name.trim()) return;
+
+    const result = await window.electronAPI.gitCreateTag(currentDirectoryPath, values.name.trim(), 'HEAD', values.message.trim());
+    if (!result.success) {
+        showGitNotice(`タグを作成できません: ${result.error}`, true);
+        if (result.identityRequired) openIdentitySettings();
+        return;
+    }
+    await refreshGitTags();
+    showGitNotice(`タグ ${values.name.trim()} を作成しました`);
+}
+
+async function deleteGitTag(name) {
+    const choice = await showModalDialog(`タグ「${name}」を削除しますか？\nリモートにプッシュ済みのタグは削除されません。`, [
+        { label: 'キャンセル', value: null },
+        { label: '削除', value: 'delete', primary: true }
+    ]);
+    if (choice !== 'delete') return;
+
+    const result = await window.electronAPI.gitDeleteTag(currentDirectoryPath, name);
+    if (!result.success) {
+        showGitNotice(`タグを削除できません: ${result.error}`, true);
+        return;
+    }
+    await refreshGitTags();
+}
+
+async function pushGitTag(name) {
+    showGitNotice(`タグ ${name} をプッシュ中...`);
+    const result = await window.electronAPI.gitPushTag(currentDirectoryPath, name);
+    if (!result.success) {
+        showGitNotice(result.rejected
+            ? `リモートに同じ名前の別のタグがあるためプッシュできません: ${name}`
+            : `タグをプッシュできません: ${result.error}`, true);
+        return;
+    }
+    showGitNotice(`タグ ${name} を ${result.remote} にプッシュしました`);
+}
+
+// 2つのタグ（または HEAD）の間のコミットからリリースノートを作る
+async function generateReleaseNotes() {
+    const values = await showModalForm('リリースノートを作成（範囲のコミットを接頭辞ごとにまとめます）', [
+        { name: 'from', label: '開始タグ（空欄なら最初から）', value: gitTags[0] ? gitTags[0].name : '' },
+        { name: 'to', label: '終了タグ', value: 'HEAD' }
+    ]);
+    if (!values) return;
+    await openReleaseNotes(values.from.trim(), values.to.trim() || 'HEAD');
+}
+
+async function openReleaseNotes(fromTag, toRef) {
+    const result = await window.electronAPI.gitReleaseNotes(currentDirectoryPath, fromTag || null, toRef);
+    if (!result.success) {
+        showGitNotice(`リリースノートを作成できません: ${result.error}`, true);
+        return;
+    }
+    const name = toRef === 'HEAD' ? 'RELEASE_NOTES.md' : `RELEASE_NOTES_${toRef.replace(/[\\/:*?"<>|]/g, '_')}.md`;
+    await openDraftFile(name, result.markdown);
+}
+
+if (btnGitAddTag) {
+    btnGitAddTag.addEventListener('click', createGitTag);
+}
+
+if (btnGitReleaseNotes) {
+    btnGitReleaseNotes.addEventListener('click', generateReleaseNotes);
+}
+
+// ========== コミットの作成者 ==========
+const identityGlobalName = document.getElementById('identity-global-name');
+const identityGlobalEmail = document.getElementById('identity-global-email');
+const identityGlobalSave = document.getElementById('identity-global-save');
+const identityLocalName = document.getElementById('identity-local-name');
+const identityLocalEmail = document.getElementById('identity-local-email');
+const identityLocalSave = document.getElementById('identity-local-save');
+const identityLocalSection = document.getElementById('identity-local-section');
+const identityStatus = document.getElementById('identity-status');
+
+async function loadGitIdentity() {
+    if (typeof window.electronAPI?.gitGetIdentity !== 'function') return;
+
+    const result = await window.electronAPI.gitGetIdentity(currentDirectoryPath);
+    if (!result.success) return;
+
+    if (identityGlobalName) identityGlobalName.value = result.global.name;
+    if (identityGlobalEmail) identityGlobalEmail.value = result.global.email;
+    // リポジトリでないフォルダではリポジトリ用の設定を隠す
+    if (identityLocalSection) identityLocalSection.classList.toggle('content-hidden', !result.local);
+    if (result.local) {
+        if (identityLocalName) identityLocalName.value = result.local.name;
+        if (identityLocalEmail) identityLocalEmail.value = result.local.email;
+    }
+}
+
+async function saveGitIdentity(scope) {
+    const nameInput = scope === 'global' ? identityGlobalName : identityLocalName;
+    const emailInput = scope === 'global' ? identityGlobalEmail : identityLocalEmail;
+    const result = await window.electronAPI.gitSetIdentity(currentDirectoryPath, scope, {
+        name: nameInput ? nameInput.value : '',
+        email: emailInput ? emailInput.value : ''
+    });
+
+    if (identityStatus) {
+        identityStatus.textContent = result.success ? '保存しました' : `保存できません: ${result.error}`;
+        identityStatus.classList.toggle('error', !result.success);
+    }
+    if (result.success) await loadGitIdentity();
+}
+
+// ID が未設定でコミットできなかったときに設定画面を開く
+function openIdentitySettings() {
+    if (btnSettings) btnSettings.click();
+    if (identityStatus) {
+        identityStatus.textContent = 'コミットするには名前とメールアドレスを設定してください';
+        identityStatus.classList.add('error');
+    }
+    const target = identityGlobalName?.value ? identityLocalName : identityGlobalName;
+    if (target) target.focus();
+}
+
+// 設定画面を開くたびに最新の設定を表示する
+if (btnSettings) {
+    btnSettings.addEventListener('click', () => loadGitIdentity());
+}
+
+if (identityGlobalSave) {
+    identityGlobalSave.addEventListener('click', () => saveGitIdentity('global'));
+}
+
+if (identityLocalSave) {
+    identityLocalSave.addEventListener('click', () => saveGitIdentity('local'));
+}
+
+// ========== コミットメッセージの補助 ==========
+const DEFAULT_COMMIT_TEMPLATES = ['ノートを追加: ', 'ノートを更新: ', 'docs: ', 'feat: ', 'fix: '];
+// 件名の推奨文字数と上限（全角は2文字として数える）
+const COMMIT_SUBJECT_SOFT_LIMIT = 50;
+const COMMIT_SUBJECT_HARD_LIMIT = 72;
+const CONVENTIONAL_COMMIT_TYPES = ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'];
+
+const gitTemplateBtn = document.getElementById('git-template-btn');
+const gitSubjectLength = document.getElementById('git-subject-length');
+const commitTemplatesInput = document.getElementById('commit-templates');
+const conventionalCommitsInput = document.getElementById('conventional-commits');
+
+let commitAssistSettings = { templates: DEFAULT_COMMIT_TEMPLATES, conventionalCommits: false };
+
+function applyCommitAssistSettings(settings) {
+    commitAssistSettings = {
+        templates: settings?.templates || DEFAULT_COMMIT_TEMPLATES,
+        conventionalCommits: !!settings?.conventionalCommits
+    };
+    if (commitTemplatesInput) commitTemplatesInput.value = commitAssistSettings.templates.join('\n');
+    if (conventionalCommitsInput) conventionalCommitsInput.checked = commitAssistSettings.conventionalCommits;
+    updateSubjectLength();
+}
+
+async function saveCommitAssistSettings() {
+    const templates = commitTemplatesInput
+        ? commitTemplatesInput.value.split('\n').filter(line => line.trim())
+        : commitAssistSettings.templates;
+    commitAssistSettings = {
+        templates,
+        conventionalCommits: !!conventionalCommitsInput?.checked
+    };
+    await updateWorkspaceSettings({ commitAssist: commitAssistSettings });
+    updateSubjectLength();
+}
+
+/**
+ * 表示幅（East Asian Wide / Fullwidth の文字は2として数える。markdownTable.mjs の表の整形と共通）
+ */
+function getDisplayWidth(text) {
+    return window.MarkdownEditor.displayWidth(text);
+}
+
+/**
+ * Conventional Commits 形式の件名か検証する
+ * @returns {string|null} エラーメッセージ（問題なければ null）
+ */
+function validateConventionalCommit(message) {
+    const subject = message.split('\n')[0];
+    const match = subject.match(/^(\w+)(\([^()]+\))?(!)?: (.+)$/);
+    if (!match) {
+        return '件名を「type(scope): 説明」の形式にしてください（例: docs: 議事録を追加）';
+    }
+    if (!CONVENTIONAL_COMMIT_TYPES.includes(match[1])) {
+        return `type は ${CONVENTIONAL_COMMIT_TYPES.join(', ')} のいずれかにしてください`;
+    }
+    const lines = message.split('\n');
+    if (lines.length > 1 && lines[1].trim() !== '') {
+        return '件名と本文の間は空行にしてください';
+    }
+    return null;
+}
+
+// 件名の長さを表示する（推奨を超えたら警告、上限を超えたらエラー表示）
+function updateSubjectLength() {
+    if (!gitSubjectLength || !gitMessageInput) return;
+
+    const subject = gitMessageInput.value.split('\n')[0];
+    const width = getDisplayWidth(subject);
+    gitSubjectLength.textContent = subject ? `件名 ${width}/${COMMIT_SUBJECT_SOFT_LIMIT}` : '';
+    gitSubjectLength.classList.toggle('warning', width > COMMIT_SUBJECT_SOFT_LIMIT && width <= COMMIT_SUBJECT_HARD_LIMIT);
+    gitSubjectLength.classList.toggle('error', width > COMMIT_SUBJECT_HARD_LIMIT);
+
+    const error = commitAssistSettings.conventionalCommits && subject ? validateConventionalCommit(gitMessageInput.value) : null;
+    gitMessageInput.classList.toggle('invalid', !!error);
+    gitMessageInput.title = error || '';
+}
+
+// コミット前の検証（問題があればメッセージを返す）
+function validateCommitMessage(message) {
+    if (commitAssistSettings.conventionalCommits) {
+        return validateConventionalCommit(message);
+    }
+    return null;
+}
+
+function showCommitTemplatePicker(anchor) {
+    if (activeContextMenu) activeContextMenu.remove();
+
+    const menu = document.createElement('div');
+    menu.className = 'context-menu';
+
+    commitAssistSettings.templates.forEach(template => {
+        const item = document.createElement('div');
+        item.className = 'context-menu-item';
+        item.textContent = template;
+        item.addEventListener('click', () => {
+            menu.remove();
+            activeContextMenu = null;
+            applyCommitTemplate(template);
+        });
+        menu.appendChild(item);
+    });
+
+    const rect = anchor.getBoundingClientRect();
+    menu.style.left = `${rect.left}px`;
+    menu.style.top = `${rect.bottom + 2}px`;
+    document.body.appendChild(menu);
+    activeContextMenu = menu;
+}
+
+// テンプレートを件名の先頭に入れる（\n を含むテンプレートは本文の雛形として使う）
+function applyCommitTemplate(template) {
+    if (!gitMessageInput) return;
+    const text = template.replace(/\\n/g, '\n');
+    const current = gitMessageInput.value;
+    gitMessageInput.value = current.trim() ? `${text}${current}` : text;
+    gitMessageInput.focus();
+    const firstLineEnd = gitMessageInput.value.indexOf('\n');
+    const cursor = firstLineEnd === -1 ? gitMessageInput.value.length : firstLineEnd;
+    gitMessageInput.setSelectionRange(cursor, cursor);
+    updateSubjectLength();
+}
+
+if (gitTemplateBtn) {
+    gitTemplateBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        showCommitTemplatePicker(gitTemplateBtn);
+    });
+}
+
+if (gitMessageInput) {
+    gitMessageInput.addEventListener('input', updateSubjectLength);
+}
+
+[commitTemplatesInput, conventionalCommitsInput].forEach(input => {
+    if (input) input.addEventListener('change', saveCommitAssistSettings);
+});
+
+// ========== スタッシュ ==========
+const gitStashList = document.getElementById('git-stashes');
+const btnGitStash = document.getElementById('btn-git-stash');
+
+async function refreshGitStashes() {
+    if (!gitStashList || typeof window.electronAPI?.gitStashList !== 'function' || !currentDirectoryPath) return;
+
+    const result = await window.electronAPI.gitStashList(currentDirectoryPath);
+    gitStashList.innerHTML = '';
+    const stashes = result.success ? result.stashes : [];
+
+    if (stashes.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'git-empty';
+        empty.textContent = 'スタッシュはありません';
+        gitStashList.appendChild(empty);
+        return;
+    }
+
+    stashes.forEach(stash => {
+        const item = document.createElement('div');
+        item.className = 'git-file-item';
+        item.title = `stash@{${stash.index}}: ${stash.message}`;
+
+        const name = document.createElement('span');
+        name.className = 'git-file-name';
+        name.textContent = stash.message || `stash@{${stash.index}}`;
+
+        const date = document.createElement('span');
+        date.className = 'git-file-dir';
+        date.textContent = stash.timestamp ? formatCommitDate(stash.timestamp) : '';
+
+        const actions = document.createElement('span');
+        actions.className = 'git-file-actions';
+        actions.appendChild(createGitActionButton('⤴', '適用して削除（pop）', () => applyGitStash(stash, true)));
+        actions.appendChild(createGitActionButton('↺', '適用（apply）', () => applyGitStash(stash, false)));
+        actions.appendChild(createGitActionButton('🗑', 'スタッシュを削除', () => dropGitStash(stash)));
+
+        item.appendChild(name);
+        item.appendChild(date);
+        item.appendChild(actions);
+        gitStashList.appendChild(item);
+    });
+}
+
+async function pushGitStash() {
+    const hasUnsaved = Array.from(fileModificationState.values()).some(Boolean);
+    const values = await showModalForm(
+        hasUnsaved ? '変更をスタッシュに退避します（未保存の変更は含まれません）' : '変更をスタッシュに退避します',
+        [{ name: 'message', label: 'メッセージ（省略可）', placeholder: '書きかけのメモ' }]
+    );
+    if (!values) return;
+
+    const result = await window.electronAPI.gitStashPush(currentDirectoryPath, values.message.trim());
+    if (!result.success) {
+        showGitNotice(`スタッシュできません: ${result.error}`, true);
+        if (result.identityRequired) openIdentitySettings();
+        return;
+    }
+
+    await afterWorkingTreeChanged();
+    showGitNotice('変更をスタッシュしました');
+}
+
+async function applyGitStash(stash, pop) {
+    const result = await window.electronAPI.gitStashApply(currentDirectoryPath, stash.index, pop);
+    if (result.conflict) {
+        showGitNotice(`${result.error}。競合を解決してください（スタッシュは残しています）`, true);
+        await afterWorkingTreeChanged();
+        if (result.conflicts.length > 0) openConflictResolver(result.conflicts[0]);
+        return;
+    }
+    if (!result.success) {
+        showGitNotice(`スタッシュを適用できません: ${result.error}`, true);
+        return;
+    }
+
+    await afterWorkingTreeChanged();
+    showGitNotice(pop ? 'スタッシュを適用して削除しました' : 'スタッシュを適用しました');
+}
+
+async function dropGitStash(stash) {
+    const choice = await showModalDialog(`スタッシュ「${stash.message}」を削除しますか？\n削除した変更は元に戻せません。`, [
+        { label: 'キャンセル', value: null },
+        { label: '削除', value: 'delete', primary: true }
+    ]);
+    if (choice !== 'delete') return;
+
+    const result = await window.electronAPI.gitStashDrop(currentDirectoryPath, stash.index);
+    if (!result.success) {
+        showGitNotice(`スタッシュを削除できません: ${result.error}`, true);
+        return;
+    }
+    await refreshGitStashes();
+}
+
+if (btnGitStash) {
+    btnGitStash.addEventListener('click', pushGitStash);
+}
+
+// ========== コミット履歴 ==========
+const gitViewButtons = document.querySelectorAll('#git-view-switch .git-view-btn');
+const gitHistoryList = document.getElementById('git-history-list');
+const gitHistoryMoreBtn = document.getElementById('git-history-more');
+
+const GIT_HISTORY_PAGE_SIZE = 50;
+let gitHistoryLoaded = 0;
+
+// 変更 / 履歴 の表示切り替え
+function switchGitView(view) {
+    gitViewButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.view === view));
+    document.querySelectorAll('#content-git .git-view').forEach(el => {
+        el.classList.toggle('content-hidden', el.id !== `git-view-${view}`);
+    });
+    if (view === 'history') {
+        return loadGitHistory(true);
+    } else if (view === 'file') {
+        return loadFileHistory(true);
+    } else if (view === 'graph') {
+        return loadGitGraph(true);
+    }
+}
+
+function isGitViewVisible(view) {
+    const el = document.getElementById(`git-view-${view}`);
+    return isGitPanelVisible() && !!el && !el.classList.contains('content-hidden');
+}
+
+// コミット日時を表示用に整形
+function formatCommitDate(timestamp) {
+    const date = new Date(timestamp * 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}/${pad(date.getMonth() + 1)}/${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * コミット履歴を読み込んで一覧に追加する
+ * @param {boolean} reset - true なら先頭から読み直す
+ */
+async function loadGitHistory(reset = false) {
+    if (!gitHistoryList || typeof window.electronAPI?.gitLog !== 'function' || !currentDirectoryPath) return;
+
+    if (reset) {
+        gitHistoryLoaded = 0;
+        gitHistoryList.innerHTML = '';
+    }
+
+    const result = await window.electronAPI.gitLog(currentDirectoryPath, { skip: gitHistoryLoaded, limit: GIT_HISTORY_PAGE_SIZE });
+    if (!result.success) {
+        showGitNotice(`履歴を読み込めません: ${result.error}`, true);
+        return;
+    }
+
+    if (reset && result.commits.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'git-empty';
+        empty.textContent = 'コミットはありません';
+        gitHistoryList.appendChild(empty);
+    }
+
+    result.commits.forEach(commit => gitHistoryList.appendChild(createCommitElement(commit)));
+    gitHistoryLoaded += result.commits.length;
+
+    if (gitHistoryMoreBtn) gitHistoryMoreBtn.classList.toggle('content-hidden', !result.hasMore);
+}
+
+function createCommitElement(commit) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'git-commit-item';
+    wrapper.dataset.oid = commit.oid;
+
+    const summary = document.createElement('div');
+    summary.className = 'git-commit-summary';
+    summary.title = commit.message;
+
+    const message = document.createElement('div');
+    message.className = 'git-commit-message';
+    message.textContent = commit.message.split('\n')[0];
+
+    const meta = document.createElement('div');
+    meta.className = 'git-commit-meta';
+    meta.textContent = `${commit.author.name} ・ ${formatCommitDate(commit.author.timestamp)} ・ ${commit.oid.substring(0, 7)}`;
+
+    summary.appendChild(message);
+    summary.appendChild(meta);
+
+    const files = document.createElement('div');
+    files.className = 'git-commit-files content-hidden';
+
+    summary.addEventListener('click', () => toggleCommitFiles(commit, files));
+
+    wrapper.appendChild(summary);
+    wrapper.appendChild(files);
+    return wrapper;
+}
+
+// コミットで変更されたファイル一覧を開閉する
+async function toggleCommitFiles(commit, container) {
+    const willShow = container.classList.contains('content-hidden');
+    container.classList.toggle('content-hidden', !willShow);
+    if (!willShow || container.dataset.loaded) return;
+
+    const result = await window.electronAPI.gitCommitFiles(currentDirectoryPath, commit.oid);
+    if (!result.success) {
+        showGitNotice(`変更ファイルを取得できません: ${result.error}`, true);
+        return;
+    }
+    container.dataset.loaded = 'true';
+
+    const statusMap = { added: 'added', modified: 'modified', deleted: 'deleted' };
+    result.files.forEach(file => {
+        const badge = GIT_STATUS_BADGES[statusMap[file.status]] || GIT_STATUS_BADGES.unknown;
+        const fileName = file.filepath.split('/').pop();
+
+        const item = document.createElement('div');
+        item.className = 'git-file-item';
+        item.title = file.filepath;
+
+        const name = document.createElement('span');
+        name.className = 'git-file-name';
+        name.textContent = fileName;
+
+        const dir = document.createElement('span');
+        dir.className = 'git-file-dir';
+        dir.textContent = file.filepath.substring(0, file.filepath.length - fileName.length - 1);
+
+        const status = document.createElement('span');
+        status.className = `git-status-badge git-status-${file.status}`;
+        status.textContent = badge.letter;
+
+        item.appendChild(name);
+        item.appendChild(dir);
+        item.appendChild(status);
+        item.addEventListener('click', () => openCommitDiff(commit, file.filepath));
+        container.appendChild(item);
+    });
+}
+
+async function openCommitDiff(commit, filepath) {
+    const result = await window.electronAPI.gitDiffFile(currentDirectoryPath, commit.oid, filepath);
+    if (!result.success) {
+        showGitNotice(`差分を取得できません: ${result.error}`, true);
+        return;
+    }
+
+    const fileName = filepath.split('/').pop();
+    openDiffTab(`${fileName} (${commit.oid.substring(0, 7)})`, (header, body) => {
+        header.textContent = `${filepath} ・ ${commit.message.split('\n')[0]} ・ ${commit.author.name}`;
+        if (result.binary) {
+            body.textContent = 'バイナリファイルの差分は表示できません';
+            return;
+        }
+        body.appendChild(buildSideBySideDiff(result.chunks));
+    });
+}
+
+// ========== コミットグラフ ==========
+const gitGraphList = document.getElementById('git-graph-list');
+const gitGraphBase = document.getElementById('git-graph-base');
+const gitGraphDetails = document.getElementById('git-graph-details');
+const gitGraphSentinel = document.getElementById('git-graph-sentinel');
+
+const GIT_GRAPH_PAGE_SIZE = 100;
+const GIT_GRAPH_LANE_WIDTH = 12;
+const GIT_GRAPH_ROW_HEIGHT = 36;
+const GIT_GRAPH_COLORS = ['#007acc', '#e8912d', '#3fa34d', '#c2185b', '#7e57c2', '#00897b', '#d32f2f', '#6d4c41'];
+const GIT_GRAPH_REF_TITLES = {
+    current: '現在のブランチ',
+    branch: 'ローカルブランチ',
+    remote: 'リモート追跡ブランチ',
+    tag: 'タグ'
+};
+
+let gitGraphLoaded = 0;
+let gitGraphHasMore = false;
+let gitGraphLoading = false;
+let gitGraphWidth = 1;
+let gitGraphHead = null;
+let gitGraphMergeBase = null;
+// マージベースを求める相手（未指定なら上流ブランチ）
+let gitGraphBaseRef = null;
+
+/**
+ * 全ブランチのコミットグラフを読み込む
+ * 末尾までスクロールすると次のページを読み込む
+ * @param {boolean} reset - true なら先頭から読み直す
+ */
+async function loadGitGraph(reset = false) {
+    if (!gitGraphList || typeof window.electronAPI?.gitGraph !== 'function' || !currentDirectoryPath) return;
+    if (gitGraphLoading && !reset) return;
+    gitGraphLoading = true;
+
+    if (reset) {
+        gitGraphLoaded = 0;
+        gitGraphWidth = 1;
+        gitGraphList.innerHTML = '';
+        if (gitGraphDetails) gitGraphDetails.innerHTML = '';
+    }
+
+    try {
+        const result = await window.electronAPI.gitGraph(currentDirectoryPath, {
+            skip: gitGraphLoaded,
+            limit: GIT_GRAPH_PAGE_SIZE,
+            baseRef: gitGraphBaseRef
+        });
+        if (!result.success) {
+            showGitNotice(`グラフを読み込めません: ${result.error}`, true);
+            return;
+        }
+
+        if (reset) {
+            gitGraphHead = result.head;
+            gitGraphMergeBase = result.mergeBase;
+            updateGitGraphBase();
+            if (result.rows.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'git-empty';
+                empty.textContent = 'コミットはありません';
+                gitGraphList.appendChild(empty);
+            }
+        }
+
+        result.rows.forEach(row => {
+            gitGraphWidth = Math.max(gitGraphWidth, row.width);
+            gitGraphList.appendChild(createGraphRowElement(row));
+        });
+        gitGraphList.style.setProperty('--git-graph-width', `${gitGraphWidth * GIT_GRAPH_LANE_WIDTH}px`);
+        gitGraphLoaded += result.rows.length;
+        gitGraphHasMore = result.hasMore;
+    } finally {
+        gitGraphLoading = false;
+    }
+}
+
+function updateGitGraphBase() {
+    if (!gitGraphBase) return;
+    gitGraphBase.innerHTML = '';
+    if (!gitGraphMergeBase) {
+        gitGraphBase.textContent = 'ブランチ名をクリックすると HEAD とのマージベースを表示します';
+        return;
+    }
+    gitGraphBase.textContent = `HEAD と ${gitGraphMergeBase.ref} のマージベース: ${gitGraphMergeBase.oid.substring(0, 7)} `;
+    if (gitGraphBaseRef) {
+        const clear = document.createElement('button');
+        clear.className = 'git-file-action';
+        clear.textContent = '×';
+        clear.title = '上流ブランチとの比較に戻す';
+        clear.addEventListener('click', () => {
+            gitGraphBaseRef = null;
+            loadGitGraph(true);
+        });
+        gitGraphBase.appendChild(clear);
+    }
+}
+
+// 行ごとのレーンを SVG で描く
+function createGraphLanes(row) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('class', 'git-graph-lanes');
+    svg.setAttribute('width', row.width * GIT_GRAPH_LANE_WIDTH);
+    svg.setAttribute('height', GIT_GRAPH_ROW_HEIGHT);
+
+    const x = (lane) => lane * GIT_GRAPH_LANE_WIDTH + GIT_GRAPH_LANE_WIDTH / 2;
+    const mid = GIT_GRAPH_ROW_HEIGHT / 2;
+    const color = (lane) => GIT_GRAPH_COLORS[lane % GIT_GRAPH_COLORS.length];
+
+    row.lines.forEach(line => {
+        const path = document.createElementNS(ns, 'path');
+        let d;
+        let lane;
+        if (line.part === 'full') {
+            d = `M ${x(line.from)} 0 V ${GIT_GRAPH_ROW_HEIGHT}`;
+            lane = line.from;
+        } else if (line.part === 'top') {
+            d = `M ${x(line.from)} 0 C ${x(line.from)} ${mid / 2}, ${x(line.to)} ${mid / 2}, ${x(line.to)} ${mid}`;
+            lane = line.from;
+        } else {
+            d = `M ${x(line.from)} ${mid} C ${x(line.from)} ${mid * 1.5}, ${x(line.to)} ${mid * 1.5}, ${x(line.to)} ${GIT_GRAPH_ROW_HEIGHT}`;
+            lane = line.to;
+        }
+        path.setAttribute('d', d);
+        path.setAttribute('stroke', color(lane));
+        path.setAttribute('fill', 'none');
+        path.setAttribute('stroke-width', '2');
+        svg.appendChild(path);
+    });
+
+    const dot = document.createElementNS(ns, 'circle');
+    dot.setAttribute('cx', x(row.column));
+    dot.setAttribute('cy', mid);
+    dot.setAttribute('r', row.oid === gitGraphHead ? 5 : 4);
+    dot.setAttribute('stroke', color(row.column));
+    dot.setAttribute('stroke-width', '2');
+    // マージコミットは中抜き
+    dot.setAttribute('fill', row.parents.length > 1 ? 'white' : color(row.column));
+    svg.appendChild(dot);
+    return svg;
+}
+
+function createGraphLabel(text, className, title) {
+    const label = document.createElement('span');
+    label.className = `git-graph-ref ${className}`;
+    label.textContent = text;
+    label.title = title;
+    return label;
+}
+
+function createGraphRowElement(row) {
+    const item = document.createElement('div');
+    item.className = 'git-graph-row';
+    item.dataset.oid = row.oid;
+    item.title = `${row.message}\n${row.oid}`;
+    item.classList.toggle('head', row.oid === gitGraphHead);
+
+    const info = document.createElement('div');
+    info.className = 'git-graph-info';
+
+    const message = document.createElement('div');
+    message.className = 'git-commit-message';
+
+    if (row.oid === gitGraphHead) {
+        message.appendChild(createGraphLabel('HEAD', 'git-graph-ref-head', 'チェックアウト中のコミット'));
+    }
+    if (gitGraphMergeBase && row.oid === gitGraphMergeBase.oid) {
+        message.appendChild(createGraphLabel('マージベース', 'git-graph-ref-base', `HEAD と ${gitGraphMergeBase.ref} のマージベース`));
+    }
+    row.labels.forEach(ref => {
+        const label = createGraphLabel(ref.name, `git-graph-ref-${ref.type}`, `${GIT_GRAPH_REF_TITLES[ref.type]}（クリックで HEAD とのマージベースを表示）`);
+        label.addEventListener('click', (e) => {
+            e.stopPropagation();
+            gitGraphBaseRef = ref.name;
+            loadGitGraph(true);
+        });
+        message.appendChild(label);
+    });
+    message.appendChild(document.createTextNode(row.message.split('\n')[0]));
+
+    const meta = document.createElement('div');
+    meta.className = 'git-commit-meta';
+    meta.textContent = `${row.author.name} ・ ${formatCommitDate(row.author.timestamp)} ・ ${row.oid.substring(0, 7)}`;
+
+    info.appendChild(message);
+    info.appendChild(meta);
+    item.appendChild(createGraphLanes(row));
+    item.appendChild(info);
+    item.addEventListener('click', () => showGraphCommit(row, item));
+    return item;
+}
+
+// 選んだコミットの変更ファイルをグラフの上に表示する
+function showGraphCommit(row, item) {
+    if (!gitGraphDetails) return;
+    gitGraphList.querySelectorAll('.git-graph-row.selected').forEach(el => el.classList.remove('selected'));
+    item.classList.add('selected');
+
+    gitGraphDetails.innerHTML = '';
+    const title = document.createElement('div');
+    title.className = 'git-graph-details-title';
+    title.textContent = `${row.oid.substring(0, 7)} ${row.message.split('\n')[0]}`;
+    title.title = row.message;
+
+    const close = createGitActionButton('×', '閉じる', () => {
+        gitGraphDetails.innerHTML = '';
+        item.classList.remove('selected');
+    });
+    title.appendChild(close);
+
+    const files = document.createElement('div');
+    files.className = 'git-commit-files content-hidden';
+    gitGraphDetails.appendChild(title);
+    gitGraphDetails.appendChild(files);
+    toggleCommitFiles(row, files);
+}
+
+if (gitGraphSentinel && typeof IntersectionObserver !== 'undefined') {
+    new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting) && gitGraphHasMore && isGitViewVisible('graph')) {
+            loadGitGraph(false);
+        }
+    }).observe(gitGraphSentinel);
+}
+
+// ========== ファイル履歴 ==========
+const gitFileHistoryTitle = document.getElementById('git-file-history-title');
+const gitFileHistoryList = document.getElementById('git-file-history-list');
+const gitFileHistoryMoreBtn = document.getElementById('git-file-history-more');
+const gitFileCompareBtn = document.getElementById('git-file-history-compare');
+
+let gitFileHistoryPath = null;
+let gitFileHistoryLoaded = 0;
+// 描画比較の比較元として選んだ版（未選択なら HEAD と比較する）
+let compareBaseRevision = null;
+
+/**
+ * 開いているファイルの変更履歴を読み込む
+ * @param {boolean} reset - true なら先頭から読み直す
+ */
+async function loadFileHistory(reset = false) {
+    if (!gitFileHistoryList || typeof window.electronAPI?.gitLog !== 'function' || !currentDirectoryPath) return;
+
+    if (reset) {
+        gitFileHistoryLoaded = 0;
+        gitFileHistoryList.innerHTML = '';
+        setCompareBaseRevision(null);
+        if (gitFileHistoryMoreBtn) gitFileHistoryMoreBtn.classList.add('content-hidden');
+    }
+
+    const filePath = currentFilePath && currentFilePath !== 'README.md' ? currentFilePath : null;
+    gitFileHistoryPath = filePath;
+
+    if (gitFileHistoryTitle) {
+        gitFileHistoryTitle.textContent = filePath ? `ファイル履歴: ${getBaseName(filePath)}` : 'ファイル履歴';
+        gitFileHistoryTitle.title = filePath || '';
+    }
+
+    if (!filePath) {
+        const empty = document.createElement('div');
+        empty.className = 'git-empty';
+        empty.textContent = 'ファイルを開くと履歴が表示されます';
+        gitFileHistoryList.appendChild(empty);
+        return;
+    }
+
+    const result = await window.electronAPI.gitLog(currentDirectoryPath, {
+        filepath: filePath,
+        skip: gitFileHistoryLoaded,
+        limit: GIT_HISTORY_PAGE_SIZE
+    });
+    // 読み込み中に別のファイルへ切り替わった場合は破棄
+    if (gitFileHistoryPath !== filePath) return;
+
+    if (!result.success) {
+        showGitNotice(`ファイル履歴を読み込めません: ${result.error}`, true);
+        return;
+    }
+
+    if (reset && result.commits.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'git-empty';
+        empty.textContent = 'このファイルのコミットはありません';
+        gitFileHistoryList.appendChild(empty);
+    }
+
+    result.commits.forEach(commit => gitFileHistoryList.appendChild(createFileRevisionElement(filePath, commit)));
+    gitFileHistoryLoaded += result.commits.length;
+
+    if (gitFileHistoryMoreBtn) gitFileHistoryMoreBtn.classList.toggle('content-hidden', !result.hasMore);
+}
+
+function createFileRevisionElement(filePath, commit) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'git-commit-item';
+    wrapper.dataset.oid = commit.oid;
+
+    const summary = document.createElement('div');
+    summary.className = 'git-commit-summary';
+    summary.title = commit.message;
+
+    const message = document.createElement('div');
+    message.className = 'git-commit-message';
+    message.textContent = commit.message.split('\n')[0];
+
+    const meta = document.createElement('div');
+    meta.className = 'git-commit-meta';
+    meta.textContent = `${commit.author.name} ・ ${formatCommitDate(commit.author.timestamp)} ・ ${commit.oid.substring(0, 7)}`;
+
+    const actions = document.createElement('div');
+    actions.className = 'git-revision-actions';
+    actions.appendChild(createGitActionButton('プレビュー', 'この版をプレビュー', () => previewFileRevision(filePath, commit)));
+    actions.appendChild(createGitActionButton('比較', '2つの版を選んで描画結果を比較', () => selectCompareRevision(filePath, commit)));
+    actions.appendChild(createGitActionButton('復元', 'この版をエディタに復元（保存はしません）', () => restoreFileRevision(filePath, commit)));
+
+    summary.appendChild(message);
+    summary.appendChild(meta);
+    summary.appendChild(actions);
+    summary.addEventListener('click', (e) => {
+        if (e.target.closest('.git-file-action')) return;
+        previewFileRevision(filePath, commit);
+    });
+
+    wrapper.appendChild(summary);
+    return wrapper;
+}
+
+function getBaseName(filePath) {
+    return filePath.split(/[\\/]/).pop();
+}
+
+async function readFileRevision(filePath, commit) {
+    const result = await window.electronAPI.gitReadFileAt(currentDirectoryPath, commit.oid, filePath);
+    if (!result.success) {
+        showGitNotice(`この版を読み込めません: ${result.error}`, true);
+        return null;
+    }
+    if (result.binary) {
+        showGitNotice('バイナリファイルは表示できません', true);
+        return null;
+    }
+    return result.content;
+}
+
+// 過去の版をプレビューと同じ描画で差分タブに表示する
+async function previewFileRevision(filePath, commit) {
+    const content = await readFileRevision(filePath, commit);
+    if (content === null) return;
+
+    openDiffTab(`${getBaseName(filePath)} (${commit.oid.substring(0, 7)})`, (header, body) => {
+        header.textContent = `${filePath} ・ ${commit.message.split('\n')[0]} ・ ${commit.author.name} ・ ${formatCommitDate(commit.author.timestamp)}`;
+        const preview = document.createElement('div');
+        preview.className = 'markdown-preview revision-preview';
+        body.appendChild(preview);
+        renderMarkdownInto(preview, content);
+    });
+}
+
+// 過去の版の内容をエディタに読み込む（ディスクには書き込まず未保存状態にする）
+async function restoreFileRevision(filePath, commit) {
+    const confirmed = await showModalDialog(
+        `${getBaseName(filePath)} を ${commit.oid.substring(0, 7)} の版に戻しますか？\nエディタの内容が置き換わります（保存するまでファイルは変更されません）。`,
+        [
+            { label: 'キャンセル', value: false },
+            { label: '復元', value: true, primary: true }
+        ]
+    );
+    if (!confirmed) return;
+
+    const content = await readFileRevision(filePath, commit);
+    if (content === null) return;
+
+    if (!openedFiles.has(filePath)) {
+        showGitNotice('ファイルが閉じられています', true);
+        return;
+    }
+    // エディタの変更として置き換えるので、元に戻す（Ctrl+Z）で復元前に戻れる
+    switchToFile(filePath);
+    openedFiles.get(filePath).autoSaveHeld = true;
+    editor.setValue(content);
+    showGitNotice(`${commit.oid.substring(0, 7)} の版を復元しました（未保存）`);
+}
+
+if (gitFileHistoryMoreBtn) {
+    gitFileHistoryMoreBtn.addEventListener('click', () => loadFileHistory(false));
+}
+
+// ========== 描画結果の比較 ==========
+
+function setCompareBaseRevision(commit) {
+    compareBaseRevision = commit;
+    if (gitFileHistoryList) {
+        gitFileHistoryList.querySelectorAll('.git-commit-item').forEach(item => {
+            item.classList.toggle('compare-selected', !!commit && item.dataset.oid === commit.oid);
+        });
+    }
+    if (gitFileCompareBtn) {
+        gitFileCompareBtn.textContent = `作業中の内容と ${commit ? commit.oid.substring(0, 7) : 'HEAD'} を比較`;
+    }
+}
+
+// 1つ目に選んだ版を比較元にし、2つ目を選んだ時点で比較する
+async function selectCompareRevision(filePath, commit) {
+    const base = compareBaseRevision;
+    if (!base || base.oid === commit.oid) {
+        setCompareBaseRevision(base ? null : commit);
+        if (!base) showGitNotice('比較するもう1つの版を選ぶか、作業中の内容と比較してください');
+        return;
+    }
+    setCompareBaseRevision(null);
+
+    const [older, newer] = base.author.timestamp <= commit.author.timestamp ? [base, commit] : [commit, base];
+    const oldContent = await readFileRevision(filePath, older);
+    if (oldContent === null) return;
+    const newContent = await readFileRevision(filePath, newer);
+    if (newContent === null) return;
+
+    await openRenderedCompare(filePath,
+        { label: older.oid.substring(0, 7), content: oldContent },
+        { label: newer.oid.substring(0, 7), content: newContent });
+}
+
+// 比較元の版（未選択なら HEAD）とエディタの内容を比較する
+async function compareWithWorkingCopy() {
+    const filePath = gitFileHistoryPath;
+    if (!filePath) return;
+
+    const base = compareBaseRevision;
+    const oldContent = await readFileRevision(filePath, base || { oid: 'HEAD' });
+    if (oldContent === null) return;
+
+    const fileData = openedFiles.get(filePath);
+    const newContent = fileData ? getOpenedFileText(filePath) : '';
+    setCompareBaseRevision(null);
+
+    await openRenderedCompare(filePath,
+        { label: base ? base.oid.substring(0, 7) : 'HEAD', content: oldContent },
+        { label: '作業中', content: newContent });
+}
+
+/**
+ * 2つの版をプレビューと同じ描画にかけ、単語単位（CJK は1文字単位）の差分を差分タブに表示する
+ * @param {{label: string, content: string}} oldSide
+ * @param {{label: string, content: string}} newSide
+ */
+async function openRenderedCompare(filePath, oldSide, newSide) {
+    const renderHtml = (content) => {
+        const container = document.createElement('div');
+        renderMarkdownInto(container, content);
+        return container.innerHTML;
+    };
+
+    const result = await window.electronAPI.diffRenderedHtml(renderHtml(oldSide.content), renderHtml(newSide.content));
+    if (!result.success) {
+        showGitNotice(`比較できません: ${result.error}`, true);
+        return;
+    }
+
+    openDiffTab(`${getBaseName(filePath)} (${oldSide.label} → ${newSide.label})`, (header, body) => {
+        header.textContent = `${filePath} ・ ${oldSide.label} → ${newSide.label} ・ ${result.changes > 0 ? `${result.changes} 箇所の変更` : '変更なし'}`;
+        const preview = document.createElement('div');
+        preview.className = 'markdown-preview revision-preview prose-diff';
+        preview.innerHTML = result.html;
+        body.appendChild(preview);
+    });
+}
+
+if (gitFileCompareBtn) {
+    gitFileCompareBtn.addEventListener('click', compareWithWorkingCopy);
+}
+
+// ========== 作業ツリーの差分（ハンク単位のステージ） ==========
+
+/**
+ * ステージ前（インデックス → 作業ツリー）またはステージ済み（HEAD → インデックス）の差分を開く
+ * @param {{filepath: string}} file - Gitパネルのファイル
+ * @param {boolean} staged - ステージ済みの差分を表示するか
+ */
+async function openWorkingDiff(file, staged) {
+    const result = await window.electronAPI.gitWorkingDiff(currentDirectoryPath, file.filepath, staged);
+    if (!result.success) {
+        showGitNotice(`差分を取得できません: ${result.error}`, true);
+        return;
+    }
+
+    const fileName = file.filepath.split('/').pop();
+    openDiffTab(`${fileName} (${staged ? 'ステージ済み' : '未ステージ'})`, (header, body) => {
+        header.textContent = `${file.filepath} ・ ${staged ? 'HEAD → ステージ' : 'ステージ → 作業ツリー'}`;
+        if (result.binary) {
+            body.textContent = 'バイナリファイルの差分は表示できません';
+            return;
+        }
+
+        // 削除されたファイルはファイル単位でのみ扱う
+        const hunkActions = result.deleted ? null : (index) => {
+            const hunk = result.hunks[index];
+            const btn = document.createElement('button');
+            btn.className = 'diff-hunk-action';
+            btn.textContent = staged ? 'ハンクのステージを取消' : 'ハンクをステージ';
+            btn.addEventListener('click', () => applyHunkStaging(file, hunk, staged));
+            return btn;
+        };
+        body.appendChild(buildSideBySideDiff(result.chunks, { hunkActions }));
+    });
+}
+
+async function applyHunkStaging(file, hunk, staged) {
+    showGitNotice('');
+    const result = staged
+        ? await window.electronAPI.gitUnstageHunks(currentDirectoryPath, file.filepath, [hunk])
+        : await window.electronAPI.gitStageHunks(currentDirectoryPath, file.filepath, [hunk]);
+
+    if (!result.success) {
+        showGitNotice(`${staged ? 'ステージ解除' : 'ステージ'}に失敗しました: ${result.error}`, true);
+    }
+
+    await refreshGitStatus();
+    // 残りのハンクで差分を表示し直す
+    await openWorkingDiff(file, staged);
+}
+
+// ========== リポジトリの初期化・クローン ==========
+const gitInitBtn = document.getElementById('git-init-btn');
+const gitCloneBtn = document.getElementById('git-clone-btn');
+const btnGitClone = document.getElementById('btn-git-clone');
+
+async function initGitRepository() {
+    const values = await showModalForm('このフォルダをGitリポジトリとして初期化します', [
+        { name: 'defaultBranch', label: '既定のブランチ名', value: 'main' },
+        { name: 'gitignore', type: 'checkbox', label: '.gitignore を作成する', value: true }
+    ]);
+    if (!values) return;
+
+    const result = await window.electronAPI.gitInit(currentDirectoryPath, {
+        defaultBranch: values.defaultBranch.trim() || 'main',
+        gitignore: values.gitignore
+    });
+    if (!result.success) {
+        showGitNotice(`初期化に失敗しました: ${result.error}`, true);
+        return;
+    }
+
+    await initializeFileTree();
+    await refreshGitStatus();
+    showGitNotice('リポジトリを初期化しました');
+}
+
+// クローンの進捗（isomorphic-git の onProgress）
+const GIT_PROGRESS_PHASES = {
+    'Counting objects': 'オブジェクトを数えています',
+    'Compressing objects': 'オブジェクトを圧縮しています',
+    'Receiving objects': 'オブジェクトを受信しています',
+    'Resolving deltas': '差分を解決しています',
+    'Analyzing workdir': '作業ツリーを確認しています',
+    'Updating workdir': 'ファイルを展開しています'
+};
+
+let isCloning = false;
+
+async function cloneGitRepository() {
+    if (isCloning) return;
+
+    const values = await showModalForm('リポジトリをクローン（次にクローン先のフォルダを選択します）', [
+        { name: 'url', label: 'URL', placeholder: 'https://github.com/user/notes.git' },
+        { name: 'branch', label: 'ブランチ（省略時は既定のブランチ）', placeholder: 'main' },
+        { name: 'depth', label: '履歴の深さ（省略時はすべて）', placeholder: '例: 1', type: 'number' }
+    ]);
+    if (!values || !values.url.trim()) return;
+
+    isCloning = true;
+    showGitNotice('クローンの準備中...');
+    try {
+        const result = await window.electronAPI.gitClone({
+            url: values.url.trim(),
+            branch: values.branch.trim(),
+            depth: values.depth
+        });
+
+        if (result.canceled) {
+            showGitNotice('');
+            return;
+        }
+        if (!result.success) {
+            showGitNotice(`クローンに失敗しました: ${result.error}`, true);
+            return;
+        }
+
+        // クローンしたフォルダを作業フォルダとして開く
+        await initializeFileTree();
+        await refreshGitStatus();
+        showGitNotice(`クローンしました: ${result.path}`);
+    } finally {
+        isCloning = false;
+    }
+}
+
+if (window.electronAPI?.onGitCloneProgress) {
+    window.electronAPI.onGitCloneProgress((progress) => {
+        if (!isCloning) return;
+        const phase = GIT_PROGRESS_PHASES[progress.phase] || progress.phase;
+        const amount = progress.total ? ` ${Math.floor(progress.loaded / progress.total * 100)}% (${progress.loaded}/${progress.total})` : ` ${progress.loaded}`;
+        showGitNotice(`クローン中: ${phase}${amount}`);
+    });
+}
+
+if (gitInitBtn) {
+    gitInitBtn.addEventListener('click', initGitRepository);
+}
+
+if (gitCloneBtn) {
+    gitCloneBtn.addEventListener('click', cloneGitRepository);
+}
+
+if (btnGitClone) {
+    btnGitClone.addEventListener('click', cloneGitRepository);
+}
+
+// ========== マージの競合 ==========
+const gitMergeSection = document.getElementById('git-merge-section');
+const gitMergeTitle = document.getElementById('git-merge-title');
+const gitConflictList = document.getElementById('git-conflicts');
+const gitMergeActions = document.getElementById('git-merge-actions');
+const gitMergeContinueBtn = document.getElementById('git-merge-continue-btn');
+const gitMergeAbortBtn = document.getElementById('git-merge-abort-btn');
+
+let gitMergeState = { merging: false, message: '', conflicts: [] };
+
+async function refreshMergeStatus() {
+    if (typeof window.electronAPI?.gitMergeStatus !== 'function' || !currentDirectoryPath) return;
+
+    const result = await window.electronAPI.gitMergeStatus(currentDirectoryPath);
+    gitMergeState = result.success
+        ? { merging: result.merging, message: result.message, conflicts: result.conflicts }
+        : { merging: false, message: '', conflicts: [] };
+    renderMergeSection();
+}
+
+function renderMergeSection() {
+    if (!gitMergeSection) return;
+    const { merging, conflicts } = gitMergeState;
+    gitMergeSection.classList.toggle('content-hidden', !merging && conflicts.length === 0);
+
+    if (gitMergeTitle) {
+        if (!merging) {
+            // スタッシュの適用などマージ以外で発生した競合
+            gitMergeTitle.textContent = `未解決の競合 ${conflicts.length} 件`;
+        } else {
+            gitMergeTitle.textContent = conflicts.length > 0 ? `マージ中（未解決の競合 ${conflicts.length} 件）` : 'マージ中（競合はすべて解決済み）';
+        }
+    }
+    if (gitMergeActions) gitMergeActions.classList.toggle('content-hidden', !merging);
+    if (gitMergeContinueBtn) gitMergeContinueBtn.disabled = conflicts.length > 0;
+    if (!gitConflictList) return;
+
+    gitConflictList.innerHTML = '';
+    conflicts.forEach(conflict => {
+        const fileName = conflict.filepath.split('/').pop();
+
+        const item = document.createElement('div');
+        item.className = 'git-file-item';
+        item.title = conflict.filepath;
+
+        const name = document.createElement('span');
+        name.className = 'git-file-name';
+        name.textContent = fileName;
+
+        const dir = document.createElement('span');
+        dir.className = 'git-file-dir';
+        dir.textContent = conflict.filepath.substring(0, conflict.filepath.length - fileName.length - 1);
+
+        const status = document.createElement('span');
+        status.className = 'git-status-badge git-status-conflict';
+        status.textContent = '!';
+        status.title = conflict.deletedByUs ? '競合（こちらで削除）' : conflict.deletedByTheirs ? '競合（相手側で削除）' : '競合';
+
+        item.appendChild(name);
+        item.appendChild(dir);
+        item.appendChild(status);
+        item.addEventListener('click', () => openConflictResolver(conflict.filepath));
+        gitConflictList.appendChild(item);
+    });
+}
+
+/**
+ * 競合マーカーで区切られたブロックを取り出す
+ * @returns {{start: number, end: number, ours: string[], theirs: string[], oursLabel: string, theirsLabel: string}[]}
+ *          start/end はマーカー行を含む行番号（0始まり）
+ */
+function parseConflictBlocks(text) {
+    const lines = text.split('\n');
+    const blocks = [];
+    let current = null;
+    let section = null;
+
+    lines.forEach((line, index) => {
+        if (line.startsWith('<<<<<<<')) {
+            current = { start: index, end: -1, ours: [], theirs: [], oursLabel: line.substring(7).trim(), theirsLabel: '' };
+            section = 'ours';
+        } else if (current && line.startsWith('|||||||')) {
+            section = 'base';
+        } else if (current && line.startsWith('=======')) {
+            section = 'theirs';
+        } else if (current && section === 'theirs' && line.startsWith('>>>>>>>')) {
+            current.end = index;
+            current.theirsLabel = line.substring(7).trim();
+            blocks.push(current);
+            current = null;
+            section = null;
+        } else if (current && section !== 'base') {
+            current[section].push(line);
+        }
+    });
+
+    return blocks;
+}
+
+/**
+ * 競合ブロックを選んだ内容で置き換える
+ * @param {'current'|'incoming'|'both'} choice
+ */
+function resolveConflictBlock(text, block, choice) {
+    const lines = text.split('\n');
+    let replacement;
+    if (choice === 'current') {
+        replacement = block.ours;
+    } else if (choice === 'incoming') {
+        replacement = block.theirs;
+    } else {
+        replacement = block.ours.concat(block.theirs);
+    }
+    lines.splice(block.start, block.end - block.start + 1, ...replacement);
+    return lines.join('\n');
+}
+
+// 競合の解決ビュー（ours / theirs と結果）を開く
+async function openConflictResolver(filepath) {
+    const result = await window.electronAPI.gitConflictVersions(currentDirectoryPath, filepath);
+    if (!result.success) {
+        showGitNotice(`競合ファイルを読み込めません: ${result.error}`, true);
+        return;
+    }
+
+    const fileName = filepath.split('/').pop();
+    openDiffTab(`⚠ ${fileName}`, (header, body) => {
+        const title = document.createElement('span');
+        title.className = 'conflict-title';
+        title.textContent = `${filepath} の競合を解決`;
+
+        const resolveBtn = document.createElement('button');
+        resolveBtn.className = 'diff-hunk-action';
+        resolveBtn.textContent = '解決済みにする';
+
+        const abortBtn = document.createElement('button');
+        abortBtn.className = 'diff-hunk-action';
+        abortBtn.textContent = 'マージを中止';
+        abortBtn.addEventListener('click', abortMerge);
+
+        header.appendChild(title);
+        header.appendChild(resolveBtn);
+        header.appendChild(abortBtn);
+
+        // どちらかで削除された場合はファイル単位で選ぶ
+        if (result.ours === null || result.theirs === null) {
+            const notice = document.createElement('div');
+            notice.className = 'conflict-notice';
+            notice.textContent = result.ours === null
+                ? 'このファイルはこちらのブランチで削除され、取り込む側で変更されています。'
+                : 'このファイルは取り込む側で削除され、こちらのブランチで変更されています。';
+            body.appendChild(notice);
+
+            const keepBtn = document.createElement('button');
+            keepBtn.className = 'modal-btn primary';
+            keepBtn.textContent = 'ファイルを残す';
+            keepBtn.addEventListener('click', () => markConflictResolved(filepath, result.result !== null ? result.result : (result.ours || result.theirs)));
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'modal-btn';
+            deleteBtn.textContent = 'ファイルを削除';
+            deleteBtn.addEventListener('click', () => markConflictResolved(filepath, null));
+
+            const actions = document.createElement('div');
+            actions.className = 'conflict-actions';
+            actions.appendChild(deleteBtn);
+            actions.appendChild(keepBtn);
+            body.appendChild(actions);
+
+            resolveBtn.addEventListener('click', () => markConflictResolved(filepath, result.result !== null ? result.result : (result.ours || result.theirs)));
+            return;
+        }
+
+        const blocksContainer = document.createElement('div');
+        blocksContainer.className = 'conflict-blocks';
+
+        const resultTitle = document.createElement('div');
+        resultTitle.className = 'conflict-result-title';
+        resultTitle.textContent = '結果（直接編集できます）';
+
+        const resultEditor = document.createElement('textarea');
+        resultEditor.className = 'conflict-result-editor';
+        resultEditor.spellcheck = false;
+        resultEditor.value = result.result !== null ? result.result : result.ours;
+
+        const renderBlocks = () => {
+            blocksContainer.innerHTML = '';
+            const blocks = parseConflictBlocks(resultEditor.value);
+
+            if (blocks.length === 0) {
+                const done = document.createElement('div');
+                done.className = 'conflict-notice';
+                done.textContent = '競合はすべて解決されています。内容を確認して「解決済みにする」を押してください。';
+                blocksContainer.appendChild(done);
+                return;
+            }
+
+            blocks.forEach((block, index) => {
+                const card = document.createElement('div');
+                card.className = 'conflict-block';
+
+                const cardHeader = document.createElement('div');
+                cardHeader.className = 'conflict-block-header';
+                const label = document.createElement('span');
+                label.textContent = `競合 ${index + 1} / ${blocks.length}（${block.start + 1} 行目）`;
+                cardHeader.appendChild(label);
+
+                [['current', '現在の変更を採用'], ['incoming', '取り込む変更を採用'], ['both', '両方を採用']].forEach(([choice, text]) => {
+                    const btn = document.createElement('button');
+                    btn.className = 'diff-hunk-action';
+                    btn.textContent = text;
+                    btn.addEventListener('click', () => {
+                        resultEditor.value = resolveConflictBlock(resultEditor.value, block, choice);
+                        renderBlocks();
+                    });
+                    cardHeader.appendChild(btn);
+                });
+
+                const sides = document.createElement('div');
+                sides.className = 'conflict-sides';
+                [['ours', `現在の変更（${block.oursLabel || 'ours'}）`, block.ours], ['theirs', `取り込む変更（${block.theirsLabel || 'theirs'}）`, block.theirs]].forEach(([side, caption, lines]) => {
+                    const column = document.createElement('div');
+                    column.className = `conflict-side conflict-${side}`;
+                    const sideTitle = document.createElement('div');
+                    sideTitle.className = 'conflict-side-title';
+                    sideTitle.textContent = caption;
+                    const pre = document.createElement('pre');
+                    pre.textContent = lines.join('\n');
+                    column.appendChild(sideTitle);
+                    column.appendChild(pre);
+                    sides.appendChild(column);
+                });
+
+                card.appendChild(cardHeader);
+                card.appendChild(sides);
+                blocksContainer.appendChild(card);
+            });
+        };
+
+        let renderTimer = null;
+        resultEditor.addEventListener('input', () => {
+            if (renderTimer) clearTimeout(renderTimer);
+            renderTimer = setTimeout(renderBlocks, 300);
+        });
+
+        resolveBtn.addEventListener('click', async () => {
+            const remaining = parseConflictBlocks(resultEditor.value).length;
+            if (remaining > 0) {
+                const ok = await showModalDialog(`競合マーカーが ${remaining} 箇所残っています。このまま解決済みにしますか？`, [
+                    { label: 'キャンセル', value: false },
+                    { label: '解決済みにする', value: true, primary: true }
+                ]);
+                if (!ok) return;
+            }
+            markConflictResolved(filepath, resultEditor.value);
+        });
+
+        body.appendChild(blocksContainer);
+        body.appendChild(resultTitle);
+        body.appendChild(resultEditor);
+        renderBlocks();
+    });
+}
+
+// 解決した内容を書き込み、次の競合ファイルがあれば開く
+async function markConflictResolved(filepath, content) {
+    const result = await window.electronAPI.gitResolveConflict(currentDirectoryPath, filepath, content);
+    if (!result.success) {
+        showGitNotice(`解決済みにできません: ${result.error}`, true);
+        return;
+    }
+
+    await afterWorkingTreeChanged();
+
+    const next = gitMergeState.conflicts[0];
+    if (next) {
+        showGitNotice(`${filepath.split('/').pop()} を解決しました。残り ${gitMergeState.conflicts.length} 件`);
+        openConflictResolver(next.filepath);
+    } else if (gitMergeState.merging) {
+        showGitNotice('すべての競合を解決しました。「マージを完了」でマージコミットを作成してください');
+        closeDiffTab();
+    } else {
+        showGitNotice('すべての競合を解決しました');
+        closeDiffTab();
+    }
+}
+
+async function continueMerge() {
+    const message = gitMessageInput ? gitMessageInput.value.trim() : '';
+    const result = await window.electronAPI.gitMergeContinue(currentDirectoryPath, message);
+    if (!result.success) {
+        showGitNotice(`マージを完了できません: ${result.error}`, true);
+        if (result.identityRequired) openIdentitySettings();
+        return;
+    }
+
+    if (gitMessageInput) gitMessageInput.value = '';
+    updateSubjectLength();
+    await refreshGitStatus();
+    if (gitHistoryLoaded > 0) loadGitHistory(true);
+    showGitNotice(`マージを完了しました (${result.sha.substring(0, 7)})`);
+}
+
+async function abortMerge() {
+    const confirmed = await showModalDialog('マージを中止して、プル前の状態に戻しますか？\n競合の解決内容は失われます。', [
+        { label: 'キャンセル', value: false },
+        { label: 'マージを中止', value: true, primary: true }
+    ]);
+    if (!confirmed) return;
+
+    const result = await window.electronAPI.gitMergeAbort(currentDirectoryPath);
+    if (!result.success) {
+        showGitNotice(`マージを中止できません: ${result.error}`, true);
+        return;
+    }
+
+    closeDiffTab();
+    await afterWorkingTreeChanged();
+    showGitNotice('マージを中止しました');
+}
+
+if (gitMergeContinueBtn) {
+    gitMergeContinueBtn.addEventListener('click', continueMerge);
+}
+
+if (gitMergeAbortBtn) {
+    gitMergeAbortBtn.addEventListener('click', abortMerge);
+}
+
+// ========== 差分タブ ==========
+const contentDiff = document.getElementById('content-diff');
+const diffViewHeader = document.getElementById('diff-view-header');
+const diffViewBody = document.getElementById('diff-view-body');
+
+// 変更のない行がこれ以上続く場合は折りたたむ
+const DIFF_CONTEXT_LINES = 3;
+
+/**
+ * 差分タブを開く（既に開いている場合は内容を差し替える）
+ * @param {string} title - タブに表示するタイトル
+ * @param {(header: HTMLElement, body: HTMLElement) => void} render - ビューの描画処理
+ */
+function openDiffTab(title, render) {
+    let diffTab = document.getElementById('tab-diff');
+
+    if (!diffTab) {
+        diffTab = document.createElement('div');
+        diffTab.className = 'tab';
+        diffTab.id = 'tab-diff';
+        diffTab.dataset.target = 'content-diff';
+        if (editorTabsContainer) {
+            editorTabsContainer.appendChild(diffTab);
+        }
+    }
+    diffTab.innerHTML = `<span class="tab-title"></span> <span class="close-tab">×</span>`;
+    diffTab.querySelector('.tab-title').textContent = title;
+
+    if (diffViewHeader) diffViewHeader.innerHTML = '';
+    if (diffViewBody) {
+        diffViewBody.innerHTML = '';
+        diffViewBody.scrollTop = 0;
+    }
+    render(diffViewHeader, diffViewBody);
+
+    switchTab(diffTab);
+}
+
+// 差分タブが開いていれば閉じる
+function closeDiffTab() {
+    const diffTab = document.getElementById('tab-diff');
+    const closeBtn = diffTab && diffTab.querySelector('.close-tab');
+    if (closeBtn) closeBtn.click();
+}
+
+/**
+ * diffLines の結果から左右並列の差分テーブルを作る
+ * 削除と追加が連続する箇所は同じ行に並べて表示する
+ * @param {Array} chunks - diffLines の結果
+ * @param {{hunkActions?: (hunkIndex: number) => HTMLElement}} options - ハンクごとの操作ボタンを作る関数
+ */
+function buildSideBySideDiff(chunks, options = {}) {
+    const rows = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let hunkIndex = 0;
+
+    for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        // 変更が連続する範囲（ハンク）の先頭行に番号を付ける
+        const firstRow = rows.length;
+        const startsHunk = chunk.type !== 'equal' && (i === 0 || chunks[i - 1].type === 'equal');
+
+        if (chunk.type === 'equal') {
+            chunk.items.forEach(text => {
+                rows.push({ type: 'equal', oldNo: oldLine++, oldText: text, newNo: newLine++, newText: text });
+            });
+        } else if (chunk.type === 'delete') {
+            const next = chunks[i + 1];
+            const inserted = next && next.type === 'insert' ? next.items : [];
+            const count = Math.max(chunk.items.length, inserted.length);
+            for (let j = 0; j < count; j++) {
+                const hasOld = j < chunk.items.length;
+                const hasNew = j < inserted.length;
+                rows.push({
+                    type: 'change',
+                    oldNo: hasOld ? oldLine++ : null,
+                    oldText: hasOld ? chunk.items[j] : null,
+                    newNo: hasNew ? newLine++ : null,
+                    newText: hasNew ? inserted[j] : null
+                });
+            }
+            if (inserted.length > 0) i++;
+        } else {
+            chunk.items.forEach(text => {
+                rows.push({ type: 'change', oldNo: null, oldText: null, newNo: newLine++, newText: text });
+            });
+        }
+
+        if (startsHunk && rows[firstRow]) rows[firstRow].hunkIndex = hunkIndex++;
+    }
+
+    const table = document.createElement('table');
+    table.className = 'diff-table';
+
+    // 変更箇所の前後だけを表示し、それ以外は省略行にまとめる
+    const visible = rows.map(() => false);
+    rows.forEach((row, index) => {
+        if (row.type !== 'change') return;
+        for (let k = Math.max(0, index - DIFF_CONTEXT_LINES); k <= Math.min(rows.length - 1, index + DIFF_CONTEXT_LINES); k++) {
+            visible[k] = true;
+        }
+    });
+
+    let skipped = 0;
+    const flushSkipped = () => {
+        if (skipped === 0) return;
+        const tr = document.createElement('tr');
+        tr.className = 'diff-row-skipped';
+        const td = document.createElement('td');
+        td.colSpan = 4;
+        td.textContent = `… ${skipped} 行 変更なし …`;
+        tr.appendChild(td);
+        table.appendChild(tr);
+        skipped = 0;
+    };
+
+    rows.forEach((row, index) => {
+        if (!visible[index]) {
+            skipped++;
+            return;
+        }
+        flushSkipped();
+
+        if (options.hunkActions && row.hunkIndex !== undefined) {
+            const headerRow = document.createElement('tr');
+            headerRow.className = 'diff-hunk-header';
+            const td = document.createElement('td');
+            td.colSpan = 4;
+            td.appendChild(options.hunkActions(row.hunkIndex));
+            headerRow.appendChild(td);
+            table.appendChild(headerRow);
+        }
+
+        const tr = document.createElement('tr');
+        tr.appendChild(createDiffCell('diff-line-no', row.oldNo));
+        tr.appendChild(createDiffCell(row.oldText === null ? 'diff-text diff-empty' : (row.type === 'change' ? 'diff-text diff-removed' : 'diff-text'), row.oldText));
+        tr.appendChild(createDiffCell('diff-line-no', row.newNo));
+        tr.appendChild(createDiffCell(row.newText === null ? 'diff-text diff-empty' : (row.type === 'change' ? 'diff-text diff-added' : 'diff-text'), row.newText));
+        table.appendChild(tr);
+    });
+    flushSkipped();
+
+    if (rows.every(row => row.type === 'equal')) {
+        const tr = document.createElement('tr');
+        tr.className = 'diff-row-skipped';
+        const td = document.createElement('td');
+        td.colSpan = 4;
+        td.textContent = '内容の変更はありません';
+        tr.appendChild(td);
+        table.appendChild(tr);
+    }
+
+    return table;
+}
+
+function createDiffCell(className, text) {
+    const td = document.createElement('td');
+    td.className = className;
+    td.textContent = text === null || text === undefined ? '' : text;
+    return td;
+}
+
+// ========== 変更行マーカー（ガター） ==========
+const changeGutter = document.getElementById('change-gutter');
+
+let lineChangeHunks = [];
+let lineChangeTimer = null;
+
+// 入力が落ち着いてから HEAD との差分を取り直す
+function scheduleLineChangeUpdate(delay = 400) {
+    if (lineChangeTimer) clearTimeout(lineChangeTimer);
+    lineChangeTimer = setTimeout(updateLineChangeMarkers, delay);
+}
+
+async function updateLineChangeMarkers() {
+    lineChangeTimer = null;
+    const filePath = currentFilePath;
+
+    if (!changeGutter || typeof window.electronAPI?.gitLineChanges !== 'function' ||
+        !currentDirectoryPath || !filePath || filePath === 'README.md') {
+        lineChangeHunks = [];
+        renderChangeGutter();
+        return;
+    }
+
+    const content = editor.getValue();
+    const result = await window.electronAPI.gitLineChanges(currentDirectoryPath, filePath, content);
+    // 取得中にファイルや内容が変わった場合は次の更新に任せる
+    if (currentFilePath !== filePath || editor.getValue() !== content) return;
+
+    lineChangeHunks = result.success ? result.hunks : [];
+    renderChangeGutter();
+}
+
+function renderChangeGutter() {
+    if (!changeGutter) return;
+    changeGutter.innerHTML = '';
+    if (lineChangeHunks.length === 0) return;
+
+    const inner = document.createElement('div');
+    inner.className = 'change-gutter-inner';
+    inner.style.transform = `translateY(${-editor.scrollDOM.scrollTop}px)`;
+
+    // 折り返しを含めた各行の表示位置
+    const positions = editor.measureLines();
+    const last = positions[positions.length - 1];
+
+    lineChangeHunks.forEach(hunk => {
+        const marker = document.createElement('div');
+        marker.className = `change-marker change-${hunk.type}`;
+
+        if (hunk.type === 'deleted') {
+            // 削除された行は、その位置の行の上端に印を付ける
+            const top = hunk.newStart < positions.length ? positions[hunk.newStart].top : last.top + last.height;
+            marker.style.top = `${top - 4}px`;
+            marker.title = `${hunk.oldLines.length} 行削除`;
+        } else {
+            const first = positions[hunk.newStart];
+            const end = positions[Math.min(hunk.newStart + hunk.newLines.length, positions.length) - 1];
+            if (!first || !end) return;
+            marker.style.top = `${first.top}px`;
+            marker.style.height = `${end.top + end.height - first.top}px`;
+            marker.title = hunk.type === 'added' ? `${hunk.newLines.length} 行追加` : `${hunk.oldLines.length} 行変更`;
+        }
+
+        marker.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showHunkPopup(hunk, marker);
+        });
+        inner.appendChild(marker);
+    });
+
+    changeGutter.appendChild(inner);
+}
+
+// 変更前の内容を表示し、ハンク単位で元に戻せるようにする
+function showHunkPopup(hunk, anchor) {
+    if (activeContextMenu) activeContextMenu.remove();
+
+    const menu = document.createElement('div');
+    menu.className = 'context-menu hunk-popup';
+    const rect = anchor.getBoundingClientRect();
+    menu.style.left = `${rect.right + 4}px`;
+    menu.style.top = `${Math.min(rect.top, window.innerHeight - 200)}px`;
+    menu.addEventListener('click', (e) => e.stopPropagation());
+
+    const header = document.createElement('div');
+    header.className = 'context-menu-header';
+    header.textContent = hunk.type === 'added'
+        ? `追加された ${hunk.newLines.length} 行（HEAD には存在しません）`
+        : `HEAD の内容（${hunk.oldLines.length} 行）`;
+    menu.appendChild(header);
+
+    if (hunk.oldLines.length > 0) {
+        const original = document.createElement('pre');
+        original.className = 'hunk-original';
+        original.textContent = hunk.oldLines.join('\n');
+        menu.appendChild(original);
+    }
+
+    const close = () => {
+        menu.remove();
+        activeContextMenu = null;
+    };
+
+    const actions = document.createElement('div');
+    actions.className = 'hunk-popup-actions';
+    const revertBtn = document.createElement('button');
+    revertBtn.className = 'modal-btn primary';
+    revertBtn.textContent = 'このハンクを元に戻す';
+    revertBtn.addEventListener('click', () => {
+        close();
+        revertHunk(hunk);
+    });
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'modal-btn';
+    closeBtn.textContent = '閉じる';
+    closeBtn.addEventListener('click', close);
+    actions.appendChild(closeBtn);
+    actions.appendChild(revertBtn);
+    menu.appendChild(actions);
+
+    document.body.appendChild(menu);
+    activeContextMenu = menu;
+}
+
+/**
+ * 行範囲を置き換えるための文字位置と挿入テキストを求める
+ * @param {string[]} lines - 現在の行
+ * @param {number} start - 置き換える先頭行
+ * @param {number} count - 置き換える行数
+ * @param {string[]} replacement - 置き換え後の行
+ */
+function getLineReplacement(lines, start, count, replacement) {
+    const offsetOf = (index) => lines.slice(0, index).reduce((sum, line) => sum + line.length + 1, 0);
+    const totalLength = lines.join('\n').length;
+
+    if (count > 0 && replacement.length > 0) {
+        const from = offsetOf(start);
+        return { from, to: from + lines.slice(start, start + count).join('\n').length, text: replacement.join('\n') };
+    }
+    if (count > 0) {
+        // 行ごと削除する（改行も含めて取り除く）
+        if (start + count < lines.length) {
+            return { from: offsetOf(start), to: offsetOf(start + count), text: '' };
+        }
+        return { from: Math.max(0, offsetOf(start) - 1), to: totalLength, text: '' };
+    }
+    // 行を挿入する
+    if (start < lines.length) {
+        const at = offsetOf(start);
+        return { from: at, to: at, text: replacement.join('\n') + '\n' };
+    }
+    return { from: totalLength, to: totalLength, text: '\n' + replacement.join('\n') };
+}
+
+function revertHunk(hunk) {
+    const lines = editor.getValue().split('\n');
+    const current = lines.slice(hunk.newStart, hunk.newStart + hunk.newLines.length);
+
+    // マーカー表示後に内容が変わっていたら取り直す
+    if (current.length !== hunk.newLines.length || current.some((line, i) => line !== hunk.newLines[i])) {
+        scheduleLineChangeUpdate(0);
+        return;
+    }
+
+    const { from, to, text } = getLineReplacement(lines, hunk.newStart, hunk.newLines.length, hunk.oldLines);
+
+    // エディタの変更として行うので元に戻す（Ctrl+Z）の履歴に残る
+    editor.replaceRange(text, from, to);
+    editor.focus();
+}
+
+// ========== Blame ==========
+const blameGutter = document.getElementById('blame-gutter');
+const btnBlame = document.getElementById('btn-blame');
+
+let isBlameVisible = false;
+let blameData = null;
+let blameTimer = null;
+
+function toggleBlame() {
+    isBlameVisible = !isBlameVisible;
+    if (btnBlame) btnBlame.classList.toggle('active', isBlameVisible);
+    if (blameGutter) blameGutter.classList.toggle('content-hidden', !isBlameVisible);
+
+    if (isBlameVisible) {
+        updateBlame();
+    } else {
+        blameData = null;
+        if (blameGutter) blameGutter.innerHTML = '';
+    }
+}
+
+function scheduleBlameUpdate(delay = 800) {
+    if (!isBlameVisible) return;
+    if (blameTimer) clearTimeout(blameTimer);
+    blameTimer = setTimeout(updateBlame, delay);
+}
+
+async function updateBlame() {
+    blameTimer = null;
+    if (!isBlameVisible || !blameGutter) return;
+
+    const filePath = currentFilePath;
+    if (!currentDirectoryPath || !filePath || filePath === 'README.md') {
+        blameData = null;
+        renderBlameGutter();
+        return;
+    }
+
+    const content = editor.getValue();
+    const result = await window.electronAPI.gitBlame(currentDirectoryPath, filePath, content);
+    if (currentFilePath !== filePath || editor.getValue() !== content || !isBlameVisible) return;
+
+    blameData = result.success ? result : null;
+    renderBlameGutter();
+}
+
+function renderBlameGutter() {
+    if (!blameGutter) return;
+    blameGutter.innerHTML = '';
+    if (!blameData) return;
+
+    const inner = document.createElement('div');
+    inner.className = 'blame-gutter-inner';
+    inner.style.transform = `translateY(${-editor.scrollDOM.scrollTop}px)`;
+
+    const positions = editor.measureLines();
+    const { lines, commits } = blameData;
+
+    // 同じコミットが続く行はまとめて1つの表示にする
+    let start = 0;
+    while (start < lines.length && start < positions.length) {
+        let end = start;
+        while (end + 1 < lines.length && end + 1 < positions.length && lines[end + 1] === lines[start]) end++;
+
+        const oid = lines[start];
+        const commit = oid ? commits[oid] : null;
+        const entry = document.createElement('div');
+        entry.className = `blame-entry${commit ? '' : ' blame-uncommitted'}`;
+        entry.style.top = `${positions[start].top}px`;
+        entry.style.height = `${positions[end].top + positions[end].height - positions[start].top}px`;
+
+        if (commit) {
+            const summary = commit.message.split('\n')[0];
+            entry.textContent = `${commit.author.name} ${formatCommitDate(commit.author.timestamp).split(' ')[0]} ${summary}`;
+            entry.title = `${commit.oid.substring(0, 7)} ${commit.author.name} <${commit.author.email}>\n${formatCommitDate(commit.author.timestamp)}\n\n${commit.message}`;
+            entry.addEventListener('click', () => openBlameCommit(commit));
+        } else {
+            entry.textContent = '未コミット';
+            entry.title = 'まだコミットされていない変更';
+        }
+
+        inner.appendChild(entry);
+        start = end + 1;
+    }
+
+    blameGutter.appendChild(inner);
+}
+
+// コミットを履歴ビューで表示し、このファイルの差分を開く
+async function openBlameCommit(commit) {
+    const filepath = blameData ? blameData.filepath : null;
+
+    const gitSwitch = document.querySelector('.side-switch[data-target="git"]');
+    if (!isGitPanelVisible() && gitSwitch) gitSwitch.click();
+    await switchGitView('history');
+
+    let item = gitHistoryList.querySelector(`[data-oid="${commit.oid}"]`);
+    while (!item && gitHistoryMoreBtn && !gitHistoryMoreBtn.classList.contains('content-hidden')) {
+        await loadGitHistory(false);
+        item = gitHistoryList.querySelector(`[data-oid="${commit.oid}"]`);
+    }
+    if (item) {
+        gitHistoryList.querySelectorAll('.git-commit-item.highlighted').forEach(el => el.classList.remove('highlighted'));
+        item.classList.add('highlighted');
+        item.scrollIntoView({ block: 'center' });
+        const files = item.querySelector('.git-commit-files');
+        if (files && files.classList.contains('content-hidden')) toggleCommitFiles(commit, files);
+    }
+
+    if (filepath) openCommitDiff(commit, filepath);
+}
+
+if (btnBlame) {
+    btnBlame.addEventListener('click', toggleBlame);
+}
+
+if (editor) {
+    editor.scrollDOM.addEventListener('scroll', () => {
+        [changeGutter, blameGutter].forEach(gutter => {
+            const inner = gutter && gutter.firstElementChild;
+            if (inner) inner.style.transform = `translateY(${-editor.scrollDOM.scrollTop}px)`;
+        });
+    });
+}
+
+gitViewButtons.forEach(btn => {
+    btn.addEventListener('click', () => switchGitView(btn.dataset.view));
+});
+
+if (gitHistoryMoreBtn) {
+    gitHistoryMoreBtn.addEventListener('click', () => loadGitHistory(false));
+}
+
+// ========== アウトライン機能の実装 ==========
+const outlineTree = document.getElementById('outline-tree');
+const btnOutlineCollapse = document.getElementById('btn-outline-collapse');
+const btnOutlineExpand = document.getElementById('btn-outline-expand');
+
+// アウトライン更新関数
+function updateOutline() {
+    if (!outlineTree || !editor) return;
+
+    const content = editor.getValue();
+    const headers = [];
+    const lines = content.split('\n');
+
+    lines.forEach((line, index) => {
+        const match = line.match(/^(#{1,6})\s+(.*)/);
+        if (match) {
+            headers.push({
+                level: match[1].length,
+                text: match[2],
+                lineNumber: index
+            });
+        }
+    });
+
+    if (headers.length === 0) {
+        outlineTree.innerHTML = '<li style="color: #999; padding: 5px;">見出しがありません</li>';
+        return;
+    }
+
+    let html = '';
+    headers.forEach((header, i) => {
+        const paddingLeft = (header.level - 1) * 15 + 5;
+        const fontSize = Math.max(14 - (header.level - 1), 11);
+
+        // data-level属性を追加して、折りたたみ制御に使用
+        html += `<li class="outline-item" data-line="${header.lineNumber}" data-level="${header.level}" style="padding-left: ${paddingLeft}px; font-size: ${fontSize}px;">
+            <span class="outline-text">${header.text}</span>
+        </li>`;
+    });
+
+    outlineTree.innerHTML = html;
+
+    const items = outlineTree.querySelectorAll('.outline-item');
+    items.forEach(item => {
+        item.addEventListener('click', () => {
+            const lineNum = parseInt(item.dataset.line);
+            scrollToLine(lineNum);
+
+            // アクティブ状態の更新（手動クリック時）
+            items.forEach(i => i.classList.remove('active'));
+            item.classList.add('active');
+        });
+    });
+}
+
+// カーソル位置に連動してアウトラインをハイライトする関数
+function syncOutlineWithCursor() {
+    if (!editor || !outlineTree) return;
+
+    // アウトラインが表示されていない場合は処理しない
+    const outlineContent = document.getElementById('content-outline');
+    if (!outlineContent || outlineContent.classList.contains('content-hidden')) return;
+
+    // カーソルのある行
+    const currentLine = editor.lineAt(editor.getSelection().from);
+
+    // 現在行またはそれより前にある最後の見出しを探す
+    const items = Array.from(outlineTree.querySelectorAll('.outline-item'));
+    let activeItem = null;
+
+    for (let i = 0; i < items.length; i++) {
+        const itemLine = parseInt(items[i].dataset.line);
+        // 現在行より後ろの見出しが出てきたら、その一つ前が対象
+        if (itemLine > currentLine) {
+            break;
+        }
+        activeItem = items[i];
+    }
+
+    // ハイライト更新
+    items.forEach(i => i.classList.remove('active'));
+    if (activeItem) {
+        activeItem.classList.add('active');
+    }
+}
+
+// 指定行へスクロールし、カーソルを移動する関数
+function scrollToLine(lineNumber) {
+    if (!editor) return;
+    // 見出しが中央より少し上に来るようにスクロールする
+    editor.scrollToLine(lineNumber);
+}
+
+// 折りたたみボタン（マイナス）：H1以外を隠す
+if (btnOutlineCollapse) {
+    btnOutlineCollapse.addEventListener('click', () => {
+        const items = outlineTree.querySelectorAll('.outline-item');
+        items.forEach(item => {
+            const level = parseInt(item.dataset.level);
+            if (level > 1) {
+                item.classList.add('hidden-outline-item');
+            } else {
+                item.classList.remove('hidden-outline-item');
+            }
+        });
+    });
+}
+
+// 展開ボタン（プラス）：すべて表示
+if (btnOutlineExpand) {
+    btnOutlineExpand.addEventListener('click', () => {
+        const items = outlineTree.querySelectorAll('.outline-item');
+        items.forEach(item => {
+            item.classList.remove('hidden-outline-item');
+        });
+    });
+}
+
+// ========== ツールバーボタン処理 ==========
+// 書式はすべて Markdown のソースを書き換える（markdownCommands.mjs。ショートカットも同じコマンド）
+const headingSelector = document.getElementById('heading-selector');
+const colorPicker = document.getElementById('color-picker');
+
+const FORMAT_BUTTONS = {
+    'bold-btn': 'bold',
+    'italic-btn': 'italic',
+    'btn-strike': 'strike',
+    'btn-inline-code': 'code',
+    'btn-link': 'link',
+    'btn-bullet-list': 'bulletList',
+    'btn-number-list': 'orderedList',
+    'btn-task-list': 'taskList',
+    'btn-align-center': 'center'
+};
+
+Object.entries(FORMAT_BUTTONS).forEach(([id, command]) => {
+    const button = document.getElementById(id);
+    if (!button) return;
+    // ボタンにフォーカスが移ってエディタの選択が外れないようにする
+    button.addEventListener('mousedown', (e) => e.preventDefault());
+    button.addEventListener('click', () => {
+        if (editor) editor.format(command);
+    });
+});
+
+if (headingSelector) {
+    headingSelector.addEventListener('change', (e) => {
+        if (!editor) return;
+        const level = e.target.value ? Number(e.target.value.substring(1)) : 0;
+        editor.format('heading', level);
+    });
+}
+
+// カーソル行の見出しレベルをセレクタに表示する
+function updateHeadingSelector() {
+    if (!headingSelector || !editor) return;
+    const level = editor.currentHeadingLevel();
+    headingSelector.value = level > 0 ? `h${level}` : '';
+}
+
+if (colorPicker) {
+    colorPicker.addEventListener('change', (e) => {
+        if (editor) editor.format('color', e.target.value);
+    });
+}
+
+// ========== 表の編集 ==========
+const btnTable = document.getElementById('btn-table');
+
+const TABLE_MENU_ITEMS = [
+    { command: 'addRowBelow', label: '下に行を追加' },
+    { command: 'deleteRow', label: '行を削除' },
+    { command: 'addColumnRight', label: '右に列を追加' },
+    { command: 'deleteColumn', label: '列を削除' },
+    { command: 'alignLeft', label: '列を左揃え' },
+    { command: 'alignCenter', label: '列を中央揃え' },
+    { command: 'alignRight', label: '列を右揃え' },
+    { command: 'sortAscending', label: 'この列で並べ替え（昇順）' },
+    { command: 'sortDescending', label: 'この列で並べ替え（降順）' },
+    { command: 'format', label: '表を整形' }
+];
+
+async function insertTableFromDialog() {
+    const values = await showModalForm('表を挿入', [
+        { name: 'rows', label: '行数（見出しを除く）', type: 'number', value: '3' },
+        { name: 'columns', label: '列数', type: 'number', value: '3' },
+        {
+            name: 'align',
+            label: '揃え方',
+            type: 'select',
+            value: '',
+            options: [
+                { value: '', label: '指定なし' },
+                { value: 'left', label: '左揃え' },
+                { value: 'center', label: '中央揃え' },
+                { value: 'right', label: '右揃え' }
+            ]
+        }
+    ]);
+    if (!values) return;
+
+    // 行数は1〜100、列数は1〜30に収める
+    const clamp = (value, max) => Math.min(Math.max(parseInt(value, 10) || 1, 1), max);
+    const rows = clamp(values.rows, 100);
+    const columns = clamp(values.columns, 30);
+    editor.insertTable({ rows, columns, align: values.align || null });
+}
+
+// カーソルが表の中にあるときの編集メニュー
+function showTableMenu(anchor) {
+    if (activeContextMenu) activeContextMenu.remove();
+
+    const menu = document.createElement('div');
+    menu.className = 'context-menu';
+
+    TABLE_MENU_ITEMS.forEach(({ command, label }) => {
+        const item = document.createElement('div');
+        item.className = 'context-menu-item';
+        item.textContent = label;
+        item.addEventListener('click', () => {
+            menu.remove();
+            activeContextMenu = null;
+            editor.tableCommand(command);
+        });
+        menu.appendChild(item);
+    });
+
+    const rect = anchor.getBoundingClientRect();
+    menu.style.left = `${rect.left}px`;
+    menu.style.top = `${rect.bottom + 2}px`;
+    document.body.appendChild(menu);
+    activeContextMenu = menu;
+}
+
+if (btnTable) {
+    btnTable.addEventListener('mousedown', (e) => e.preventDefault());
+    btnTable.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (!editor) return;
+        if (editor.isInTable()) {
+            showTableMenu(btnTable);
+        } else {
+            insertTableFromDialog();
+        }
+    });
+}
+
+// ========== リサイザー機能 ==========
+const resizerRight = document.getElementById('resizer-right');
+const resizerBottom = document.getElementById('resizer-bottom');
+let isResizingRight = false;
+let isResizingBottom = false;
+
+if (resizerRight) {
+    resizerRight.addEventListener('mousedown', () => {
+        isResizingRight = true;
+        resizerRight.classList.add('resizing');
+        document.body.classList.add('is-resizing-col');
+    });
+}
+
+if (resizerBottom) {
+    resizerBottom.addEventListener('mousedown', () => {
+        isResizingBottom = true;
+        resizerBottom.classList.add('resizing');
+        document.body.classList.add('is-resizing-row');
+    });
+}
+
+document.addEventListener('mousemove', (e) => {
+    if (isResizingRight && resizerRight) {
+        const rightActivityBarWidth = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--activitybar-width')) || 50;
+        const newWidth = window.innerWidth - e.clientX - rightActivityBarWidth;
+
+        if (newWidth > 100 && newWidth < 800) {
+            rightPane.style.width = newWidth + 'px';
+            resizerRight.style.right = (newWidth + rightActivityBarWidth) + 'px';
+            document.documentElement.style.setProperty('--right-pane-width', newWidth + 'px');
+            const mainContent = centerPane.parentElement;
+            mainContent.style.marginRight = (newWidth + rightActivityBarWidth) + 'px';
+
+            // リサイズ中にターミナルもリフィット
+            // requestAnimationFrameで頻度を制御しつつ、デバウンス付きfitTerminalを呼ぶ
+            if (activeTerminalId) {
+                requestAnimationFrame(() => fitTerminal(activeTerminalId));
+            }
+        }
+    }
+
+    if (isResizingBottom && resizerBottom) {
+        const newHeight = window.innerHeight - e.clientY - 24;
+
+        if (newHeight > 50 && newHeight < window.innerHeight - 200) {
+            bottomPane.style.height = newHeight + 'px';
+            resizerBottom.style.top = (window.innerHeight - newHeight - 24) + 'px';
+
+            if (activeTerminalId) {
+                requestAnimationFrame(() => fitTerminal(activeTerminalId));
+            }
+        }
+    }
+});
+
+document.addEventListener('mouseup', () => {
+    if (isResizingRight) {
+        isResizingRight = false;
+        if (resizerRight) resizerRight.classList.remove('resizing');
+        document.body.classList.remove('is-resizing-col');
+        // リサイズ終了時に確実にフィットさせる
+        if (activeTerminalId) setTimeout(() => fitTerminal(activeTerminalId), 50);
+    }
+    if (isResizingBottom) {
+        isResizingBottom = false;
+        if (resizerBottom) resizerBottom.classList.remove('resizing');
+        document.body.classList.remove('is-resizing-row');
+        // リサイズ終了時に確実にフィットさせる
         if (activeTerminalId) setTimeout(() => fitTerminal(activeTerminalId), 50);
     }
 });
@@ -1282,7 +4193,7 @@ document.addEventListener('mouseup', () => {
 function updateFileStats(content) {
     if (!fileStatsElement) return;
 
-    const text = content || editor.value || '';
+    const text = content || (editor ? editor.getValue() : '');
     const charCount = text.length;
     const lineCount = text.split('\n').length;
 
@@ -1306,10 +4217,11 @@ if (editorTabsContainer) {
             const filePath = closeBtn.dataset.filepath;
             if (filePath) {
                 closeFile(filePath, tabElement);
-            } else if (tabElement.id === 'tab-settings') {
+            } else if (tabElement.dataset.target) {
+                // 設定・差分などのビュータブ
                 tabElement.remove();
-                const contentSettings = document.getElementById('content-settings');
-                if (contentSettings) contentSettings.classList.add('content-hidden');
+                const targetContent = document.getElementById(tabElement.dataset.target);
+                if (targetContent) targetContent.classList.add('content-hidden');
                 const firstTab = document.querySelector('.editor-tabs .tab');
                 if (firstTab) firstTab.click();
             }
@@ -1332,7 +4244,9 @@ window.addEventListener('load', () => {
         editor.focus();
     }
     showWelcomeReadme();
-    initializeFileTree();
+    initializeFileTree()
+        .then(() => restoreEditorSession())
+        .then(() => refreshGitStatus());
     updateOutline(); // 初期ロード時にもアウトライン更新
 
     // ターミナルの初期化
@@ -1355,6 +4269,9 @@ async function initializeFileTree() {
         } else {
             currentDirectoryPath = '.';
         }
+        if (currentDirectoryPath !== workspaceSettingsPath) {
+            await loadWorkspaceSettings();
+        }
 
         // ★変更: file-tree-container IDを使用
         const fileTreeContainer = document.getElementById('file-tree-container');
@@ -1436,6 +4353,7 @@ async function loadDirectoryTreeContents(folderElement, dirPath) {
             const element = createTreeElement(item, dirPath);
             childrenContainer.appendChild(element);
         });
+        await markIgnoredTreeItems(childrenContainer, dirPath, items);
     }
 }
 
@@ -1488,12 +4406,14 @@ async function reloadContainer(container, path) {
         const element = createTreeElement(item, path);
         container.appendChild(element);
     });
+    await markIgnoredTreeItems(container, path, items);
 }
 
 // ========== ソート設定とヘルパー ==========
 
 async function getSortedDirectoryContents(dirPath) {
-    let items = await readDirectory(dirPath);
+    // .git フォルダはツリーに表示しない
+    let items = (await readDirectory(dirPath)).filter(item => item.name !== '.git');
     return items.sort((a, b) => {
         if (a.isDirectory !== b.isDirectory) {
             return b.isDirectory ? 1 : -1;
@@ -1575,9 +4495,117 @@ function createTreeElement(item, parentPath) {
     container.appendChild(icon);
     container.appendChild(label);
 
+    const badge = document.createElement('span');
+    badge.className = 'tree-git-badge';
+    container.appendChild(badge);
+    decorateTreeItem(container);
+
     return container;
 }
 
+// ========== ファイルツリーのGit状態 ==========
+// フォルダの集約表示で優先する状態（大きいほど優先）
+const TREE_STATUS_PRIORITY = { 'new': 1, 'added': 2, 'deleted': 3, 'modified': 4, 'conflict': 5 };
+const TREE_STATUS_BADGES = { ...GIT_STATUS_BADGES, 'conflict': { letter: '!', title: '競合' } };
+
+// 絶対パス → 状態（フォルダには子孫の状態を集約したものが入る）
+let treeFileStatus = new Map();
+let treeFolderStatus = new Map();
+let isIgnoredHidden = false;
+
+// 区切り文字の違いを吸収して比較できるようにする
+function normalizeTreePath(filePath) {
+    return filePath.replace(/\\/g, '/').replace(/\/+$/, '');
+}
+
+// ファイルごとの状態を決める（ステージ済みの追加は作業ツリーで変更されていても A とする）
+function getTreeFileStatus(stagedStatus, unstagedStatus) {
+    if (stagedStatus === 'added') return 'added';
+    return unstagedStatus || stagedStatus;
+}
+
+// Gitパネルの状態からファイルツリーの装飾を作り直す
+function updateFileTreeDecorations() {
+    treeFileStatus = new Map();
+    treeFolderStatus = new Map();
+
+    if (gitState.dir) {
+        const root = normalizeTreePath(gitState.dir);
+        const staged = new Map(gitState.staged.map(file => [file.filepath, file.status]));
+        const unstaged = new Map(gitState.unstaged.map(file => [file.filepath, file.status]));
+        const statuses = new Map();
+        new Set([...staged.keys(), ...unstaged.keys()]).forEach(filepath => {
+            statuses.set(filepath, getTreeFileStatus(staged.get(filepath), unstaged.get(filepath)));
+        });
+        gitMergeState.conflicts.forEach(conflict => statuses.set(conflict.filepath, 'conflict'));
+
+        statuses.forEach((status, filepath) => {
+            treeFileStatus.set(`${root}/${filepath}`, status);
+
+            // 親フォルダへ集約する
+            const parts = filepath.split('/');
+            for (let i = parts.length - 1; i > 0; i--) {
+                const folderPath = `${root}/${parts.slice(0, i).join('/')}`;
+                const current = treeFolderStatus.get(folderPath);
+                if (current && TREE_STATUS_PRIORITY[current] >= TREE_STATUS_PRIORITY[status]) break;
+                treeFolderStatus.set(folderPath, status);
+            }
+        });
+    }
+
+    document.querySelectorAll('#file-tree-container .tree-item').forEach(decorateTreeItem);
+}
+
+function decorateTreeItem(item) {
+    const itemPath = normalizeTreePath(item.dataset.path || '');
+    const isFolder = !item.classList.contains('file');
+    const status = isFolder ? treeFolderStatus.get(itemPath) : treeFileStatus.get(itemPath);
+
+    Object.keys(TREE_STATUS_PRIORITY).forEach(key => item.classList.remove(`git-tree-${key}`));
+    const badge = item.querySelector('.tree-git-badge');
+
+    if (status) {
+        item.classList.add(`git-tree-${status}`);
+    }
+    if (badge) {
+        const badgeData = status ? TREE_STATUS_BADGES[status] : null;
+        // フォルダは子孫に変更があることだけを示す
+        badge.textContent = badgeData ? (isFolder ? '•' : badgeData.letter) : '';
+        badge.title = badgeData ? badgeData.title : '';
+    }
+}
+
+// .gitignore で無視される項目に印を付ける
+async function markIgnoredTreeItems(container, dirPath, items) {
+    if (typeof window.electronAPI?.gitIgnoredPaths !== 'function' || items.length === 0) return;
+
+    const entries = items.map(item => ({ path: `${dirPath}/${item.name}`, isDirectory: item.isDirectory }));
+    const result = await window.electronAPI.gitIgnoredPaths(currentDirectoryPath, entries);
+    if (!result.success) return;
+
+    const ignored = new Set(result.ignored);
+    Array.from(container.children).forEach(child => {
+        if (child.classList.contains('tree-item')) {
+            child.classList.toggle('git-ignored', ignored.has(child.dataset.path));
+        }
+    });
+}
+
+function setIgnoredHidden(hidden) {
+    isIgnoredHidden = hidden;
+    const filesContent = document.getElementById('content-files');
+    if (filesContent) filesContent.classList.toggle('hide-ignored', hidden);
+    if (btnToggleIgnored) {
+        btnToggleIgnored.classList.toggle('active', hidden);
+        btnToggleIgnored.title = hidden ? '無視されたファイルを表示' : '無視されたファイルを隠す';
+    }
+}
+
+const btnToggleIgnored = document.getElementById('btn-toggle-ignored');
+if (btnToggleIgnored) {
+    btnToggleIgnored.addEventListener('click', () => setIgnoredHidden(!isIgnoredHidden));
+}
+
 // ファイルを開く
 async function openFile(filePath, fileName) {
     try {
@@ -1585,15 +4613,18 @@ async function openFile(filePath, fileName) {
             closeWelcomeReadme();
         }
 
-        currentFilePath = filePath;
-
         let fileContent = '';
-        if (typeof window.electronAPI?.loadFile === 'function') {
-            try {
-                fileContent = await window.electronAPI.loadFile(filePath);
-            } catch (error) {
-                console.error('Failed to load file content:', error);
-                fileContent = `ファイルを読み込めません: ${error.message}`;
+        // 保存時に他のプログラムによる変更を検出するため、読み込んだ版を覚えておく
+        let version = null;
+        if (typeof window.electronAPI?.loadFileWithVersion === 'function') {
+            const result = await window.electronAPI.loadFileWithVersion(filePath);
+            if (result.success) {
+                fileContent = result.content;
+                version = result.version;
+                watchOpenFile(filePath, version);
+            } else {
+                console.error('Failed to load file content:', result.error);
+                fileContent = `ファイルを読み込めません: ${result.error}`;
             }
         } else {
             fileContent = `ファイル: ${fileName}\n(内容は読み込めません)`;
@@ -1607,7 +4638,7 @@ async function openFile(filePath, fileName) {
             tab.innerHTML = `${fileName} <span class="close-tab" data-filepath="${filePath}">×</span>`;
 
             editorTabsContainer.appendChild(tab);
-            openedFiles.set(filePath, { content: fileContent, fileName: fileName });
+            openedFiles.set(filePath, { content: fileContent, fileName: fileName, version });
         } else {
             document.querySelectorAll('.editor-tabs .tab').forEach(t => t.classList.remove('active'));
             tab.classList.add('active');
@@ -1619,6 +4650,32 @@ async function openFile(filePath, fileName) {
     }
 }
 
+// 未保存の新しいタブとして開く（保存すると作業フォルダにファイルが作成される）
+async function openDraftFile(fileName, content) {
+    const existing = new Set((await readDirectory(currentDirectoryPath)).map(item => item.name));
+    const dot = fileName.lastIndexOf('.');
+    let name = fileName;
+    for (let i = 2; existing.has(name) || openedFiles.has(`${currentDirectoryPath}/${name}`); i++) {
+        name = `${fileName.substring(0, dot)}-${i}${fileName.substring(dot)}`;
+    }
+
+    if (openedFiles.has('README.md')) {
+        closeWelcomeReadme();
+    }
+
+    const filePath = `${currentDirectoryPath}/${name}`;
+    const tab = document.createElement('div');
+    tab.className = 'tab';
+    tab.dataset.filepath = filePath;
+    tab.innerHTML = `${name} <span class="close-tab" data-filepath="${filePath}">×</span>`;
+    editorTabsContainer.appendChild(tab);
+    // 下書きは保存するまでディスクにないので自動保存しない
+    openedFiles.set(filePath, { content, fileName: name, draft: true });
+
+    switchToFile(filePath);
+    markFileAsModified(filePath);
+}
+
 function showWelcomeReadme() {
     const readmePath = 'README.md';
     if (openedFiles.has(readmePath)) return;
@@ -1701,16 +4758,37 @@ function closeWelcomeReadme() {
 function switchToFile(filePath) {
     const editorArea = document.getElementById('content-readme');
     const settingsArea = document.getElementById('content-settings');
+    const diffArea = document.getElementById('content-diff');
 
     if (editorArea) editorArea.classList.remove('content-hidden');
     if (settingsArea) settingsArea.classList.add('content-hidden');
+    if (diffArea) diffArea.classList.add('content-hidden');
 
-    currentFilePath = filePath;
-
+    // 切り替え前のタブの編集状態（内容・元に戻す履歴・カーソル）を保存する
+    const previousPath = currentFilePath;
+    const previousData = previousPath ? openedFiles.get(previousPath) : null;
     const fileData = openedFiles.get(filePath);
-    const fileContent = fileData ? fileData.content : '';
+    if (previousData && previousData !== fileData) {
+        previousData.editorState = editor.getState();
+        previousData.scrollTop = editor.scrollDOM.scrollTop;
+    }
+    currentFilePath = filePath;
+    if (previousData && previousData !== fileData && canAutoSave(previousPath)) {
+        saveOpenedFile(previousPath, { auto: true });
+    }
 
-    editor.value = fileContent;
+    // editorState がない場合（初めて開いた・ディスクから読み直した）は content から作る
+    if (!fileData) {
+        editor.setState(editor.createState(''));
+    } else if (previousData !== fileData || !fileData.editorState) {
+        editor.setState(fileData.editorState || editor.createState(fileData.content));
+        fileData.editorState = editor.getState();
+        // 行の高さが測られてからスクロール位置を戻す
+        const scrollTop = fileData.scrollTop || 0;
+        requestAnimationFrame(() => {
+            if (currentFilePath === filePath) editor.scrollDOM.scrollTop = scrollTop;
+        });
+    }
 
     document.querySelectorAll('.editor-tabs .tab').forEach(t => {
         if (t.dataset.filepath === filePath) {
@@ -1720,6 +4798,7 @@ function switchToFile(filePath) {
         }
     });
 
+    updateExternalChangeBanner();
     renderMarkdownLive();
     // アウトラインも更新
     updateOutline();
@@ -1733,11 +4812,34 @@ function switchToFile(filePath) {
     }
 
     updateFileStats();
+
+    lineChangeHunks = [];
+    renderChangeGutter();
+    scheduleLineChangeUpdate(0);
+    if (isBlameVisible) {
+        blameData = null;
+        renderBlameGutter();
+        scheduleBlameUpdate(0);
+    }
+
+    if (isGitViewVisible('file') && gitFileHistoryPath !== filePath) {
+        loadFileHistory(true);
+    }
+    scheduleSessionSave();
 }
 
-function closeFile(filePath, tabElement) {
+// 開いているファイルの編集中の内容（未保存の変更を含む）
+function getOpenedFileText(filePath) {
+    if (filePath === currentFilePath) return editor.getValue();
+    const fileData = openedFiles.get(filePath);
+    if (!fileData) return '';
+    return fileData.editorState ? fileData.editorState.doc.toString() : fileData.content;
+}
+
+async function closeFile(filePath, tabElement) {
     try {
         if (filePath === 'README.md') return;
+        if (!(await confirmUnsavedChanges([filePath]))) return;
 
         if (tabElement && tabElement.parentNode) {
             tabElement.remove();
@@ -1745,10 +4847,19 @@ function closeFile(filePath, tabElement) {
 
         openedFiles.delete(filePath);
         fileModificationState.delete(filePath);
+        if (typeof window.electronAPI?.unwatchOpenFile === 'function') {
+            window.electronAPI.unwatchOpenFile(filePath);
+        }
+        scheduleSessionSave();
 
         if (currentFilePath === filePath) {
             currentFilePath = null;
-            editor.value = '';
+            updateExternalChangeBanner();
+            editor.setState(editor.createState(''));
+            lineChangeHunks = [];
+            renderChangeGutter();
+            blameData = null;
+            renderBlameGutter();
 
             const previewPane = document.getElementById('preview');
             if (previewPane) {
@@ -1775,35 +4886,469 @@ async function saveCurrentFile() {
         console.warn('ファイルが選択されていません');
         return;
     }
+    await saveOpenedFile(currentFilePath);
+}
+
+// 保存中のファイル（同じファイルの保存は順番に行う）
+const pendingSaves = new Map();
+
+/**
+ * 開いているファイルを保存する
+ * 読み込んだ後に他のプログラムがファイルを変更していた場合は上書きせず、比較・マージなどを選ぶダイアログを表示する
+ * @param {{auto?: boolean, overwrite?: boolean}} options - auto: 自動保存 / overwrite: 衝突を確認せずに上書きする
+ * @returns {Promise<boolean>} 保存できたか
+ */
+async function saveOpenedFile(filePath, options = {}) {
+    const previous = pendingSaves.get(filePath) || Promise.resolve();
+    const saving = previous.then(() => writeOpenedFile(filePath, options));
+    pendingSaves.set(filePath, saving);
+    const result = await saving;
+    if (pendingSaves.get(filePath) === saving) pendingSaves.delete(filePath);
+
+    // ダイアログは保存の順番待ちの外で表示する
+    if (result && result.conflict) await resolveSaveConflict(filePath, result);
+    if (result && result.unreadable) {
+        await showModalDialog(`「${openedFiles.get(filePath)?.fileName}」を保存できません。\n${result.error}`, [{ label: 'OK', value: null, primary: true }]);
+    }
+    return !!(result && result.success);
+}
 
-    if (currentFilePath === 'README.md') return;
+async function writeOpenedFile(filePath, { auto = false, overwrite = false } = {}) {
+    const fileData = openedFiles.get(filePath);
+    if (!fileData || filePath === 'README.md' || typeof window.electronAPI?.saveFile !== 'function') return null;
+    // 順番待ちの間に保存済み・衝突になっていれば何もしない
+    if (auto && !canAutoSave(filePath)) return null;
+    // 読み込めなかったファイルは、タブの内容（エラーの表示）でディスクの内容を上書きしないよう保存しない
+    if (!fileData.draft && !fileData.version) {
+        return { success: false, unreadable: true, error: 'ファイルを読み込めなかったため保存できません。開き直してから編集してください' };
+    }
 
     try {
-        const content = editor.value || '';
+        const content = getOpenedFileText(filePath);
+        // 下書きは同じ名前のファイルが作られていたら上書きしない
+        const expectedVersion = overwrite ? null : (fileData.version || { mtimeMs: null, hash: null });
+        const result = await window.electronAPI.saveFile(filePath, content, expectedVersion);
+        if (result.conflict) {
+            fileData.saveConflict = true;
+            return result;
+        }
+        if (!result.success) throw new Error(result.error);
+
+        // 下書きは保存して初めて監視の対象になる
+        if (fileData.draft) watchOpenFile(filePath, result.version);
+        fileData.content = content;
+        fileData.version = result.version;
+        fileData.draft = false;
+        fileData.saveConflict = false;
+        fileData.externalChange = null;
+        setFileOrphaned(filePath, false);
+        updateExternalChangeBanner();
+        // 保存中に入力された内容は未保存のまま残す
+        if (getOpenedFileText(filePath) === content) markFileAsSaved(filePath);
+
+        console.log(`✅ ファイルを保存しました: ${filePath}`);
+
+        // ファイルツリーの状態表示も更新する
+        refreshGitStatus();
+        scheduleAutoSnapshot();
+        return result;
+    } catch (error) {
+        console.error('Failed to save file:', error);
+        return null;
+    }
+}
 
-        if (typeof window.electronAPI?.saveFile === 'function') {
-            await window.electronAPI.saveFile(currentFilePath, content);
+/**
+ * 他のプログラムによる変更と衝突したときの対応を選ぶ
+ * @param {{diskContent: string, version: object}} conflict - save-file の結果
+ */
+async function resolveSaveConflict(filePath, conflict) {
+    const fileData = openedFiles.get(filePath);
+    if (!fileData) return;
+
+    const choice = await showModalDialog(
+        `「${fileData.fileName}」は開いた後に他のプログラムによって変更されています。\n上書きすると、その変更は失われます。`,
+        [
+            { label: 'キャンセル', value: null },
+            { label: '比較', value: 'compare' },
+            { label: 'ディスクの内容を読み込む', value: 'reload' },
+            { label: '上書き保存', value: 'overwrite' },
+            { label: 'マージ', value: 'merge', primary: true }
+        ]
+    );
+
+    if (choice === 'compare') {
+        await openSaveConflictDiff(filePath, conflict.diskContent);
+    } else if (choice === 'reload') {
+        applyDiskContent(filePath, conflict.diskContent, conflict.version);
+    } else if (choice === 'overwrite') {
+        await saveOpenedFile(filePath, { overwrite: true });
+    } else if (choice === 'merge') {
+        await mergeWithDiskContent(filePath, conflict);
+    }
+    // キャンセルした場合は、手動で保存するまで自動保存しない
+}
 
-            const fileData = openedFiles.get(currentFilePath);
-            if (fileData) {
-                fileData.content = content;
-            }
+// ディスク上の内容とエディタの内容を、開いた時点の内容を基準にマージする
+async function mergeWithDiskContent(filePath, conflict) {
+    const fileData = openedFiles.get(filePath);
+    const result = await window.electronAPI.mergeText(fileData.content, getOpenedFileText(filePath), conflict.diskContent, {
+        ours: 'エディタの内容',
+        theirs: 'ディスク上の内容'
+    });
+    if (!result.success) {
+        await showModalDialog(`マージできませんでした: ${result.error}`, [{ label: 'OK', value: null, primary: true }]);
+        return;
+    }
+
+    if (currentFilePath !== filePath) switchToFile(filePath);
+    // 以降はディスク上の版を基準にする（マージは元に戻す履歴に残る）
+    fileData.content = conflict.diskContent;
+    fileData.version = conflict.version;
+    fileData.saveConflict = result.conflicts > 0;
+    fileData.externalChange = null;
+    updateExternalChangeBanner();
+    editor.setValue(result.text);
+
+    if (result.conflicts > 0) {
+        await showModalDialog(
+            `${result.conflicts} 箇所が競合しました。<<<<<<< と >>>>>>> の間を編集してから保存してください。`,
+            [{ label: 'OK', value: null, primary: true }]
+        );
+        return;
+    }
+    await saveOpenedFile(filePath);
+}
+
+async function openSaveConflictDiff(filePath, diskContent) {
+    const result = await window.electronAPI.diffText(diskContent, getOpenedFileText(filePath));
+    if (!result.success) return;
+
+    openDiffTab(`${getBaseName(filePath)} (ディスク ↔ エディタ)`, (header, body) => {
+        header.textContent = `${filePath} ・ ディスク上の内容 → エディタの内容（保存すると再度確認します）`;
+        body.appendChild(buildSideBySideDiff(result.chunks));
+    });
+}
+
+// ========== 他のプログラムによる変更 ==========
+// 開いているファイルを main プロセスで監視し、未編集のタブは黙って読み直す。
+// 編集中のタブにはバナーを出し、削除されたファイルのタブには印を付ける
+const externalChangeBanner = document.getElementById('external-change-banner');
+const externalChangeMessage = document.getElementById('external-change-message');
+const externalChangeReloadBtn = document.getElementById('external-change-reload');
+const externalChangeKeepBtn = document.getElementById('external-change-keep');
+const externalChangeCompareBtn = document.getElementById('external-change-compare');
+
+// version は読み込んだ版（自分の保存は main プロセス側で除外される）
+function watchOpenFile(filePath, version) {
+    if (typeof window.electronAPI?.watchOpenFile !== 'function' || !version) return;
+    window.electronAPI.watchOpenFile(filePath, version);
+}
+
+/**
+ * ディスクの内容でタブを読み直す（表示中のファイルはカーソル位置を保つ）
+ */
+function applyDiskContent(filePath, content, version) {
+    const fileData = openedFiles.get(filePath);
+    if (!fileData) return;
+    fileData.content = content;
+    fileData.version = version;
+    fileData.editorState = null;
+    fileData.saveConflict = false;
+    fileData.externalChange = null;
+    markFileAsSaved(filePath);
+
+    if (currentFilePath === filePath) {
+        const { from } = editor.getSelection();
+        switchToFile(filePath);
+        editor.setSelection(Math.min(from, content.length));
+    }
+    updateExternalChangeBanner();
+}
+
+function setFileOrphaned(filePath, orphaned) {
+    const fileData = openedFiles.get(filePath);
+    if (fileData) fileData.orphaned = orphaned;
+    const tab = document.querySelector(`[data-filepath="${CSS.escape(filePath)}"]`);
+    if (!tab) return;
+    tab.classList.toggle('orphaned', orphaned);
+    if (orphaned) {
+        tab.title = 'ディスク上で削除されました（保存すると作り直されます）';
+    } else {
+        tab.removeAttribute('title');
+    }
+}
+
+function updateExternalChangeBanner() {
+    if (!externalChangeBanner) return;
+    const fileData = currentFilePath ? openedFiles.get(currentFilePath) : null;
+    const changed = !!(fileData && fileData.externalChange);
+    externalChangeBanner.classList.toggle('content-hidden', !changed);
+    if (changed && externalChangeMessage) {
+        externalChangeMessage.textContent = `「${fileData.fileName}」は他のプログラムによって変更されました。編集中の内容はまだ保存されていません。`;
+    }
+}
+
+/**
+ * @param {{type: 'changed'|'deleted', path: string, content?: string, version?: object}} change
+ */
+function handleOpenFileChange(change) {
+    const filePath = change.path;
+    const fileData = openedFiles.get(filePath);
+    if (!fileData) return;
+
+    if (change.type === 'deleted') {
+        setFileOrphaned(filePath, true);
+        return;
+    }
+    setFileOrphaned(filePath, false);
+
+    const text = getOpenedFileText(filePath);
+    if (text === change.content) {
+        // 同じ内容になった（別の場所で同じ変更をした）場合は版だけ合わせる
+        fileData.content = change.content;
+        fileData.version = change.version;
+        fileData.externalChange = null;
+        fileData.saveConflict = false;
+        markFileAsSaved(filePath);
+    } else if (!fileModificationState.get(filePath)) {
+        applyDiskContent(filePath, change.content, change.version);
+    } else {
+        fileData.externalChange = { content: change.content, version: change.version };
+    }
+    updateExternalChangeBanner();
+}
+
+if (typeof window.electronAPI?.onOpenFileChanged === 'function') {
+    window.electronAPI.onOpenFileChanged(handleOpenFileChange);
+}
+
+if (externalChangeReloadBtn) {
+    externalChangeReloadBtn.addEventListener('click', () => {
+        const fileData = openedFiles.get(currentFilePath);
+        if (!fileData || !fileData.externalChange) return;
+        applyDiskContent(currentFilePath, fileData.externalChange.content, fileData.externalChange.version);
+    });
+}
+
+// 自分の変更を残す: ディスク上の版を基準にして、次の保存で上書きする
+if (externalChangeKeepBtn) {
+    externalChangeKeepBtn.addEventListener('click', () => {
+        const fileData = openedFiles.get(currentFilePath);
+        if (!fileData || !fileData.externalChange) return;
+        fileData.content = fileData.externalChange.content;
+        fileData.version = fileData.externalChange.version;
+        fileData.externalChange = null;
+        fileData.saveConflict = false;
+        updateExternalChangeBanner();
+        scheduleAutoSave();
+        editor.focus();
+    });
+}
 
-            fileModificationState.delete(currentFilePath);
+if (externalChangeCompareBtn) {
+    externalChangeCompareBtn.addEventListener('click', () => {
+        const fileData = openedFiles.get(currentFilePath);
+        if (!fileData || !fileData.externalChange) return;
+        openSaveConflictDiff(currentFilePath, fileData.externalChange.content);
+    });
+}
+
+// ========== 未保存の変更の確認 ==========
+// タブを閉じる・別のフォルダを開く・ウィンドウを閉じる前に、保存するか確認する
+
+function isUnsavedFile(filePath) {
+    return filePath !== 'README.md' && openedFiles.has(filePath) && !!fileModificationState.get(filePath);
+}
+
+/**
+ * 未保存のファイルについて「保存 / 保存しない / キャンセル」を確認する
+ * 自動保存できるファイルは確認せずに保存する
+ * @param {string[]} filePaths
+ * @returns {Promise<boolean>} 続行してよいか（キャンセルした・保存できなかった場合は false）
+ */
+async function confirmUnsavedChanges(filePaths) {
+    const autoSaved = filePaths.filter(canAutoSave);
+    await Promise.all(autoSaved.map(filePath => saveOpenedFile(filePath, { auto: true })));
+
+    const dirtyFiles = filePaths.filter(isUnsavedFile);
+    if (dirtyFiles.length === 0) return true;
+
+    const names = dirtyFiles.map(filePath => openedFiles.get(filePath).fileName);
+    const message = dirtyFiles.length === 1
+        ? `「${names[0]}」への変更を保存しますか？\n保存しない場合、変更は失われます。`
+        : `次の ${dirtyFiles.length} 個のファイルに未保存の変更があります。\n${names.map(name => `・${name}`).join('\n')}`;
+    const choice = await showModalDialog(message, [
+        { label: 'キャンセル', value: null },
+        { label: '保存しない', value: 'discard' },
+        { label: dirtyFiles.length === 1 ? '保存' : 'すべて保存', value: 'save', primary: true }
+    ]);
+
+    if (choice === 'discard') return true;
+    if (choice !== 'save') return false;
+
+    for (const filePath of dirtyFiles) {
+        if (!(await saveOpenedFile(filePath))) return false;
+    }
+    return true;
+}
 
-            const tab = document.querySelector(`[data-filepath="${CSS.escape(currentFilePath)}"]`);
-            if (tab) {
-                const fileName = currentFilePath.split(/[\/\\]/).pop();
-                tab.innerHTML = `${fileName} <span class="close-tab" data-filepath="${currentFilePath}">×</span>`;
+// ウィンドウを閉じる（アプリを終了する）前の確認。main プロセスが close を止めて問い合わせる
+// 「未保存の変更を残したまま閉じる」が有効なら、未保存の内容をセッションに残せた場合は確認しない
+// 無効なら確認し、「保存しない」を選んだ内容はセッションにも残さない
+if (typeof window.electronAPI?.onWindowCloseRequested === 'function') {
+    window.electronAPI.onWindowCloseRequested(async () => {
+        if (autoSaveSettings.hotExit) {
+            const autoSaved = [...openedFiles.keys()].filter(canAutoSave);
+            await Promise.all(autoSaved.map(filePath => saveOpenedFile(filePath, { auto: true })));
+            if (await saveEditorSession()) {
+                window.electronAPI.respondWindowClose(true);
+                return;
             }
+        }
+
+        const confirmed = await confirmUnsavedChanges([...openedFiles.keys()]);
+        if (confirmed) await saveEditorSession({ includeUnsaved: false });
+        window.electronAPI.respondWindowClose(confirmed);
+    });
+}
+
+// ========== セッションの保存と復元 ==========
+// 開いているタブの順番・表示中のタブ・カーソルとスクロール位置・未保存の内容をフォルダごとに保存し、
+// 次回起動時に復元する（異常終了した場合も直前に保存したセッションから復元できる）
+const SESSION_SAVE_DELAY = 1000;
+let sessionSaveTimer = null;
+// 復元が終わるまでは保存しない（起動直後の空の状態で前回のセッションを上書きしないため）
+let sessionRestored = false;
+
+function scheduleSessionSave() {
+    if (!sessionRestored) return;
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = setTimeout(saveEditorSession, SESSION_SAVE_DELAY);
+}
 
-            console.log(`✅ ファイルを保存しました: ${currentFilePath}`);
+function collectEditorSession({ includeUnsaved = true } = {}) {
+    const filePaths = [...document.querySelectorAll('.editor-tabs .tab[data-filepath]')]
+        .map(tab => tab.dataset.filepath)
+        .filter(filePath => filePath !== 'README.md' && openedFiles.has(filePath));
+
+    const files = filePaths.map(filePath => {
+        const fileData = openedFiles.get(filePath);
+        const isCurrent = filePath === currentFilePath;
+        const state = isCurrent ? editor.getState() : fileData.editorState;
+        const { anchor, head } = state ? state.selection.main : { anchor: 0, head: 0 };
+        const entry = {
+            path: filePath,
+            fileName: fileData.fileName,
+            draft: !!fileData.draft,
+            // 未保存の内容の基準にしたディスク上の版（復元時に変更されていないか確かめる）
+            version: fileData.version || null,
+            selection: { anchor, head },
+            scrollTop: isCurrent ? editor.scrollDOM.scrollTop : (fileData.scrollTop || 0)
+        };
+        if (includeUnsaved && isUnsavedFile(filePath)) entry.content = getOpenedFileText(filePath);
+        return entry;
+    });
+
+    return {
+        folder: currentDirectoryPath,
+        activeFile: filePaths.includes(currentFilePath) ? currentFilePath : null,
+        files
+    };
+}
+
+/**
+ * @param {{includeUnsaved?: boolean}} [options] - false なら未保存の内容を残さない（保存しないで閉じる場合）
+ * @returns {Promise<boolean>} 保存できたか
+ */
+async function saveEditorSession(options) {
+    clearTimeout(sessionSaveTimer);
+    sessionSaveTimer = null;
+    if (!sessionRestored || typeof window.electronAPI?.saveEditorSession !== 'function') return false;
+    const result = await window.electronAPI.saveEditorSession(collectEditorSession(options));
+    return !!(result && result.success);
+}
+
+/**
+ * セッションのタブを1つ復元する
+ * 未保存の内容の基準にした版からディスク上のファイルが変わっていれば、他のプログラムによる変更として確認を求める
+ * @returns {Promise<boolean>} タブを開いたか
+ */
+async function restoreSessionFile(entry) {
+    if (openedFiles.has(entry.path)) return false;
+
+    let disk = null;
+    if (!entry.draft) {
+        const result = await window.electronAPI.loadFileWithVersion(entry.path);
+        if (result.success) disk = result;
+    }
+    const unsaved = typeof entry.content === 'string' && !(disk && disk.content === entry.content);
+    // 保存済みのファイルがディスクから消えていれば開かない
+    if (!unsaved && !disk) return false;
+
+    const fileData = { fileName: entry.fileName, content: '', version: null, scrollTop: entry.scrollTop || 0 };
+    if (entry.draft) {
+        fileData.draft = true;
+    } else if (!disk) {
+        fileData.content = entry.content;
+        fileData.version = entry.version;
+    } else if (!unsaved || (entry.version && entry.version.hash === disk.version.hash)) {
+        fileData.content = disk.content;
+        fileData.version = disk.version;
+    } else {
+        fileData.content = disk.content;
+        fileData.version = entry.version;
+        fileData.externalChange = { content: disk.content, version: disk.version };
+    }
+    if (disk) watchOpenFile(entry.path, disk.version);
+
+    const text = unsaved ? entry.content : fileData.content;
+    const { anchor = 0, head = anchor } = entry.selection || {};
+    fileData.editorState = editor.createState(text).update({
+        selection: { anchor: Math.min(anchor, text.length), head: Math.min(head, text.length) }
+    }).state;
+
+    const tab = document.createElement('div');
+    tab.className = 'tab';
+    tab.dataset.filepath = entry.path;
+    tab.innerHTML = `${entry.fileName} <span class="close-tab" data-filepath="${entry.path}">×</span>`;
+    editorTabsContainer.appendChild(tab);
+    openedFiles.set(entry.path, fileData);
+
+    if (unsaved) markFileAsModified(entry.path);
+    if (!entry.draft && !disk) setFileOrphaned(entry.path, true);
+    return true;
+}
+
+async function restoreEditorSession() {
+    try {
+        if (typeof window.electronAPI?.loadEditorSession !== 'function' || !editor || !editorTabsContainer) return;
+        const session = await window.electronAPI.loadEditorSession(currentDirectoryPath);
+        if (!session || !Array.isArray(session.files) || session.files.length === 0) return;
+
+        const restored = [];
+        for (const entry of session.files) {
+            try {
+                if (await restoreSessionFile(entry)) restored.push(entry.path);
+            } catch (error) {
+                console.error('Failed to restore file:', entry.path, error);
+            }
         }
+        if (restored.length === 0) return;
+
+        closeWelcomeReadme();
+        switchToFile(restored.includes(session.activeFile) ? session.activeFile : restored[restored.length - 1]);
     } catch (error) {
-        console.error('Failed to save file:', error);
+        console.error('Failed to restore editor session:', error);
+    } finally {
+        sessionRestored = true;
     }
 }
 
+if (editor) {
+    editor.scrollDOM.addEventListener('scroll', scheduleSessionSave, { passive: true });
+}
+
 // ========== 新規作成機能 (VS Code風インライン入力) ==========
 async function showCreationInput(isFolder) {
     // ★変更: file-tree-container IDを使用
@@ -1945,10 +5490,23 @@ async function openFolder() {
         }
 
         const result = await window.electronAPI.selectFolder();
+        if (!result.success || !result.path) return;
+
+        // 開いているタブは残るため、保存しない場合は編集内容を破棄して最後に保存した内容に戻す
+        const dirtyFiles = [...openedFiles.keys()].filter(isUnsavedFile);
+        if (!(await confirmUnsavedChanges(dirtyFiles))) return;
+        dirtyFiles.filter(isUnsavedFile).forEach(filePath => {
+            const fileData = openedFiles.get(filePath);
+            applyDiskContent(filePath, fileData.content, fileData.version);
+        });
 
-        if (result.success && result.path) {
-            await initializeFileTree();
+        const changed = await window.electronAPI.setCurrentDirectory(result.path);
+        if (!changed.success) {
+            console.error('Failed to open folder:', changed.error);
+            return;
         }
+        await initializeFileTree();
+        await refreshGitStatus();
     } catch (error) {
         console.error('Failed to open folder:', error);
     }
@@ -1978,8 +5536,8 @@ document.addEventListener('keydown', (e) => {
         e.preventDefault();
         const activeTab = document.querySelector('.editor-tabs .tab.active');
         if (activeTab) {
-            if (activeTab.id === 'tab-settings') {
-                const closeBtn = document.getElementById('close-settings-tab');
+            if (activeTab.dataset.target) {
+                const closeBtn = activeTab.querySelector('.close-tab');
                 if (closeBtn) closeBtn.click();
             }
             else if (activeTab.dataset.filepath) {
@@ -2013,8 +5571,8 @@ document.addEventListener('keydown', (e) => {
     if (e.key === 'Delete' || (e.metaKey && e.key === 'Backspace')) {
         const activeTag = document.activeElement ? document.activeElement.tagName.toLowerCase() : '';
 
-        // 入力フォームにフォーカスがある場合は削除処理を実行しない
-        if (activeTag === 'input' || activeTag === 'textarea') return;
+        // 入力フォームやエディタにフォーカスがある場合は削除処理を実行しない
+        if (activeTag === 'input' || activeTag === 'textarea' || document.activeElement?.isContentEditable) return;
 
         // ★変更: file-tree-container IDを使用
         const selectedItem = document.getElementById('file-tree-container')?.querySelector('.tree-item.selected');
@@ -2034,59 +5592,75 @@ document.addEventListener('keydown', (e) => {
     }
 });
 
-if (editor) {
-    // 入力時のイベントリスナー
-    editor.addEventListener('input', () => {
-        if (currentFilePath) {
-            fileModificationState.set(currentFilePath, true);
-            const tab = document.querySelector(`[data-filepath="${CSS.escape(currentFilePath)}"]`);
-            if (tab) {
-                const currentHTML = tab.innerHTML;
-                if (!currentHTML.includes('●')) {
-                    const closeBtnIndex = currentHTML.lastIndexOf('<span class="close-tab"');
-                    if (closeBtnIndex > -1) {
-                        const beforeClose = currentHTML.substring(0, closeBtnIndex).trim();
-                        const closeBtn = currentHTML.substring(closeBtnIndex);
-                        tab.innerHTML = `${beforeClose} ● ${closeBtn}`;
-                    }
-                }
-            }
-        }
+// エディタの内容が変わったとき（入力・元に戻す・置換など）
+function handleEditorChange() {
+    if (currentFilePath) {
+        markFileAsModified(currentFilePath);
+        scheduleAutoSave();
+    }
 
-        renderMarkdownLive();
+    renderMarkdownLive();
+    scheduleLineChangeUpdate();
+    scheduleBlameUpdate();
+    // 編集中は自動スナップショットを先送りする
+    if (autoSnapshotTimer) scheduleAutoSnapshot();
+
+    // エディタの内容が変わったらアウトラインも更新
+    if (window.outlineUpdateTimeout) clearTimeout(window.outlineUpdateTimeout);
+    window.outlineUpdateTimeout = setTimeout(() => {
+        updateOutline();
+        syncOutlineWithCursor(); // 更新後に同期
+    }, 500);
+
+    if (isPdfPreviewVisible) {
+        if (window.pdfUpdateTimeout) {
+            clearTimeout(window.pdfUpdateTimeout);
+        }
+        window.pdfUpdateTimeout = setTimeout(() => {
+            generatePdfPreview();
+        }, 1000);
+    }
+    updateFileStats();
+}
 
-        // エディタの内容が変わったらアウトラインも更新
-        if (window.outlineUpdateTimeout) clearTimeout(window.outlineUpdateTimeout);
-        window.outlineUpdateTimeout = setTimeout(() => {
-            updateOutline();
-            syncOutlineWithCursor(); // 更新後に同期
-        }, 500);
+// カーソル移動時にアウトラインのハイライトを合わせる
+function scheduleOutlineSync() {
+    if (window.cursorSyncTimeout) clearTimeout(window.cursorSyncTimeout);
+    window.cursorSyncTimeout = setTimeout(syncOutlineWithCursor, 100);
+}
 
-        if (isPdfPreviewVisible) {
-            if (window.pdfUpdateTimeout) {
-                clearTimeout(window.pdfUpdateTimeout);
+// ファイルを未保存状態にし、タブに ● を表示する
+function markFileAsModified(filePath) {
+    fileModificationState.set(filePath, true);
+    scheduleSessionSave();
+    const tab = document.querySelector(`[data-filepath="${CSS.escape(filePath)}"]`);
+    if (tab) {
+        const currentHTML = tab.innerHTML;
+        if (!currentHTML.includes('●')) {
+            const closeBtnIndex = currentHTML.lastIndexOf('<span class="close-tab"');
+            if (closeBtnIndex > -1) {
+                const beforeClose = currentHTML.substring(0, closeBtnIndex).trim();
+                const closeBtn = currentHTML.substring(closeBtnIndex);
+                tab.innerHTML = `${beforeClose} ● ${closeBtn}`;
             }
-            window.pdfUpdateTimeout = setTimeout(() => {
-                generatePdfPreview();
-            }, 1000);
         }
-        updateFileStats();
-    });
-
-    // カーソル移動やクリック時のイベントリスナー（アウトライン同期用）
-    const syncHandler = () => {
-        if (window.cursorSyncTimeout) clearTimeout(window.cursorSyncTimeout);
-        window.cursorSyncTimeout = setTimeout(syncOutlineWithCursor, 100);
-    };
+    }
+}
 
-    editor.addEventListener('keyup', syncHandler);
-    editor.addEventListener('mouseup', syncHandler);
-    editor.addEventListener('click', syncHandler);
-    editor.addEventListener('scroll', syncHandler);
+// 未保存の表示（●）を消す
+function markFileAsSaved(filePath) {
+    fileModificationState.delete(filePath);
+    const fileData = openedFiles.get(filePath);
+    if (fileData) fileData.autoSaveHeld = false;
+    scheduleSessionSave();
+    const tab = document.querySelector(`[data-filepath="${CSS.escape(filePath)}"]`);
+    if (tab) {
+        const fileName = filePath.split(/[\/\\]/).pop();
+        tab.innerHTML = `${fileName} <span class="close-tab" data-filepath="${filePath}">×</span>`;
+    }
 }
 
 function renderMarkdownLive() {
-    const plainText = editor.value || '';
     const previewPane = document.getElementById('preview');
 
     if (!previewPane) {
@@ -2094,6 +5668,11 @@ function renderMarkdownLive() {
         return;
     }
 
+    renderMarkdownInto(previewPane, editor.getValue());
+}
+
+// Markdownをプレビューと同じ設定でHTMLに変換して要素に描画する
+function renderMarkdownInto(previewPane, plainText) {
     if (typeof marked === 'undefined') {
         console.warn('marked.js is not loaded');
         previewPane.innerHTML = '<p>Markdownプレビューが利用できません。</p>';
@@ -2139,6 +5718,166 @@ function processMarkdownForDisplay(markdownText) {
 
 // ========== コンテキストメニューと削除機能 ==========
 
+/**
+ * 汎用のモーダルダイアログを表示する
+ * @param {string} messageText - 表示するメッセージ
+ * @param {{label: string, value: any, primary?: boolean}[]} buttonDefs - ボタン定義（左から順に表示）
+ * @returns {Promise<any>} 押されたボタンの value（オーバーレイクリック時は null）
+ */
+function showModalDialog(messageText, buttonDefs) {
+    return new Promise((resolve) => {
+        const existingModal = document.querySelector('.modal-overlay');
+        if (existingModal) existingModal.remove();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const content = document.createElement('div');
+        content.className = 'modal-content';
+
+        const message = document.createElement('div');
+        message.className = 'modal-message';
+        message.textContent = messageText;
+
+        const buttons = document.createElement('div');
+        buttons.className = 'modal-buttons';
+
+        const close = (value) => {
+            overlay.remove();
+            if (editor) editor.focus();
+            resolve(value);
+        };
+
+        buttonDefs.forEach(def => {
+            const btn = document.createElement('button');
+            btn.className = 'modal-btn' + (def.primary ? ' primary' : '');
+            btn.textContent = def.label;
+            btn.addEventListener('click', () => close(def.value));
+            buttons.appendChild(btn);
+        });
+
+        content.appendChild(message);
+        content.appendChild(buttons);
+        overlay.appendChild(content);
+        document.body.appendChild(overlay);
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close(null);
+        });
+    });
+}
+
+/**
+ * 入力欄付きのモーダルを表示する
+ * @param {string} messageText - 表示するメッセージ
+ * @param {{name: string, label?: string, value?: string|boolean, placeholder?: string, type?: string, options?: {value: string, label: string}[]}[]} fields
+ *   入力欄の定義（type: 'checkbox' は真偽値、'select' は options から選ぶ）
+ * @returns {Promise<Object<string, string|boolean>|null>} 入力値（name → value）。キャンセル時は null
+ */
+function showModalForm(messageText, fields) {
+    return new Promise((resolve) => {
+        const existingModal = document.querySelector('.modal-overlay');
+        if (existingModal) existingModal.remove();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const content = document.createElement('div');
+        content.className = 'modal-content';
+
+        const message = document.createElement('div');
+        message.className = 'modal-message';
+        message.textContent = messageText;
+        content.appendChild(message);
+
+        const inputs = fields.map(field => {
+            if (field.type === 'checkbox') {
+                const label = document.createElement('label');
+                label.className = 'modal-checkbox';
+                const input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = !!field.value;
+                label.appendChild(input);
+                label.appendChild(document.createTextNode(` ${field.label || ''}`));
+                content.appendChild(label);
+                return input;
+            }
+            if (field.label) {
+                const label = document.createElement('label');
+                label.className = 'modal-label';
+                label.textContent = field.label;
+                content.appendChild(label);
+            }
+            if (field.type === 'select') {
+                const select = document.createElement('select');
+                select.className = 'modal-input';
+                (field.options || []).forEach(({ value, label }) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = label;
+                    select.appendChild(option);
+                });
+                select.value = field.value || '';
+                content.appendChild(select);
+                return select;
+            }
+            const input = document.createElement('input');
+            input.className = 'modal-input';
+            input.type = field.type || 'text';
+            input.value = field.value || '';
+            input.placeholder = field.placeholder || '';
+            content.appendChild(input);
+            return input;
+        });
+
+        const buttons = document.createElement('div');
+        buttons.className = 'modal-buttons';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'modal-btn';
+        cancelBtn.textContent = 'キャンセル';
+
+        const okBtn = document.createElement('button');
+        okBtn.className = 'modal-btn primary';
+        okBtn.textContent = 'OK';
+
+        buttons.appendChild(cancelBtn);
+        buttons.appendChild(okBtn);
+        content.appendChild(buttons);
+        overlay.appendChild(content);
+        document.body.appendChild(overlay);
+
+        const close = (values) => {
+            overlay.remove();
+            if (editor) editor.focus();
+            resolve(values);
+        };
+
+        const submit = () => {
+            const values = {};
+            fields.forEach((field, i) => {
+                values[field.name] = field.type === 'checkbox' ? inputs[i].checked : inputs[i].value;
+            });
+            close(values);
+        };
+
+        cancelBtn.addEventListener('click', () => close(null));
+        okBtn.addEventListener('click', submit);
+        inputs.forEach(input => input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') submit();
+            if (e.key === 'Escape') close(null);
+        }));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close(null);
+        });
+
+        if (inputs[0]) {
+            inputs[0].focus();
+            inputs[0].select();
+        }
+    });
+}
+
 // カスタム確認モーダルを表示する関数
 function showModalConfirm(itemName, onConfirm) {
     // 既存のモーダルがあれば削除